@@ -1,29 +1,71 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const axios = require('axios');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-const morgan = require('morgan');
 
 // Importar classes compartilhadas
 const { getServiceRegistry } = require('../shared/serviceRegistry');
+const HealthCheck = require('../shared/healthCheck');
+const { getTracer } = require('../shared/tracing');
+const { getLogger } = require('../shared/logger');
+const { getMetrics } = require('../shared/metrics');
+const { ServiceClient, deadlineMiddleware, DEADLINE_HEADER, DEFAULT_OPTIONS } = require('../shared/httpClient');
+const { ResponseCache } = require('../shared/responseCache');
+const BackupManager = require('../shared/backupManager');
+const { BackupNotFoundError, BackupIntegrityError, DatabaseLockError, CircuitOpenError } = require('../shared/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'shopping-list-secret-key';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Prazo total de cada requisição (ms), propagado aos serviços no header X-Request-Timeout
+const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT) || 15000;
+// Prazo de cada chamada do dashboard: um serviço lento não segura os demais
+const DASHBOARD_TIMEOUT = parseInt(process.env.DASHBOARD_TIMEOUT) || 3000;
+// TTL (s) do cache de respostas por rota; CACHE_TTLS="/api/items=30,/api/search=0" sobrescreve (0 desativa)
+const CACHE_TTLS = { '/api/items': 60, '/api/categories': 300, '/api/search': 30 };
+(process.env.CACHE_TTLS || '').split(',').filter(Boolean).forEach(pair => {
+  const [route, ttl] = pair.split('=').map(value => value.trim());
+  CACHE_TTLS[route] = parseInt(ttl) || 0;
+});
+
+// Rastreamento: o gateway inicia o trace de cada requisição (ou continua o traceparent recebido)
+const tracer = getTracer('api-gateway');
+const logger = getLogger('api-gateway');
+const metrics = getMetrics();
 
 // Service Registry
 const serviceRegistry = getServiceRegistry();
 
+// Estratégia de balanceamento por serviço: LB_STRATEGIES="list-service=consistent-hash,item-service=weighted"
+// (os demais usam LB_STRATEGY, padrão round-robin)
+(process.env.LB_STRATEGIES || '').split(',').filter(Boolean).forEach(pair => {
+  const [serviceName, strategy] = pair.split('=').map(value => value.trim());
+  serviceRegistry.setLoadBalancingStrategy(serviceName, strategy);
+});
+
+// Chamadas aos serviços com novas tentativas, backoff e prazo (HTTP_RETRIES, padrão 2)
+const serviceClient = new ServiceClient(serviceRegistry, {
+  retries: parseInt(process.env.HTTP_RETRIES || DEFAULT_OPTIONS.retries)
+});
+
+// Cache das rotas de catálogo; alterações de itens no Item Service são acompanhadas por GET /watch
+const responseCache = new ResponseCache({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000 });
+responseCache.watch(serviceRegistry, 'item-service', ['items']);
+
 // Middlewares globais
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracer.middleware());
 
-// Logging de requests
-app.use(morgan(':method :url :status :res[content-length] - :response-time ms'));
+// Logging de requests (com o request id para correlacionar com os logs dos serviços)
+app.use(logger.middleware());
+app.use(metrics.middleware());
+// X-Request-Timeout enviado pelo cliente só pode encurtar o REQUEST_TIMEOUT
+app.use(deadlineMiddleware(REQUEST_TIMEOUT));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -44,40 +86,51 @@ const extractUser = (req, res, next) => {
     jwt.verify(token, JWT_SECRET, (err, user) => {
       if (!err) {
         req.user = user;
+        req.span.setTag('user.id', user.id);
       }
     });
   }
   next();
 };
 
-// Helper para fazer requisições com circuit breaker
+// Middleware para endpoints administrativos (header X-Admin-Token)
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Endpoints administrativos desabilitados (ADMIN_TOKEN não configurado)' });
+  }
+  if (req.headers['x-admin-token'] !== ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Token administrativo inválido' });
+  }
+  next();
+};
+
+// Helper para fazer requisições com circuit breaker, novas tentativas e prazo.
+// `options.balancingKey` (id do usuário) mantém o usuário na mesma instância com consistent-hash;
+// `options.deadline` (normalmente req.deadline) limita a chamada ao prazo da requisição
 async function makeServiceRequest(serviceName, path, options = {}) {
   try {
-    const service = serviceRegistry.getService(serviceName);
-    if (!service) {
-      throw new Error(`Serviço ${serviceName} não disponível`);
-    }
-
-    const response = await axios({
-      url: `${service.url}${path}`,
-      timeout: 10000,
-      ...options
-    });
-
-    serviceRegistry.recordSuccess(serviceName);
+    const response = await serviceClient.request(serviceName, path, options);
     return response.data;
   } catch (error) {
-    serviceRegistry.recordFailure(serviceName);
-    console.error(`Erro ao chamar ${serviceName}${path}:`, error.message);
+    logger.error('Erro ao chamar serviço', { serviceName, path, error: error.message });
     throw error;
   }
 }
 
-// Proxy dinâmico para serviços
+// Segundos até a primeira instância do serviço passar para half-open
+function circuitRetryAfter(serviceName) {
+  const attempts = serviceRegistry.getCircuitBreakers()
+    .filter(breaker => breaker.service === serviceName && breaker.nextAttemptAt)
+    .map(breaker => Date.parse(breaker.nextAttemptAt));
+  if (attempts.length === 0) return 0;
+  return Math.max(0, Math.ceil((Math.min(...attempts) - Date.now()) / 1000));
+}
+
+// Proxy dinâmico para serviços (use depois de extractUser para balancear por usuário)
 const createDynamicProxy = (serviceName, pathRewrite = {}) => {
   return async (req, res, next) => {
     try {
-      const service = serviceRegistry.getService(serviceName);
+      const service = serviceRegistry.getService(serviceName, { key: req.user ? req.user.id : undefined });
       if (!service) {
         return res.status(503).json({ 
           error: `Serviço ${serviceName} não disponível`,
@@ -85,34 +138,57 @@ const createDynamicProxy = (serviceName, pathRewrite = {}) => {
         });
       }
 
-      // Criar proxy dinâmico
+      // Criar proxy dinâmico; respostas 5xx contam como falha no circuit breaker
+      const startedAt = Date.now();
+      const remaining = Math.max(req.deadline - startedAt, 1);
+      const span = tracer.startSpan(`proxy ${serviceName}`, {
+        kind: 'CLIENT',
+        tags: { 'peer.service': serviceName, 'instance.id': service.id }
+      });
       const proxy = createProxyMiddleware({
         target: service.url,
         changeOrigin: true,
         pathRewrite,
-        onError: (err, req, res) => {
-          serviceRegistry.recordFailure(serviceName);
-          console.error(`Proxy error for ${serviceName}:`, err.message);
-          res.status(503).json({ 
-            error: 'Serviço temporariamente indisponível',
-            service: serviceName 
-          });
-        },
-        onProxyRes: (proxyRes, req, res) => {
-          serviceRegistry.recordSuccess(serviceName);
-          // Adicionar headers de identificação
-          res.setHeader('X-Service', serviceName);
-          res.setHeader('X-Gateway', 'lista-compras-gateway');
+        proxyTimeout: remaining,
+        on: {
+          error: (err, req, res) => {
+            serviceRegistry.recordFailure(service.id, Date.now() - startedAt);
+            span.setError(err);
+            span.end();
+            logger.error('Erro no proxy', { serviceName, instanceId: service.id, error: err.message });
+            res.status(503).json({ 
+              error: 'Serviço temporariamente indisponível',
+              service: serviceName 
+            });
+          },
+          proxyRes: (proxyRes, req, res) => {
+            if (proxyRes.statusCode >= 500) {
+              serviceRegistry.recordFailure(service.id, Date.now() - startedAt);
+            } else {
+              serviceRegistry.recordSuccess(service.id, Date.now() - startedAt);
+            }
+            span.end({ 'http.status_code': proxyRes.statusCode });
+            // Adicionar headers de identificação
+            res.setHeader('X-Service', serviceName);
+            res.setHeader('X-Gateway', 'lista-compras-gateway');
+          }
         }
       });
 
+      // Requisição em andamento até a resposta terminar (least-outstanding)
+      res.once('close', serviceRegistry.beginRequest(service));
+      res.once('close', () => span.end());
+      tracer.inject(req.headers, span);
+      req.headers[DEADLINE_HEADER] = String(remaining);
       proxy(req, res, next);
     } catch (error) {
-      if (error.message.includes('Circuit breaker')) {
+      if (error instanceof CircuitOpenError) {
+        const retryAfter = circuitRetryAfter(serviceName);
+        res.setHeader('Retry-After', retryAfter);
         return res.status(503).json({
           error: 'Serviço temporariamente indisponível (circuit breaker)',
           service: serviceName,
-          retryAfter: '60 seconds'
+          retryAfter: `${retryAfter} seconds`
         });
       }
       next(error);
@@ -122,21 +198,50 @@ const createDynamicProxy = (serviceName, pathRewrite = {}) => {
 
 // Routes do API Gateway
 
-// Health Check do Gateway
+// Liveness e readiness do próprio gateway; sem o Registry Service ele segue com a última
+// cópia conhecida das instâncias (degraded)
+const health = new HealthCheck('api-gateway');
+health.register('registry', () => {
+  if (serviceRegistry.unavailable) {
+    throw new Error(`Registry indisponível em ${serviceRegistry.baseUrl}`);
+  }
+  return { instances: serviceRegistry.getAllServices().length };
+}, { critical: false });
+
+app.get('/health/live', (req, res) => res.json(health.liveness()));
+
+app.get('/health/ready', async (req, res) => {
+  const report = await health.readiness();
+  res.status(report.status === 'unhealthy' ? 503 : 200).json(report);
+});
+
+// Métricas (Prometheus): requisições por rota, circuit breakers e instâncias conhecidas
+metrics.instrumentRegistry(serviceRegistry);
+metrics.routes(app);
+
+// Health Check do Gateway: visão de todos os serviços
 app.get('/health', async (req, res) => {
   const services = serviceRegistry.getAllServices();
   const healthChecks = {};
+  const rank = { unhealthy: 0, degraded: 1, healthy: 2 };
   
+  // O status de um serviço é o da sua melhor instância
   for (const service of services) {
-    healthChecks[service.name] = {
+    const check = healthChecks[service.name] || { status: 'unhealthy', url: service.url, instances: [] };
+    if ((rank[service.status] || 0) > rank[check.status]) check.status = service.status;
+    check.instances.push({
+      id: service.id,
       status: service.status,
       url: service.url,
       lastCheck: service.lastHealthCheck,
-      failureCount: service.failureCount || 0
-    };
+      failureCount: service.failureCount || 0,
+      checks: service.checks
+    });
+    healthChecks[service.name] = check;
   }
 
   const healthyServices = services.filter(s => s.status === 'healthy').length;
+  const degradedServices = services.filter(s => s.status === 'degraded').length;
   const totalServices = services.length;
 
   res.json({
@@ -148,6 +253,7 @@ app.get('/health', async (req, res) => {
     services: healthChecks,
     summary: {
       healthy: healthyServices,
+      degraded: degradedServices,
       total: totalServices,
       percentage: totalServices > 0 ? Math.round((healthyServices / totalServices) * 100) : 0
     }
@@ -159,6 +265,7 @@ app.get('/registry', (req, res) => {
   const services = serviceRegistry.getAllServices();
   res.json({
     services: services.map(service => ({
+      id: service.id,
       name: service.name,
       url: service.url,
       status: service.status,
@@ -169,6 +276,79 @@ app.get('/registry', (req, res) => {
   });
 });
 
+// Estado e contadores dos circuit breakers (por instância)
+app.get('/circuit-breakers', (req, res) => {
+  const breakers = serviceRegistry.getCircuitBreakers();
+  res.json({
+    breakers,
+    summary: {
+      total: breakers.length,
+      closed: breakers.filter(breaker => breaker.state === 'closed').length,
+      open: breakers.filter(breaker => breaker.state === 'open').length,
+      halfOpen: breakers.filter(breaker => breaker.state === 'half-open').length
+    }
+  });
+});
+
+// Backups dos dados dos serviços
+const backupManager = new BackupManager();
+
+function sendBackupError(res, error) {
+  if (error instanceof BackupNotFoundError) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error instanceof BackupIntegrityError) {
+    return res.status(422).json({ error: error.message });
+  }
+  if (error instanceof DatabaseLockError) {
+    return res.status(409).json({ error: 'Pare os serviços antes de restaurar o backup', details: error.message });
+  }
+  logger.error('Erro no backup', error);
+  res.status(500).json({ error: 'Erro interno do servidor' });
+}
+
+// Cache de respostas: estado e limpeza manual
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  res.json({ ttls: CACHE_TTLS, ...responseCache.stats() });
+});
+
+app.delete('/admin/cache', requireAdmin, (req, res) => {
+  const removed = responseCache.clear();
+  logger.info('Cache de respostas limpo', { removed });
+  res.json({ message: 'Cache limpo', removed });
+});
+
+app.get('/admin/backups', requireAdmin, async (req, res) => {
+  try {
+    const backups = await backupManager.listBackups();
+    res.json({ backups, total: backups.length });
+  } catch (error) {
+    sendBackupError(res, error);
+  }
+});
+
+app.post('/admin/backups', requireAdmin, async (req, res) => {
+  try {
+    const { services, label } = req.body || {};
+    const backup = await backupManager.createBackup({ services, label });
+    res.status(201).json(backup);
+  } catch (error) {
+    if (error.message.startsWith('Serviço desconhecido')) {
+      return res.status(400).json({ error: error.message });
+    }
+    sendBackupError(res, error);
+  }
+});
+
+app.post('/admin/backups/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    const result = await backupManager.restoreBackup(req.params.id, { service: (req.body || {}).service });
+    res.json({ message: 'Backup restaurado', ...result });
+  } catch (error) {
+    sendBackupError(res, error);
+  }
+});
+
 // Dashboard agregado (requer autenticação)
 app.get('/api/dashboard', extractUser, async (req, res) => {
   if (!req.user) {
@@ -178,11 +358,21 @@ app.get('/api/dashboard', extractUser, async (req, res) => {
   try {
     const [userStats, itemStats, listStats] = await Promise.allSettled([
       makeServiceRequest('user-service', '/stats', {
-        headers: { Authorization: req.headers.authorization }
+        headers: { Authorization: req.headers.authorization },
+        balancingKey: req.user.id,
+        deadline: req.deadline,
+        timeout: DASHBOARD_TIMEOUT
+      }),
+      makeServiceRequest('item-service', '/stats', {
+        balancingKey: req.user.id,
+        deadline: req.deadline,
+        timeout: DASHBOARD_TIMEOUT
       }),
-      makeServiceRequest('item-service', '/stats'),
       makeServiceRequest('list-service', '/stats', {
-        headers: { Authorization: req.headers.authorization }
+        headers: { Authorization: req.headers.authorization },
+        balancingKey: req.user.id,
+        deadline: req.deadline,
+        timeout: DASHBOARD_TIMEOUT
       })
     ]);
 
@@ -195,7 +385,7 @@ app.get('/api/dashboard', extractUser, async (req, res) => {
         lists: listStats.status === 'fulfilled' ? listStats.value : null
       },
       services: {
-        available: serviceRegistry.getHealthyServices().length,
+        available: serviceRegistry.getReadyServices().length,
         total: serviceRegistry.getAllServices().length
       }
     };
@@ -214,7 +404,7 @@ app.get('/api/dashboard', extractUser, async (req, res) => {
     res.json(dashboard);
 
   } catch (error) {
-    console.error('Erro ao buscar dashboard:', error);
+    logger.error('Erro ao buscar dashboard', error);
     res.status(500).json({ 
       error: 'Erro ao carregar dashboard',
       details: error.message
@@ -222,8 +412,11 @@ app.get('/api/dashboard', extractUser, async (req, res) => {
   }
 });
 
-// Busca global (itens + listas)
-app.get('/api/search', extractUser, async (req, res) => {
+// Busca global (itens + listas). Só a busca anônima, apenas de itens, fica no cache
+app.get('/api/search', extractUser, responseCache.middleware({
+  ttl: CACHE_TTLS['/api/search'],
+  tags: ['items']
+}), async (req, res) => {
   const { q, limit = 10 } = req.query;
 
   if (!q || q.trim().length < 2) {
@@ -237,7 +430,7 @@ app.get('/api/search', extractUser, async (req, res) => {
 
     // Buscar itens (público)
     searches.push(
-      makeServiceRequest('item-service', `/search?q=${encodeURIComponent(q)}&limit=${limit}`)
+      makeServiceRequest('item-service', `/search?q=${encodeURIComponent(q)}&limit=${limit}`, { deadline: req.deadline })
         .catch(err => ({ items: [], error: err.message }))
     );
 
@@ -245,7 +438,9 @@ app.get('/api/search', extractUser, async (req, res) => {
     if (req.user) {
       searches.push(
         makeServiceRequest('list-service', '/lists?limit=50', {
-          headers: { Authorization: req.headers.authorization }
+          headers: { Authorization: req.headers.authorization },
+          balancingKey: req.user.id,
+          deadline: req.deadline
         }).then(data => {
           const filteredLists = data.lists.filter(list => 
             list.name.toLowerCase().includes(q.toLowerCase()) ||
@@ -280,10 +475,15 @@ app.get('/api/search', extractUser, async (req, res) => {
       }
     });
 
+    // Não guardar resultados parciais nem as listas do usuário, que mudam sem passar pelo gateway
+    // (checkout, escritas diretas no List Service) e não teriam como invalidar o cache
+    if (searchResults.errors.length > 0 || req.user) {
+      res.setHeader('Cache-Control', 'no-store');
+    }
     res.json(searchResults);
 
   } catch (error) {
-    console.error('Erro na busca global:', error);
+    logger.error('Erro na busca global', error);
     res.status(500).json({ 
       error: 'Erro na busca global',
       details: error.message
@@ -294,26 +494,32 @@ app.get('/api/search', extractUser, async (req, res) => {
 // Roteamento para serviços
 
 // User Service - /api/auth/* e /api/users/*
-app.use('/api/auth', createDynamicProxy('user-service', {
+app.use('/api/auth', extractUser, createDynamicProxy('user-service', {
   '^/api/auth': '/auth'
 }));
 
-app.use('/api/users', createDynamicProxy('user-service', {
+app.use('/api/users', extractUser, createDynamicProxy('user-service', {
   '^/api/users': '/users'
 }));
 
 // Item Service - /api/items/*
-app.use('/api/items', createDynamicProxy('item-service', {
+app.use('/api/items', extractUser, responseCache.middleware({
+  ttl: CACHE_TTLS['/api/items'],
+  tags: ['items']
+}), createDynamicProxy('item-service', {
   '^/api/items': '/items'
 }));
 
 // Rota especial para categorias
-app.use('/api/categories', createDynamicProxy('item-service', {
+app.use('/api/categories', extractUser, responseCache.middleware({
+  ttl: CACHE_TTLS['/api/categories'],
+  tags: ['items']
+}), createDynamicProxy('item-service', {
   '^/api/categories': '/categories'
 }));
 
-// List Service - /api/lists/*
-app.use('/api/lists', createDynamicProxy('list-service', {
+// List Service - /api/lists/* (sem cache)
+app.use('/api/lists', extractUser, createDynamicProxy('list-service', {
   '^/api/lists': '/lists'
 }));
 
@@ -332,7 +538,12 @@ app.get('/api/info', (req, res) => {
       dashboard: '/api/dashboard',
       search: '/api/search',
       health: '/health',
-      registry: '/registry'
+      liveness: '/health/live',
+      readiness: '/health/ready',
+      registry: '/registry',
+      circuitBreakers: '/circuit-breakers',
+      backups: '/admin/backups',
+      cache: '/admin/cache'
     },
     services: serviceRegistry.getAllServices().map(s => ({
       name: s.name,
@@ -343,7 +554,7 @@ app.get('/api/info', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Gateway error:', error);
+  logger.error('Erro no gateway', error);
   res.status(500).json({ 
     error: 'Erro interno do gateway',
     timestamp: new Date().toISOString()
@@ -375,35 +586,38 @@ async function startGateway() {
 
     // Iniciar servidor
     app.listen(PORT, () => {
-      console.log(`🌐 API Gateway rodando na porta ${PORT}`);
-      console.log(`📋 Endpoints disponíveis em http://localhost:${PORT}/api/info`);
-      console.log(`🏥 Health check em http://localhost:${PORT}/health`);
-      console.log(`🔧 Registry em http://localhost:${PORT}/registry`);
+      logger.info('API Gateway rodando', {
+        port: PORT,
+        info: `http://localhost:${PORT}/api/info`,
+        health: `http://localhost:${PORT}/health`,
+        registry: `http://localhost:${PORT}/registry`
+      });
     });
 
     // Log dos serviços registrados
     setTimeout(() => {
       const services = serviceRegistry.getAllServices();
-      console.log(`\n📊 Serviços registrados: ${services.length}`);
-      services.forEach(service => {
-        console.log(`  - ${service.name}: ${service.url} (${service.status})`);
+      logger.info('Serviços registrados', {
+        count: services.length,
+        services: services.map(service => ({ id: service.id, url: service.url, status: service.status }))
       });
     }, 2000);
 
   } catch (error) {
-    console.error('❌ Erro ao iniciar API Gateway:', error);
+    logger.error('Erro ao iniciar API Gateway', error);
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Desligando API Gateway...');
+  logger.info('Desligando API Gateway');
   try {
+    responseCache.stopWatching();
     await serviceRegistry.unregisterService('api-gateway');
     await serviceRegistry.shutdown();
   } catch (error) {
-    console.error('Erro no shutdown:', error);
+    logger.error('Erro no shutdown', error);
   }
   process.exit(0);
 });
@@ -1,5 +1,5 @@
 #!/usr/bin/env node
 
 // Script de inicialização do API Gateway
-console.log('🚀 Iniciando API Gateway...');
+require('../shared/logger').getLogger('api-gateway').info('Iniciando API Gateway');
 require('./index.js');
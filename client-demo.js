@@ -58,8 +58,9 @@ async function checkHealth() {
     
     console.log('\n📋 Status dos Serviços:');
     Object.entries(health.services).forEach(([name, info]) => {
-      const status = info.status === 'healthy' ? '✅' : '❌';
-      console.log(`  ${status} ${name}: ${info.status} (${info.url})`);
+      const status = { healthy: '✅', degraded: '⚠️ ' }[info.status] || '❌';
+      const instances = info.instances ? `, ${info.instances.length} instância(s)` : '';
+      console.log(`  ${status} ${name}: ${info.status} (${info.url}${instances})`);
     });
 
     return health.summary.percentage === 100;
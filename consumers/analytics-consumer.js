@@ -1,9 +1,20 @@
 const amqp = require('amqplib');
+const { getTracer } = require('../shared/tracing');
+const { getLogger } = require('../shared/logger');
+const { getMetrics } = require('../shared/metrics');
 
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
 const EXCHANGE = 'shopping_events';
 const QUEUE_NAME = 'analytics_queue';
 const ROUTING_KEY = 'list.checkout.#';
+// GET /metrics (Prometheus)
+const METRICS_PORT = process.env.METRICS_PORT || 9101;
+
+const tracer = getTracer('analytics-consumer');
+const logger = getLogger('analytics-consumer');
+const metrics = getMetrics();
+const consumedMessages = metrics.counter('rabbitmq_messages_consumed_total', 'Mensagens consumidas (outcome: ack ou nack)', ['queue', 'outcome']);
+const processingDuration = metrics.histogram('rabbitmq_message_processing_duration_seconds', 'Tempo de processamento das mensagens', ['queue', 'outcome']);
 
 class AnalyticsConsumer {
   constructor() {
@@ -19,7 +30,7 @@ class AnalyticsConsumer {
 
   async connect() {
     try {
-      console.log('🐇 Conectando ao RabbitMQ...');
+      logger.info('Conectando ao RabbitMQ', { url: RABBITMQ_URL });
       this.connection = await amqp.connect(RABBITMQ_URL);
       this.channel = await this.connection.createChannel();
 
@@ -36,11 +47,7 @@ class AnalyticsConsumer {
       // Fazer binding da fila ao exchange com routing key
       await this.channel.bindQueue(QUEUE_NAME, EXCHANGE, ROUTING_KEY);
 
-      console.log('✅ Analytics Consumer conectado');
-      console.log(`📡 Exchange: ${EXCHANGE}`);
-      console.log(`📬 Queue: ${QUEUE_NAME}`);
-      console.log(`🔑 Routing Key: ${ROUTING_KEY}`);
-      console.log('⏳ Aguardando mensagens...\n');
+      logger.info('Analytics Consumer conectado, aguardando mensagens', { exchange: EXCHANGE, queue: QUEUE_NAME, routingKey: ROUTING_KEY });
 
       // Configurar prefetch para processar uma mensagem por vez
       this.channel.prefetch(1);
@@ -48,35 +55,40 @@ class AnalyticsConsumer {
       // Consumir mensagens
       this.channel.consume(QUEUE_NAME, async (msg) => {
         if (msg !== null) {
-          await this.processMessage(msg);
+          const end = processingDuration.startTimer({ queue: QUEUE_NAME });
+          // Continua o trace do checkout com o contexto enviado nos headers pelo list-service
+          const outcome = await tracer.withSpan(`consume ${msg.fields.routingKey}`, {
+            kind: 'CONSUMER',
+            parent: tracer.extract(msg.properties.headers),
+            tags: { 'messaging.system': 'rabbitmq', 'messaging.destination': QUEUE_NAME }
+          }, () => this.processMessage(msg));
+          consumedMessages.inc({ queue: QUEUE_NAME, outcome });
+          end({ outcome });
         }
       });
 
       // Handlers de erro
       this.connection.on('error', (err) => {
-        console.error('❌ Erro na conexão:', err.message);
+        logger.error('Erro na conexão', { error: err.message });
       });
 
       this.connection.on('close', () => {
-        console.log('🔌 Conexão fechada');
+        logger.warn('Conexão fechada, reconectando em 5 segundos');
         setTimeout(() => this.connect(), 5000); // Reconectar após 5 segundos
       });
 
     } catch (error) {
-      console.error('❌ Erro ao conectar:', error.message);
-      console.log('🔄 Tentando reconectar em 5 segundos...');
+      logger.error('Erro ao conectar, tentando novamente em 5 segundos', { error: error.message });
       setTimeout(() => this.connect(), 5000);
     }
   }
 
+  // Retorna 'ack' ou 'nack'
   async processMessage(msg) {
     try {
       const content = msg.content.toString();
       const event = JSON.parse(content);
 
-      console.log('📊 Nova mensagem recebida para análise!');
-      console.log('═══════════════════════════════════════════════════════════');
-      
       // Calcular estatísticas
       const totalGasto = event.list.estimatedTotal;
       const totalItens = event.list.totalItems;
@@ -87,32 +99,35 @@ class AnalyticsConsumer {
       this.stats.totalItems += totalItens;
       this.stats.averageBasket = this.stats.totalRevenue / this.stats.totalCheckouts;
 
-      console.log(`📈 Processando checkout da lista: ${event.list.name}`);
-      console.log(`   ID da Lista: ${event.list.id}`);
-      console.log(`   Usuário: ${event.user.username} (${event.user.email})`);
-      console.log(`   Total de itens: ${totalItens}`);
-      console.log(`   Total gasto: R$ ${totalGasto.toFixed(2)}`);
+      logger.info('Processando checkout', {
+        listId: event.list.id,
+        listName: event.list.name,
+        userId: event.user.id,
+        totalItems: totalItens,
+        total: totalGasto
+      });
       
       // Simular delay de processamento (cálculos e atualização de dashboard)
       await new Promise(resolve => setTimeout(resolve, 800));
       
-      console.log('\n📊 ESTATÍSTICAS ATUALIZADAS DO DASHBOARD:');
-      console.log(`   Total de checkouts processados: ${this.stats.totalCheckouts}`);
-      console.log(`   Receita total: R$ ${this.stats.totalRevenue.toFixed(2)}`);
-      console.log(`   Total de itens vendidos: ${this.stats.totalItems}`);
-      console.log(`   Ticket médio: R$ ${this.stats.averageBasket.toFixed(2)}`);
-      
-      console.log('\n✅ Analytics processado com sucesso!');
-      console.log('═══════════════════════════════════════════════════════════\n');
+      logger.info('Analytics processado, estatísticas do dashboard atualizadas', {
+        totalCheckouts: this.stats.totalCheckouts,
+        totalRevenue: Number(this.stats.totalRevenue.toFixed(2)),
+        totalItems: this.stats.totalItems,
+        averageBasket: Number(this.stats.averageBasket.toFixed(2))
+      });
 
       // Confirmar processamento (ACK)
       this.channel.ack(msg);
+      return 'ack';
 
     } catch (error) {
-      console.error('❌ Erro ao processar mensagem:', error.message);
+      logger.error('Erro ao processar mensagem', { error: error.message });
+      tracer.currentSpan().setError(error);
       
       // Rejeitar mensagem e reenviar para a fila
       this.channel.nack(msg, false, true);
+      return 'nack';
     }
   }
 
@@ -124,9 +139,9 @@ class AnalyticsConsumer {
       if (this.connection) {
         await this.connection.close();
       }
-      console.log('✅ Consumer desconectado');
+      logger.info('Consumer desconectado');
     } catch (error) {
-      console.error('❌ Erro ao fechar conexão:', error.message);
+      logger.error('Erro ao fechar conexão', { error: error.message });
     }
   }
 }
@@ -136,18 +151,18 @@ const consumer = new AnalyticsConsumer();
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Encerrando Analytics Consumer...');
+  logger.info('Encerrando Analytics Consumer');
   await consumer.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('\n🛑 Encerrando Analytics Consumer...');
+  logger.info('Encerrando Analytics Consumer');
   await consumer.close();
   process.exit(0);
 });
 
 // Iniciar
-console.log('🚀 Analytics Consumer - Analytics Service');
-console.log('════════════════════════════════════════════════════\n');
+logger.info('Iniciando Analytics Consumer', { metrics: `http://localhost:${METRICS_PORT}/metrics` });
+metrics.listen(METRICS_PORT);
 consumer.connect();
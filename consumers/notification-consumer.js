@@ -1,9 +1,20 @@
 const amqp = require('amqplib');
+const { getTracer } = require('../shared/tracing');
+const { getLogger } = require('../shared/logger');
+const { getMetrics } = require('../shared/metrics');
 
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
 const EXCHANGE = 'shopping_events';
 const QUEUE_NAME = 'notification_queue';
 const ROUTING_KEY = 'list.checkout.#';
+// GET /metrics (Prometheus)
+const METRICS_PORT = process.env.METRICS_PORT || 9102;
+
+const tracer = getTracer('notification-consumer');
+const logger = getLogger('notification-consumer');
+const metrics = getMetrics();
+const consumedMessages = metrics.counter('rabbitmq_messages_consumed_total', 'Mensagens consumidas (outcome: ack ou nack)', ['queue', 'outcome']);
+const processingDuration = metrics.histogram('rabbitmq_message_processing_duration_seconds', 'Tempo de processamento das mensagens', ['queue', 'outcome']);
 
 class NotificationConsumer {
   constructor() {
@@ -13,7 +24,7 @@ class NotificationConsumer {
 
   async connect() {
     try {
-      console.log('🐇 Conectando ao RabbitMQ...');
+      logger.info('Conectando ao RabbitMQ', { url: RABBITMQ_URL });
       this.connection = await amqp.connect(RABBITMQ_URL);
       this.channel = await this.connection.createChannel();
 
@@ -30,11 +41,7 @@ class NotificationConsumer {
       // Fazer binding da fila ao exchange com routing key
       await this.channel.bindQueue(QUEUE_NAME, EXCHANGE, ROUTING_KEY);
 
-      console.log('✅ Notification Consumer conectado');
-      console.log(`📡 Exchange: ${EXCHANGE}`);
-      console.log(`📬 Queue: ${QUEUE_NAME}`);
-      console.log(`🔑 Routing Key: ${ROUTING_KEY}`);
-      console.log('⏳ Aguardando mensagens...\n');
+      logger.info('Notification Consumer conectado, aguardando mensagens', { exchange: EXCHANGE, queue: QUEUE_NAME, routingKey: ROUTING_KEY });
 
       // Configurar prefetch para processar uma mensagem por vez
       this.channel.prefetch(1);
@@ -42,56 +49,67 @@ class NotificationConsumer {
       // Consumir mensagens
       this.channel.consume(QUEUE_NAME, async (msg) => {
         if (msg !== null) {
-          await this.processMessage(msg);
+          const end = processingDuration.startTimer({ queue: QUEUE_NAME });
+          // Continua o trace do checkout com o contexto enviado nos headers pelo list-service
+          const outcome = await tracer.withSpan(`consume ${msg.fields.routingKey}`, {
+            kind: 'CONSUMER',
+            parent: tracer.extract(msg.properties.headers),
+            tags: { 'messaging.system': 'rabbitmq', 'messaging.destination': QUEUE_NAME }
+          }, () => this.processMessage(msg));
+          consumedMessages.inc({ queue: QUEUE_NAME, outcome });
+          end({ outcome });
         }
       });
 
       // Handlers de erro
       this.connection.on('error', (err) => {
-        console.error('❌ Erro na conexão:', err.message);
+        logger.error('Erro na conexão', { error: err.message });
       });
 
       this.connection.on('close', () => {
-        console.log('🔌 Conexão fechada');
+        logger.warn('Conexão fechada, reconectando em 5 segundos');
         setTimeout(() => this.connect(), 5000); // Reconectar após 5 segundos
       });
 
     } catch (error) {
-      console.error('❌ Erro ao conectar:', error.message);
-      console.log('🔄 Tentando reconectar em 5 segundos...');
+      logger.error('Erro ao conectar, tentando novamente em 5 segundos', { error: error.message });
       setTimeout(() => this.connect(), 5000);
     }
   }
 
+  // Retorna 'ack' ou 'nack'
   async processMessage(msg) {
     try {
       const content = msg.content.toString();
       const event = JSON.parse(content);
 
-      console.log('📨 Nova mensagem recebida!');
-      console.log('═══════════════════════════════════════════════════════════');
-      
       // Simular processamento de notificação
-      console.log(`📧 Enviando comprovante da lista [${event.list.id}] para o usuário [${event.user.email}]`);
-      console.log(`   Lista: ${event.list.name}`);
-      console.log(`   Itens: ${event.list.totalItems}`);
-      console.log(`   Total estimado: R$ ${event.list.estimatedTotal.toFixed(2)}`);
-      console.log(`   Timestamp: ${event.timestamp}`);
+      logger.info('Enviando comprovante da lista', {
+        listId: event.list.id,
+        listName: event.list.name,
+        userId: event.user.id,
+        email: event.user.email,
+        totalItems: event.list.totalItems,
+        estimatedTotal: event.list.estimatedTotal,
+        eventTimestamp: event.timestamp
+      });
       
       // Simular delay de processamento (envio de email)
       await new Promise(resolve => setTimeout(resolve, 500));
       
-      console.log('✅ Notificação enviada com sucesso!');
-      console.log('═══════════════════════════════════════════════════════════\n');
+      logger.info('Notificação enviada', { listId: event.list.id });
 
       // Confirmar processamento (ACK)
       this.channel.ack(msg);
+      return 'ack';
 
     } catch (error) {
-      console.error('❌ Erro ao processar mensagem:', error.message);
+      logger.error('Erro ao processar mensagem', { error: error.message });
+      tracer.currentSpan().setError(error);
       
       // Rejeitar mensagem e reenviar para a fila
       this.channel.nack(msg, false, true);
+      return 'nack';
     }
   }
 
@@ -103,9 +121,9 @@ class NotificationConsumer {
       if (this.connection) {
         await this.connection.close();
       }
-      console.log('✅ Consumer desconectado');
+      logger.info('Consumer desconectado');
     } catch (error) {
-      console.error('❌ Erro ao fechar conexão:', error.message);
+      logger.error('Erro ao fechar conexão', { error: error.message });
     }
   }
 }
@@ -115,18 +133,18 @@ const consumer = new NotificationConsumer();
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Encerrando Notification Consumer...');
+  logger.info('Encerrando Notification Consumer');
   await consumer.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('\n🛑 Encerrando Notification Consumer...');
+  logger.info('Encerrando Notification Consumer');
   await consumer.close();
   process.exit(0);
 });
 
 // Iniciar
-console.log('🚀 Notification Consumer - Log/Notification Service');
-console.log('════════════════════════════════════════════════════\n');
+logger.info('Iniciando Notification Consumer', { metrics: `http://localhost:${METRICS_PORT}/metrics` });
+metrics.listen(METRICS_PORT);
 consumer.connect();
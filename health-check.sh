@@ -40,8 +40,8 @@ check_port() {
 echo -e "${BLUE}🔍 Verificando conectividade das portas...${NC}"
 
 # Verificar se as portas estão abertas
-declare -a ports=("3000" "3001" "3002" "3003")
-declare -a services=("API Gateway" "User Service" "Item Service" "List Service")
+declare -a ports=("3000" "3001" "3002" "3003" "3004")
+declare -a services=("API Gateway" "User Service" "Item Service" "List Service" "Registry Service")
 
 all_ports_ok=true
 
@@ -73,6 +73,7 @@ services_healthy=0
 check_service "User Service" "http://localhost:3001" "3001" && ((services_healthy++))
 check_service "Item Service" "http://localhost:3002" "3002" && ((services_healthy++))  
 check_service "List Service" "http://localhost:3003" "3003" && ((services_healthy++))
+check_service "Registry Service" "http://localhost:3004" "3004" && ((services_healthy++))
 check_service "API Gateway" "http://localhost:3000" "3000" && ((services_healthy++))
 
 echo ""
@@ -103,7 +104,7 @@ fi
 echo ""
 
 # Resultado final
-if [ $services_healthy -eq 4 ]; then
+if [ $services_healthy -eq 5 ]; then
     echo -e "${GREEN}🎉 TODOS OS SERVIÇOS ESTÃO FUNCIONANDO PERFEITAMENTE!${NC}"
     echo ""
     echo -e "${BLUE}🚀 URLs para teste:${NC}"
@@ -114,7 +115,7 @@ if [ $services_healthy -eq 4 ]; then
     echo -e "${GREEN}✨ Para testar o sistema completo: ${YELLOW}node client-demo.js${NC}"
     exit 0
 else
-    echo -e "${RED}❌ $services_healthy/4 serviços estão funcionando${NC}"
+    echo -e "${RED}❌ $services_healthy/5 serviços estão funcionando${NC}"
     echo -e "${YELLOW}⚠️  Verifique os logs e tente reiniciar os serviços com falha${NC}"
     exit 1
 fi
@@ -13,30 +13,40 @@ if [[ $confirm != [sS] ]]; then
     exit 0
 fi
 
+# Não apagar arquivos que um serviço em execução ainda mantém bloqueados
+for lock in services/*/data/*.lock; do
+    [ -f "$lock" ] || continue
+    pid=$(sed -n 's/.*"pid":\([0-9]*\).*/\1/p' "$lock")
+    if [ -n "$pid" ] && kill -0 "$pid" 2>/dev/null; then
+        echo "❌ $lock está em uso pelo processo $pid. Pare os serviços antes de resetar os dados."
+        exit 1
+    fi
+done
+
 echo ""
 echo "🗑️  Removendo dados dos serviços..."
 
 # Remover dados do User Service
 if [ -d "services/user-service/data" ]; then
-    rm -rf services/user-service/data/*.json
+    rm -rf services/user-service/data/*.json services/user-service/data/*.journal services/user-service/data/*.lock services/user-service/data/*.sqlite*
     echo "✅ Dados do User Service removidos"
 fi
 
 # Remover dados do Item Service
 if [ -d "services/item-service/data" ]; then
-    rm -rf services/item-service/data/*.json
+    rm -rf services/item-service/data/*.json services/item-service/data/*.journal services/item-service/data/*.lock services/item-service/data/*.sqlite*
     echo "✅ Dados do Item Service removidos"
 fi
 
 # Remover dados do List Service
 if [ -d "services/list-service/data" ]; then
-    rm -rf services/list-service/data/*.json
+    rm -rf services/list-service/data/*.json services/list-service/data/*.journal services/list-service/data/*.lock services/list-service/data/*.sqlite*
     echo "✅ Dados do List Service removidos"
 fi
 
-# Remover registry
-if [ -f "shared/registry.json" ]; then
-    rm -f shared/registry.json
+# Remover registry (snapshot do Registry Service e arquivo do modo REGISTRY_MODE=file)
+if [ -f "services/registry-service/data/registry.json" ] || [ -f "shared/registry.json" ]; then
+    rm -f services/registry-service/data/registry.json shared/registry.json
     echo "✅ Service Registry limpo"
 fi
 
@@ -6,19 +6,45 @@ const { body, query, validationResult } = require('express-validator');
 
 // Importar classes compartilhadas
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { escapeRegExp } = require('../../shared/query');
+const { SearchIndex } = require('../../shared/searchIndex');
+const { VersionConflictError, SchemaValidationError } = require('../../shared/errors');
+const { formatEtag, parseIfMatch } = require('../../shared/etag');
 const { getServiceRegistry } = require('../../shared/serviceRegistry');
+const HealthCheck = require('../../shared/healthCheck');
+const { getTracer } = require('../../shared/tracing');
+const { getLogger } = require('../../shared/logger');
+const { getMetrics } = require('../../shared/metrics');
+const database = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 const JWT_SECRET = process.env.JWT_SECRET || 'shopping-list-secret-key';
-
-// Database
-const itemDb = new JsonDatabase('items', './data');
+const logger = getLogger('item-service');
+const metrics = getMetrics();
+
+// Database (coleção, DATA_DIR e opções em ./database, também usado pelas migrações)
+const itemDb = new JsonDatabase(database.collection, database.dataDir, database.options);
+
+// Revisão do catálogo, alterada a cada mudança nos itens. Começa no horário de início para mudar
+// também quando o serviço reinicia; o gateway acompanha por GET /watch para invalidar o seu cache
+let catalogRevision = Date.now();
+itemDb.on('change', () => { catalogRevision++; });
+// Limite para o long-poll de GET /watch
+const MAX_WATCH_TIMEOUT = 60000;
+
+// Índice de busca textual, mantido em sincronia pelos eventos do itemDb
+const itemSearch = new SearchIndex({
+  fields: { name: 3, brand: 2, description: 1 }
+});
 
 // Middlewares
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '10mb' }));
+app.use(getTracer('item-service').middleware());
+app.use(logger.middleware());
+app.use(metrics.middleware());
 
 // Service Registry
 const serviceRegistry = getServiceRegistry();
@@ -37,6 +63,7 @@ const authenticateToken = (req, res, next) => {
       return res.status(403).json({ error: 'Token inválido' });
     }
     req.user = user;
+    req.span.setTag('user.id', user.id);
     next();
   });
 };
@@ -79,13 +106,13 @@ const initialItems = [
 
 // Inicializar dados se não existirem
 async function initializeData() {
-  const existingItems = await itemDb.findAll();
+  const existingItems = await itemDb.findAll({}, { withDeleted: true });
   if (existingItems.length === 0) {
-    console.log('📦 Criando dados iniciais de itens...');
+    logger.info('Criando dados iniciais de itens');
     for (const item of initialItems) {
       await itemDb.create(item);
     }
-    console.log(`✅ ${initialItems.length} itens criados`);
+    logger.info('Itens iniciais criados', { count: initialItems.length });
   }
 }
 
@@ -103,14 +130,41 @@ const searchValidation = [
 
 // Routes
 
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'item-service',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
+// Health Check: /health/live, /health/ready e /health
+const health = new HealthCheck('item-service');
+health.register('database', () => itemDb.checkHealth());
+health.routes(app);
+
+// Métricas (Prometheus): GET /metrics
+metrics.instrumentDatabase(itemDb);
+metrics.instrumentRegistry(serviceRegistry);
+metrics.routes(app);
+
+// Long-poll: responde com a revisão do catálogo assim que ela for diferente de `since`,
+// ou com 304 se nada mudar em `timeout` ms
+app.get('/watch', (req, res) => {
+  const since = parseInt(req.query.since);
+  const timeout = Math.min(parseInt(req.query.timeout) || 30000, MAX_WATCH_TIMEOUT);
+
+  if (since !== catalogRevision) {
+    return res.json({ revision: catalogRevision });
+  }
+
+  const onChange = () => {
+    cleanup();
+    res.json({ revision: catalogRevision });
+  };
+  const timer = setTimeout(() => {
+    cleanup();
+    res.status(304).end();
+  }, timeout);
+  const cleanup = () => {
+    clearTimeout(timer);
+    itemDb.off('change', onChange);
+  };
+
+  itemDb.on('change', onChange);
+  res.on('close', cleanup);
 });
 
 // GET /items - Listar itens com filtros
@@ -128,32 +182,31 @@ app.get('/items', async (req, res) => {
       filter.active = active === 'true';
     }
 
-    let items = await itemDb.findAll(filter);
-
     // Filtro por nome (busca parcial)
     if (name) {
-      const nameRegex = new RegExp(name, 'i');
-      items = items.filter(item => nameRegex.test(item.name));
+      filter.name = { $regex: escapeRegExp(name), $options: 'i' };
     }
 
-    // Paginação simples
-    const startIndex = (parseInt(page) - 1) * parseInt(limit);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedItems = items.slice(startIndex, endIndex);
+    // Paginação feita pelo banco
+    const total = await itemDb.count(filter);
+    const paginatedItems = await itemDb.findAll(filter, {
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      limit: parseInt(limit)
+    });
 
     res.json({
       items: paginatedItems,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: items.length,
-        pages: Math.ceil(items.length / parseInt(limit))
+        total,
+        pages: Math.ceil(total / parseInt(limit))
       },
       filters: { category, name, active }
     });
 
   } catch (error) {
-    console.error('Erro ao buscar itens:', error);
+    logger.error('Erro ao buscar itens', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -168,10 +221,11 @@ app.get('/items/:id', async (req, res) => {
       return res.status(404).json({ error: 'Item não encontrado' });
     }
 
+    res.set('ETag', formatEtag(item));
     res.json({ item });
 
   } catch (error) {
-    console.error('Erro ao buscar item:', error);
+    logger.error('Erro ao buscar item', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -206,13 +260,20 @@ app.post('/items', authenticateToken, createItemValidation, async (req, res) =>
       active
     });
 
+    res.set('ETag', formatEtag(newItem));
     res.status(201).json({
       message: 'Item criado com sucesso',
       item: newItem
     });
 
   } catch (error) {
-    console.error('Erro ao criar item:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    logger.error('Erro ao criar item', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -233,18 +294,90 @@ app.put('/items/:id', authenticateToken, async (req, res) => {
     if (description !== undefined) updates.description = description;
     if (active !== undefined) updates.active = active;
 
-    const updatedItem = await itemDb.updateById(id, updates);
+    // If-Match: rejeitar a alteração se o item mudou desde a leitura do cliente
+    const updatedItem = await itemDb.updateById(id, updates, {
+      expectedVersion: parseIfMatch(req.headers['if-match'])
+    });
     if (!updatedItem) {
       return res.status(404).json({ error: 'Item não encontrado' });
     }
 
+    res.set('ETag', formatEtag(updatedItem));
     res.json({
       message: 'Item atualizado com sucesso',
       item: updatedItem
     });
 
   } catch (error) {
-    console.error('Erro ao atualizar item:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'O item foi modificado por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao atualizar item', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /items/:id - Mover item para a lixeira (requer autenticação)
+app.delete('/items/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deletedItem = await itemDb.deleteById(id, {
+      expectedVersion: parseIfMatch(req.headers['if-match'])
+    });
+    if (!deletedItem) {
+      return res.status(404).json({ error: 'Item não encontrado' });
+    }
+
+    res.json({ message: 'Item movido para a lixeira' });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'O item foi modificado por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao remover item', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /items/:id/restore - Restaurar item da lixeira (requer autenticação)
+app.post('/items/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restoredItem = await itemDb.restoreById(id, {
+      expectedVersion: parseIfMatch(req.headers['if-match'])
+    });
+    if (!restoredItem) {
+      return res.status(404).json({ error: 'Item não encontrado na lixeira' });
+    }
+
+    res.set('ETag', formatEtag(restoredItem));
+    res.json({
+      message: 'Item restaurado com sucesso',
+      item: restoredItem
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'O item foi modificado por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao restaurar item', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -265,7 +398,7 @@ app.get('/categories', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao buscar categorias:', error);
+    logger.error('Erro ao buscar categorias', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -287,7 +420,13 @@ app.get('/search', searchValidation, async (req, res) => {
       return res.json({ items: [], query: q });
     }
 
-    let items = await itemDb.search(q, ['name', 'description', 'brand']);
+    // Resultados já vêm ordenados por relevância
+    const results = itemSearch.search(q);
+    let items = [];
+    for (const { id, score } of results) {
+      const item = await itemDb.findById(id);
+      if (item) items.push({ ...item, score });
+    }
 
     // Filtrar por categoria se especificada
     if (category) {
@@ -308,7 +447,7 @@ app.get('/search', searchValidation, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro na busca:', error);
+    logger.error('Erro na busca', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -337,14 +476,14 @@ app.get('/stats', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao buscar estatísticas:', error);
+    logger.error('Erro ao buscar estatísticas', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Erro não tratado:', error);
+  logger.error('Erro não tratado', error);
   res.status(500).json({ error: 'Erro interno do servidor' });
 });
 
@@ -358,37 +497,38 @@ async function startService() {
   try {
     // Inicializar banco de dados
     await itemDb.initialize();
+    await itemSearch.attach(itemDb);
     await initializeData();
 
     // Registrar no Service Registry
     await serviceRegistry.initialize();
     await serviceRegistry.registerService('item-service', `http://localhost:${PORT}`, {
       version: '1.0.0',
+      weight: parseFloat(process.env.SERVICE_WEIGHT) || 1,
       tags: ['items', 'catalog', 'products'],
-      endpoints: ['/items', '/categories', '/search']
+      endpoints: ['/items', '/categories', '/search', '/watch']
     });
 
     // Iniciar servidor
     app.listen(PORT, () => {
-      console.log(`📦 Item Service rodando na porta ${PORT}`);
-      console.log(`📊 Database: ${itemDb.filename}`);
-      console.log(`🏷️  Categorias: Alimentos, Limpeza, Higiene, Bebidas, Padaria`);
+      logger.info('Item Service rodando', { port: PORT, database: itemDb.filename });
     });
 
   } catch (error) {
-    console.error('❌ Erro ao iniciar Item Service:', error);
+    logger.error('Erro ao iniciar Item Service', error);
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Desligando Item Service...');
+  logger.info('Desligando Item Service');
   try {
     await serviceRegistry.unregisterService('item-service');
     await serviceRegistry.shutdown();
+    await itemDb.close();
   } catch (error) {
-    console.error('Erro no shutdown:', error);
+    logger.error('Erro no shutdown', error);
   }
   process.exit(0);
 });
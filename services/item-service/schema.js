@@ -0,0 +1,14 @@
+// Schema da coleção items (validado pelo JsonDatabase em create/updateById)
+module.exports = {
+  strict: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 1 },
+    category: { type: 'string', required: true, minLength: 1 },
+    brand: { type: 'string' },
+    unit: { type: 'string', required: true, minLength: 1 },
+    averagePrice: { type: 'number', required: true, min: 0 },
+    barcode: { type: 'string' },
+    description: { type: 'string' },
+    active: { type: 'boolean', required: true }
+  }
+};
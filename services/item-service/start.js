@@ -1,5 +1,5 @@
 #!/usr/bin/env node
 
 // Script de inicialização do Item Service
-console.log('🚀 Iniciando Item Service...');
+require('../../shared/logger').getLogger('item-service').info('Iniciando Item Service');
 require('./index.js');
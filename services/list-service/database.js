@@ -0,0 +1,22 @@
+const path = require('path');
+
+// Lixeira: listas removidas são apagadas definitivamente após o período de retenção
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Coleção do serviço e opções do JsonDatabase, compartilhadas pelo servidor (index.js) e pelas
+// migrações (shared/migrate.js). Cada instância precisa do próprio DATA_DIR: o lock do
+// JsonDatabase impede que duas instâncias usem o mesmo diretório
+module.exports = {
+  collection: 'lists',
+  dataDir: process.env.DATA_DIR || './data',
+  options: {
+    schema: require('./schema'),
+    migrations: path.join(__dirname, 'migrations'),
+    indexes: ['userId'],
+    // Listas na lixeira recebem expiresAt e são removidas pela varredura do JsonDatabase
+    softDelete: { retention: TRASH_RETENTION_MS }
+  },
+  TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_MS
+};
@@ -7,26 +7,46 @@ const { body, validationResult } = require('express-validator');
 
 // Importar classes compartilhadas
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { VersionConflictError, SchemaValidationError } = require('../../shared/errors');
+const { formatEtag, parseIfMatch } = require('../../shared/etag');
 const { getServiceRegistry } = require('../../shared/serviceRegistry');
+const HealthCheck = require('../../shared/healthCheck');
+const { getTracer } = require('../../shared/tracing');
+const { getLogger } = require('../../shared/logger');
+const { getMetrics } = require('../../shared/metrics');
+const { ServiceClient, deadlineMiddleware } = require('../../shared/httpClient');
 const RabbitMQService = require('./rabbitmq');
+const database = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 const JWT_SECRET = process.env.JWT_SECRET || 'shopping-list-secret-key';
+const logger = getLogger('list-service');
+const metrics = getMetrics();
 
-// Database
-const listDb = new JsonDatabase('lists', './data');
+// Database (coleção, DATA_DIR, opções e retenção da lixeira em ./database, também usado pelas migrações)
+const listDb = new JsonDatabase(database.collection, database.dataDir, database.options);
+const { TRASH_RETENTION_DAYS, TRASH_RETENTION_MS } = database;
+
+// Rastreamento (o contexto vem do gateway e segue para o Item Service, User Service e RabbitMQ)
+const tracer = getTracer('list-service');
 
 // RabbitMQ
 const rabbitMQ = new RabbitMQService();
 
 // Middlewares
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '10mb' }));
+app.use(tracer.middleware());
+app.use(logger.middleware());
+app.use(metrics.middleware());
+// Prazo recebido do gateway (X-Request-Timeout), repassado às chamadas ao Item e User Service
+app.use(deadlineMiddleware());
 
 // Service Registry
 const serviceRegistry = getServiceRegistry();
+const serviceClient = new ServiceClient(serviceRegistry);
 
 // Middleware de autenticação (obrigatório)
 const authenticateToken = (req, res, next) => {
@@ -42,27 +62,21 @@ const authenticateToken = (req, res, next) => {
       return res.status(403).json({ error: 'Token inválido' });
     }
     req.user = user;
+    req.span.setTag('user.id', user.id);
     next();
   });
 };
 
-// Helper para buscar item no Item Service
-async function getItemDetails(itemId) {
+// Helper para buscar item no Item Service (com novas tentativas, dentro do prazo da requisição)
+async function getItemDetails(itemId, deadline) {
   try {
-    const itemService = serviceRegistry.getService('item-service');
-    if (!itemService) {
-      throw new Error('Item Service não disponível');
-    }
-
-    const response = await axios.get(`${itemService.url}/items/${itemId}`, {
-      timeout: 5000
+    const response = await serviceClient.request('item-service', `/items/${itemId}`, {
+      deadline,
+      spanName: 'GET item-service/items/:id'
     });
-    
-    serviceRegistry.recordSuccess('item-service');
     return response.data.item;
   } catch (error) {
-    serviceRegistry.recordFailure('item-service');
-    console.error('Erro ao buscar item:', error.message);
+    logger.error('Erro ao buscar item', { itemId, error: error.message });
     return null;
   }
 }
@@ -82,6 +96,22 @@ function calculateListSummary(items) {
   };
 }
 
+// Data em que uma lista da lixeira será removida definitivamente
+function purgeDate(list) {
+  return list.expiresAt || new Date(Date.parse(list.deletedAt) + TRASH_RETENTION_MS).toISOString();
+}
+
+async function purgeTrash() {
+  try {
+    const purged = await listDb.purgeDeleted(TRASH_RETENTION_MS);
+    if (purged > 0) {
+      logger.info('Listas removidas definitivamente da lixeira', { purged });
+    }
+  } catch (error) {
+    logger.error('Erro ao esvaziar lixeira', error);
+  }
+}
+
 // Validadores
 const createListValidation = [
   body('name').notEmpty().withMessage('Nome da lista é obrigatório'),
@@ -102,15 +132,27 @@ const updateItemValidation = [
 
 // Routes
 
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'list-service',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+// Health Check: /health/live, /health/ready e /health.
+// Sem RabbitMQ ou Item Service o serviço continua atendendo, mas fica degraded
+const health = new HealthCheck('list-service');
+health.register('database', () => listDb.checkHealth());
+health.register('rabbitmq', () => rabbitMQ.checkHealth(), { critical: false });
+health.register('item-service', async () => {
+  const instance = serviceRegistry.getInstances('item-service')
+    .find(candidate => candidate.status !== 'unhealthy' && serviceRegistry.isCircuitClosed(candidate.id));
+  if (!instance) {
+    throw new Error('Nenhuma instância disponível no registry');
+  }
+
+  await axios.get(`${instance.url}/health/live`, { timeout: 2000 });
+  return { instance: instance.id };
+}, { critical: false });
+health.routes(app);
+
+// Métricas (Prometheus): GET /metrics, incluindo as publicações no RabbitMQ
+metrics.instrumentDatabase(listDb);
+metrics.instrumentRegistry(serviceRegistry);
+metrics.routes(app);
 
 // POST /lists - Criar nova lista
 app.post('/lists', authenticateToken, createListValidation, async (req, res) => {
@@ -138,13 +180,20 @@ app.post('/lists', authenticateToken, createListValidation, async (req, res) =>
       }
     });
 
+    res.set('ETag', formatEtag(newList));
     res.status(201).json({
       message: 'Lista criada com sucesso',
       list: newList
     });
 
   } catch (error) {
-    console.error('Erro ao criar lista:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    logger.error('Erro ao criar lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -159,15 +208,13 @@ app.get('/lists', authenticateToken, async (req, res) => {
       filter.status = status;
     }
 
-    const allLists = await listDb.findAll(filter);
-    
-    // Ordenar por data de atualização (mais recente primeiro)
-    allLists.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-
-    // Paginação
-    const startIndex = (parseInt(page) - 1) * parseInt(limit);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedLists = allLists.slice(startIndex, endIndex);
+    // Ordenação (mais recente primeiro) e paginação feitas pelo banco
+    const total = await listDb.count(filter);
+    const paginatedLists = await listDb.findAll(filter, {
+      sort: { updatedAt: -1 },
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      limit: parseInt(limit)
+    });
 
     // Recalcular resumos
     const listsWithSummary = paginatedLists.map(list => ({
@@ -180,14 +227,108 @@ app.get('/lists', authenticateToken, async (req, res) => {
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: allLists.length,
-        pages: Math.ceil(allLists.length / parseInt(limit))
+        total,
+        pages: Math.ceil(total / parseInt(limit))
       },
       filters: { status }
     });
 
   } catch (error) {
-    console.error('Erro ao buscar listas:', error);
+    logger.error('Erro ao buscar listas', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// GET /lists/trash - Listas do usuário na lixeira
+app.get('/lists/trash', authenticateToken, async (req, res) => {
+  try {
+    const trashedLists = await listDb.findAll(
+      { userId: req.user.id, deletedAt: { $exists: true } },
+      { withDeleted: true, sort: { deletedAt: -1 } }
+    );
+
+    res.json({
+      lists: trashedLists.map(list => ({ ...list, purgeAt: purgeDate(list) })),
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    logger.error('Erro ao buscar lixeira', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /lists/trash/:id - Remover definitivamente uma lista da lixeira
+app.delete('/lists/trash/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const list = await listDb.findById(id, { withDeleted: true });
+    if (!list || !list.deletedAt) {
+      return res.status(404).json({ error: 'Lista não encontrada na lixeira' });
+    }
+
+    if (list.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const deletedList = await listDb.deleteById(id, {
+      permanent: true,
+      expectedVersion: parseIfMatch(req.headers['if-match'])
+    });
+    if (!deletedList) {
+      return res.status(404).json({ error: 'Lista não encontrada na lixeira' });
+    }
+
+    res.json({ message: 'Lista removida definitivamente' });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao remover lista da lixeira', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /lists/:id/restore - Restaurar lista da lixeira
+app.post('/lists/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const list = await listDb.findById(id, { withDeleted: true });
+    if (!list || !list.deletedAt) {
+      return res.status(404).json({ error: 'Lista não encontrada na lixeira' });
+    }
+
+    if (list.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const restoredList = await listDb.restoreById(id, {
+      expectedVersion: parseIfMatch(req.headers['if-match'])
+    });
+    if (!restoredList) {
+      return res.status(404).json({ error: 'Lista não encontrada na lixeira' });
+    }
+
+    res.set('ETag', formatEtag(restoredList));
+    res.json({
+      message: 'Lista restaurada com sucesso',
+      list: restoredList
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao restaurar lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -215,10 +356,11 @@ app.get('/lists/:id', authenticateToken, async (req, res) => {
       summary
     };
 
+    res.set('ETag', formatEtag(list));
     res.json({ list: listWithSummary });
 
   } catch (error) {
-    console.error('Erro ao buscar lista:', error);
+    logger.error('Erro ao buscar lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -245,19 +387,42 @@ app.put('/lists/:id', authenticateToken, async (req, res) => {
       updates.status = status;
     }
 
-    const updatedList = await listDb.updateById(id, updates);
+    // Campos e resumo confirmados juntos, em uma única transação
+    const listWithSummary = await listDb.transaction(async (tx) => {
+      // If-Match: rejeitar a alteração se a lista mudou desde a leitura do cliente
+      const updatedList = await tx.updateById(id, updates, {
+        expectedVersion: parseIfMatch(req.headers['if-match'])
+      });
+      if (!updatedList) return null; // Removida em paralelo
 
-    // Recalcular resumo
-    const summary = calculateListSummary(updatedList.items || []);
-    await listDb.updateById(id, { summary });
+      // Recalcular resumo
+      const summary = calculateListSummary(updatedList.items || []);
+      return tx.updateById(id, { summary });
+    });
+    if (!listWithSummary) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
+    res.set('ETag', formatEtag(listWithSummary));
     res.json({
       message: 'Lista atualizada com sucesso',
-      list: { ...updatedList, summary }
+      list: listWithSummary
     });
 
   } catch (error) {
-    console.error('Erro ao atualizar lista:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao atualizar lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -276,12 +441,27 @@ app.delete('/lists/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Acesso negado' });
     }
 
-    await listDb.deleteById(id);
+    // A lista vai para a lixeira e pode ser restaurada até ser removida definitivamente
+    const trashedList = await listDb.deleteById(id, {
+      expectedVersion: parseIfMatch(req.headers['if-match'])
+    });
+    if (!trashedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
-    res.json({ message: 'Lista removida com sucesso' });
+    res.json({
+      message: 'Lista movida para a lixeira',
+      purgeAt: purgeDate(trashedList)
+    });
 
   } catch (error) {
-    console.error('Erro ao remover lista:', error);
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao remover lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -310,50 +490,66 @@ app.post('/lists/:id/items', authenticateToken, addItemValidation, async (req, r
     }
 
     // Buscar detalhes do item
-    const itemDetails = await getItemDetails(itemId);
+    const itemDetails = await getItemDetails(itemId, req.deadline);
     if (!itemDetails) {
       return res.status(404).json({ error: 'Item não encontrado ou serviço indisponível' });
     }
 
-    // Verificar se item já existe na lista
-    const existingItemIndex = list.items.findIndex(item => item.itemId === itemId);
-    
-    if (existingItemIndex >= 0) {
-      // Atualizar quantidade se item já existe
-      list.items[existingItemIndex].quantity += parseFloat(quantity);
-      list.items[existingItemIndex].notes = notes;
-      list.items[existingItemIndex].addedAt = new Date().toISOString();
-    } else {
-      // Adicionar novo item
-      const newListItem = {
-        itemId,
-        itemName: itemDetails.name,
-        quantity: parseFloat(quantity),
-        unit: itemDetails.unit,
-        estimatedPrice: itemDetails.averagePrice,
-        purchased: false,
-        notes,
-        addedAt: new Date().toISOString()
-      };
-
-      list.items.push(newListItem);
-    }
+    // Alterar a lista dentro da fila de escrita, sobre a versão mais recente dos itens
+    const updatedList = await listDb.updateById(id, (currentList) => {
+      const items = currentList.items.map(item => ({ ...item }));
+
+      // Verificar se item já existe na lista
+      const existingItemIndex = items.findIndex(item => item.itemId === itemId);
+      
+      if (existingItemIndex >= 0) {
+        // Atualizar quantidade se item já existe
+        items[existingItemIndex].quantity += parseFloat(quantity);
+        items[existingItemIndex].notes = notes;
+        items[existingItemIndex].addedAt = new Date().toISOString();
+      } else {
+        // Adicionar novo item
+        const newListItem = {
+          itemId,
+          itemName: itemDetails.name,
+          quantity: parseFloat(quantity),
+          unit: itemDetails.unit,
+          estimatedPrice: itemDetails.averagePrice,
+          purchased: false,
+          notes,
+          addedAt: new Date().toISOString()
+        };
 
-    // Recalcular resumo
-    const summary = calculateListSummary(list.items);
+        items.push(newListItem);
+      }
 
-    const updatedList = await listDb.updateById(id, {
-      items: list.items,
-      summary
-    });
+      // Recalcular resumo
+      return { items, summary: calculateListSummary(items) };
+    }, { expectedVersion: parseIfMatch(req.headers['if-match']) });
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
+    res.set('ETag', formatEtag(updatedList));
     res.status(201).json({
       message: 'Item adicionado à lista com sucesso',
       list: updatedList
     });
 
   } catch (error) {
-    console.error('Erro ao adicionar item à lista:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao adicionar item à lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -386,32 +582,49 @@ app.put('/lists/:id/items/:itemId', authenticateToken, updateItemValidation, asy
       return res.status(404).json({ error: 'Item não encontrado na lista' });
     }
 
-    // Atualizar propriedades do item
-    if (quantity !== undefined) {
-      list.items[itemIndex].quantity = parseFloat(quantity);
-    }
-    if (purchased !== undefined) {
-      list.items[itemIndex].purchased = purchased;
-    }
-    if (notes !== undefined) {
-      list.items[itemIndex].notes = notes;
-    }
+    const updatedList = await listDb.updateById(id, (currentList) => {
+      const items = currentList.items.map(item => ({ ...item }));
+      const currentItem = items.find(item => item.itemId === itemId);
+      if (!currentItem) return null; // Removido em paralelo
 
-    // Recalcular resumo
-    const summary = calculateListSummary(list.items);
+      // Atualizar propriedades do item
+      if (quantity !== undefined) {
+        currentItem.quantity = parseFloat(quantity);
+      }
+      if (purchased !== undefined) {
+        currentItem.purchased = purchased;
+      }
+      if (notes !== undefined) {
+        currentItem.notes = notes;
+      }
 
-    const updatedList = await listDb.updateById(id, {
-      items: list.items,
-      summary
-    });
+      // Recalcular resumo
+      return { items, summary: calculateListSummary(items) };
+    }, { expectedVersion: parseIfMatch(req.headers['if-match']) });
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
+    res.set('ETag', formatEtag(updatedList));
     res.json({
       message: 'Item atualizado com sucesso',
       list: updatedList
     });
 
   } catch (error) {
-    console.error('Erro ao atualizar item na lista:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao atualizar item na lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -435,24 +648,31 @@ app.delete('/lists/:id/items/:itemId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Item não encontrado na lista' });
     }
 
-    // Remover item
-    list.items.splice(itemIndex, 1);
+    const updatedList = await listDb.updateById(id, (currentList) => {
+      // Remover item
+      const items = currentList.items.filter(item => item.itemId !== itemId);
 
-    // Recalcular resumo
-    const summary = calculateListSummary(list.items);
-
-    const updatedList = await listDb.updateById(id, {
-      items: list.items,
-      summary
-    });
+      // Recalcular resumo
+      return { items, summary: calculateListSummary(items) };
+    }, { expectedVersion: parseIfMatch(req.headers['if-match']) });
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
+    res.set('ETag', formatEtag(updatedList));
     res.json({
       message: 'Item removido da lista com sucesso',
       list: updatedList
     });
 
   } catch (error) {
-    console.error('Erro ao remover item da lista:', error);
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao remover item da lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -505,7 +725,7 @@ app.get('/lists/:id/summary', authenticateToken, async (req, res) => {
     res.json(detailedSummary);
 
   } catch (error) {
-    console.error('Erro ao buscar resumo da lista:', error);
+    logger.error('Erro ao buscar resumo da lista', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -524,15 +744,21 @@ app.post('/lists/:id/checkout', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Acesso negado' });
     }
 
-    // Atualizar status da lista para completed
-    const updatedList = await listDb.updateById(id, {
-      status: 'completed',
-      completedAt: new Date().toISOString()
+    const listWithSummary = await listDb.transaction(async (tx) => {
+      // Atualizar status da lista para completed
+      const updatedList = await tx.updateById(id, {
+        status: 'completed',
+        completedAt: new Date().toISOString()
+      }, { expectedVersion: parseIfMatch(req.headers['if-match']) });
+      if (!updatedList) return null; // Removida em paralelo
+
+      // Recalcular resumo
+      const summary = calculateListSummary(updatedList.items || []);
+      return tx.updateById(id, { summary });
     });
-
-    // Recalcular resumo
-    const summary = calculateListSummary(updatedList.items || []);
-    await listDb.updateById(id, { summary });
+    if (!listWithSummary) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
     // Buscar informações do usuário para o evento
     let userInfo = {
@@ -543,31 +769,30 @@ app.post('/lists/:id/checkout', authenticateToken, async (req, res) => {
 
     // Tentar buscar dados completos do usuário
     try {
-      const userService = serviceRegistry.getService('user-service');
-      if (userService) {
-        const response = await axios.get(`${userService.url}/users/${req.user.id}`, {
-          headers: { 'Authorization': req.headers['authorization'] },
-          timeout: 3000
-        });
-        if (response.data && response.data.user) {
-          userInfo = {
-            id: response.data.user.id,
-            email: response.data.user.email,
-            username: response.data.user.username
-          };
-        }
+      const response = await serviceClient.request('user-service', `/users/${req.user.id}`, {
+        headers: { 'Authorization': req.headers['authorization'] },
+        deadline: req.deadline,
+        timeout: 3000,
+        spanName: 'GET user-service/users/:id'
+      });
+      if (response.data && response.data.user) {
+        userInfo = {
+          id: response.data.user.id,
+          email: response.data.user.email,
+          username: response.data.user.username
+        };
       }
     } catch (error) {
-      console.warn('⚠️  Não foi possível buscar dados do usuário:', error.message);
+      logger.warn('Não foi possível buscar dados do usuário', { error: error.message });
     }
 
     // Publicar evento no RabbitMQ (assíncrono, não bloqueia a resposta)
-    const listWithSummary = { ...updatedList, summary };
     rabbitMQ.publishCheckoutEvent(listWithSummary, userInfo).catch(err => {
-      console.error('Erro ao publicar evento:', err);
+      logger.error('Erro ao publicar evento', err);
     });
 
     // Retornar 202 Accepted imediatamente
+    res.set('ETag', formatEtag(listWithSummary));
     res.status(202).json({
       message: 'Checkout processado com sucesso',
       list: listWithSummary,
@@ -576,7 +801,13 @@ app.post('/lists/:id/checkout', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao fazer checkout:', error);
+    if (error instanceof VersionConflictError) {
+      return res.status(412).json({
+        error: 'A lista foi modificada por outra requisição',
+        currentVersion: error.currentVersion
+      });
+    }
+    logger.error('Erro ao fazer checkout', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -605,14 +836,14 @@ app.get('/stats', authenticateToken, async (req, res) => {
     res.json(stats);
 
   } catch (error) {
-    console.error('Erro ao buscar estatísticas:', error);
+    logger.error('Erro ao buscar estatísticas', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Erro não tratado:', error);
+  logger.error('Erro não tratado', error);
   res.status(500).json({ error: 'Erro interno do servidor' });
 });
 
@@ -634,32 +865,35 @@ async function startService() {
     await serviceRegistry.initialize();
     await serviceRegistry.registerService('list-service', `http://localhost:${PORT}`, {
       version: '1.0.0',
+      weight: parseFloat(process.env.SERVICE_WEIGHT) || 1,
       tags: ['lists', 'shopping', 'management'],
-      endpoints: ['/lists', '/lists/:id', '/lists/:id/items', '/lists/:id/summary']
+      endpoints: ['/lists', '/lists/:id', '/lists/:id/items', '/lists/:id/summary', '/lists/trash', '/lists/:id/restore']
     });
 
+    // Listas enviadas à lixeira antes do expiresAt só são removidas aqui
+    await purgeTrash();
+
     // Iniciar servidor
     app.listen(PORT, () => {
-      console.log(`📝 List Service rodando na porta ${PORT}`);
-      console.log(`📊 Database: ${listDb.filename}`);
-      console.log(`🔗 Integração com Item Service configurada`);
+      logger.info('List Service rodando', { port: PORT, database: listDb.filename });
     });
 
   } catch (error) {
-    console.error('❌ Erro ao iniciar List Service:', error);
+    logger.error('Erro ao iniciar List Service', error);
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Desligando List Service...');
+  logger.info('Desligando List Service');
   try {
     await rabbitMQ.close();
     await serviceRegistry.unregisterService('list-service');
     await serviceRegistry.shutdown();
+    await listDb.close();
   } catch (error) {
-    console.error('Erro no shutdown:', error);
+    logger.error('Erro no shutdown', error);
   }
   process.exit(0);
 });
@@ -0,0 +1,8 @@
+// Listas finalizadas antes do checkout registrar a data não tinham completedAt
+module.exports = {
+  description: 'Adiciona completedAt às listas',
+  up: (list) => ({
+    ...list,
+    completedAt: list.completedAt || (list.status === 'completed' ? list.updatedAt : null)
+  })
+};
@@ -1,16 +1,31 @@
 const amqp = require('amqplib');
+const { getTracer } = require('../../shared/tracing');
+const { getLogger } = require('../../shared/logger');
+const { getMetrics } = require('../../shared/metrics');
+
+const logger = getLogger().child({ component: 'rabbitmq' });
+const publishedMessages = getMetrics().counter(
+  'rabbitmq_messages_published_total',
+  'Eventos publicados no RabbitMQ (outcome: published, failed ou unavailable)',
+  ['exchange', 'routing_key', 'outcome']
+);
 
 class RabbitMQService {
   constructor() {
     this.connection = null;
     this.channel = null;
+    this.connected = false;
     this.exchange = 'shopping_events';
     this.rabbitmqUrl = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
+
+    getMetrics().gauge('rabbitmq_connected', 'Conexão com o RabbitMQ (1 conectado, 0 desconectado)', [], {
+      collect: metric => metric.set({}, this.connected ? 1 : 0)
+    });
   }
 
   async connect() {
     try {
-      console.log('🐇 Conectando ao RabbitMQ...');
+      logger.info('Conectando ao RabbitMQ', { url: this.rabbitmqUrl });
       this.connection = await amqp.connect(this.rabbitmqUrl);
       this.channel = await this.connection.createChannel();
       
@@ -19,34 +34,47 @@ class RabbitMQService {
         durable: true
       });
       
-      console.log('✅ RabbitMQ conectado com sucesso');
-      console.log(`📡 Exchange: ${this.exchange}`);
+      this.connected = true;
+      logger.info('RabbitMQ conectado', { exchange: this.exchange });
       
       // Handlers para erros
       this.connection.on('error', (err) => {
-        console.error('❌ Erro na conexão RabbitMQ:', err.message);
+        logger.error('Erro na conexão RabbitMQ', { error: err.message });
       });
       
       this.connection.on('close', () => {
-        console.log('🔌 Conexão RabbitMQ fechada');
+        this.connected = false;
+        logger.warn('Conexão RabbitMQ fechada');
+      });
+
+      this.channel.on('close', () => {
+        this.connected = false;
       });
       
       return true;
     } catch (error) {
-      console.error('❌ Erro ao conectar ao RabbitMQ:', error.message);
-      console.log('⚠️  Serviço continuará sem mensageria');
+      logger.error('Erro ao conectar ao RabbitMQ; serviço continuará sem mensageria', { error: error.message });
       return false;
     }
   }
 
   async publishCheckoutEvent(listData, userData) {
+    const routingKey = 'list.checkout.completed';
+    const count = outcome => publishedMessages.inc({ exchange: this.exchange, routing_key: routingKey, outcome });
+
     if (!this.channel) {
-      console.warn('⚠️  RabbitMQ não disponível, evento não publicado');
+      logger.warn('RabbitMQ não disponível, evento não publicado', { listId: listData.id });
+      count('unavailable');
       return false;
     }
 
+    // Span PRODUCER filho da requisição de checkout; o contexto vai nos headers da mensagem
+    const span = getTracer('list-service').startSpan(`publish ${routingKey}`, {
+      kind: 'PRODUCER',
+      tags: { 'messaging.system': 'rabbitmq', 'messaging.destination': this.exchange, 'list.id': listData.id }
+    });
+
     try {
-      const routingKey = 'list.checkout.completed';
       const message = {
         eventType: 'checkout.completed',
         timestamp: new Date().toISOString(),
@@ -74,23 +102,37 @@ class RabbitMQService {
         {
           persistent: true,
           contentType: 'application/json',
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          headers: getTracer('list-service').inject({}, span)
         }
       );
 
       if (published) {
-        console.log(`📤 Evento publicado: ${routingKey}`);
-        console.log(`   Lista: ${listData.name} (${listData.id})`);
-        console.log(`   Usuário: ${userData.email}`);
+        logger.info('Evento publicado', { routingKey, listId: listData.id, listName: listData.name, userId: userData.id });
+        count('published');
         return true;
       } else {
-        console.warn('⚠️  Falha ao publicar evento');
+        logger.warn('Falha ao publicar evento', { routingKey, listId: listData.id });
+        span.setTag('error', 'buffer do canal cheio');
+        count('failed');
         return false;
       }
     } catch (error) {
-      console.error('❌ Erro ao publicar evento:', error.message);
+      logger.error('Erro ao publicar evento', { routingKey, listId: listData.id, error: error.message });
+      span.setError(error);
+      count('failed');
       return false;
+    } finally {
+      span.end();
+    }
+  }
+
+  // Health check do list-service
+  async checkHealth() {
+    if (!this.connected) {
+      throw new Error('RabbitMQ não conectado');
     }
+    return { exchange: this.exchange };
   }
 
   async close() {
@@ -101,9 +143,9 @@ class RabbitMQService {
       if (this.connection) {
         await this.connection.close();
       }
-      console.log('✅ RabbitMQ desconectado');
+      logger.info('RabbitMQ desconectado');
     } catch (error) {
-      console.error('❌ Erro ao fechar conexão RabbitMQ:', error.message);
+      logger.error('Erro ao fechar conexão RabbitMQ', { error: error.message });
     }
   }
 }
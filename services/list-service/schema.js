@@ -0,0 +1,36 @@
+// Schema da coleção lists (validado pelo JsonDatabase em create/updateById)
+module.exports = {
+  strict: true,
+  fields: {
+    userId: { type: 'string', required: true },
+    name: { type: 'string', required: true, minLength: 1 },
+    description: { type: 'string' },
+    status: { type: 'string', required: true, enum: ['active', 'completed', 'archived'] },
+    completedAt: { type: 'date', nullable: true },
+    items: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        fields: {
+          itemId: { type: 'string', required: true },
+          itemName: { type: 'string' },
+          quantity: { type: 'number', required: true, min: 0 },
+          unit: { type: 'string' },
+          estimatedPrice: { type: 'number', nullable: true },
+          purchased: { type: 'boolean' },
+          notes: { type: 'string' },
+          addedAt: { type: 'date' }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      fields: {
+        totalItems: { type: 'integer', min: 0 },
+        purchasedItems: { type: 'integer', min: 0 },
+        estimatedTotal: { type: 'number' }
+      }
+    }
+  }
+};
@@ -1,5 +1,5 @@
 #!/usr/bin/env node
 
 // Script de inicialização do List Service
-console.log('🚀 Iniciando List Service...');
+require('../../shared/logger').getLogger('list-service').info('Iniciando List Service');
 require('./index.js');
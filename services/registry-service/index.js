@@ -0,0 +1,227 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+
+// Importar classes compartilhadas
+const { ServiceRegistry } = require('../../shared/serviceRegistry');
+const FileLock = require('../../shared/storage/FileLock');
+const { DatabaseLockError } = require('../../shared/errors');
+const { validatePolicy } = require('../../shared/circuitBreaker');
+const { MAX_WEIGHT } = require('../../shared/loadBalancer');
+const HealthCheck = require('../../shared/healthCheck');
+const { getLogger } = require('../../shared/logger');
+const { getMetrics } = require('../../shared/metrics');
+const { getTracer } = require('../../shared/tracing');
+
+const app = express();
+const PORT = process.env.PORT || 3004;
+const logger = getLogger('registry-service');
+const metrics = getMetrics();
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Limite para o long-poll de GET /watch
+const MAX_WATCH_TIMEOUT = 60000;
+
+// Fonte da verdade do registry; o arquivo é apenas um snapshot para reinícios
+const registry = new ServiceRegistry(path.join(DATA_DIR, 'registry.json'), { authoritative: true });
+// Impede dois servidores gravando o mesmo snapshot (e sinaliza ao backup que o serviço está rodando)
+const dataLock = new FileLock(path.join(DATA_DIR, 'registry.json.lock'));
+
+// Middlewares
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(getTracer('registry-service').middleware());
+app.use(logger.middleware());
+app.use(metrics.middleware());
+
+function snapshot() {
+  return {
+    revision: registry.revision,
+    services: registry.getAllServices()
+  };
+}
+
+// Health Check: /health/live, /health/ready e /health
+const health = new HealthCheck('registry-service');
+health.register('snapshot', async () => {
+  if (!dataLock.acquired) {
+    throw new Error('Lock do snapshot não adquirido');
+  }
+  await fs.access(DATA_DIR, constants.W_OK);
+  return {
+    revision: registry.revision,
+    instances: registry.getAllServices().length,
+    ready: registry.getReadyServices().length
+  };
+});
+health.routes(app);
+
+// Métricas (Prometheus): GET /metrics
+metrics.instrumentRegistry(registry);
+metrics.routes(app);
+
+// Registrar instância (ou atualizar uma já registrada)
+app.post('/services', async (req, res) => {
+  try {
+    const { name, url, metadata = {} } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || typeof url !== 'string') {
+      return res.status(400).json({ error: 'name e url são obrigatórios' });
+    }
+    try {
+      new URL(url);
+    } catch (error) {
+      return res.status(400).json({ error: 'url inválida' });
+    }
+    if (typeof metadata !== 'object' || Array.isArray(metadata) || metadata === null) {
+      return res.status(400).json({ error: 'metadata deve ser um objeto' });
+    }
+    if (metadata.weight !== undefined) {
+      const { weight } = metadata;
+      if (typeof weight !== 'number' || !(weight > 0) || weight > MAX_WEIGHT) {
+        return res.status(400).json({ error: `metadata.weight deve ser um número maior que 0 e até ${MAX_WEIGHT}` });
+      }
+    }
+    if (metadata.circuitBreaker) {
+      try {
+        validatePolicy({ ...metadata.circuitBreaker });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    const instance = registry.upsertInstance(name.trim(), url, metadata);
+    await registry.saveRegistry();
+    logger.info('Serviço registrado', { serviceName: instance.name, instanceId: instance.id, url: instance.url });
+
+    res.status(201).json({ instance, leaseTtl: registry.leaseTtl });
+  } catch (error) {
+    logger.error('Erro ao registrar serviço', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Renovar a lease; 404 indica que a instância precisa se registrar de novo
+app.put('/services/:id/heartbeat', (req, res) => {
+  const instance = registry.renewInstance(req.params.id);
+  if (!instance) {
+    return res.status(404).json({ error: 'Instância não registrada' });
+  }
+
+  res.json({ id: instance.id, leaseExpiresAt: instance.leaseExpiresAt });
+});
+
+// Remover instância
+app.delete('/services/:id', async (req, res) => {
+  try {
+    const instance = registry.findInstance(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instância não registrada' });
+    }
+
+    registry.removeInstance(instance);
+    await registry.saveRegistry();
+    logger.info('Serviço removido', { serviceName: instance.name, instanceId: instance.id });
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Erro ao remover serviço', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Listar todas as instâncias
+app.get('/services', (req, res) => {
+  res.json(snapshot());
+});
+
+// Instâncias de um serviço
+app.get('/services/:name', (req, res) => {
+  const instances = registry.getInstances(req.params.name);
+  if (instances.length === 0) {
+    return res.status(404).json({ error: 'Serviço não encontrado' });
+  }
+
+  res.json({ revision: registry.revision, name: req.params.name, instances });
+});
+
+// Long-poll: responde com o snapshot assim que a revisão for diferente de `since`,
+// ou com 304 se nada mudar em `timeout` ms
+app.get('/watch', (req, res) => {
+  const since = parseInt(req.query.since);
+  const timeout = Math.min(parseInt(req.query.timeout) || 30000, MAX_WATCH_TIMEOUT);
+
+  if (since !== registry.revision) {
+    return res.json(snapshot());
+  }
+
+  const onChange = () => {
+    cleanup();
+    res.json(snapshot());
+  };
+  const timer = setTimeout(() => {
+    cleanup();
+    res.status(304).end();
+  }, timeout);
+  const cleanup = () => {
+    clearTimeout(timer);
+    registry.off('change', onChange);
+  };
+
+  registry.on('change', onChange);
+  res.on('close', cleanup);
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  logger.error('Erro não tratado', error);
+  res.status(500).json({ error: 'Erro interno do servidor' });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ error: 'Endpoint não encontrado' });
+});
+
+// Inicialização do serviço
+async function startService() {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await dataLock.acquire();
+
+    // Cada long-poll aberto registra um listener de 'change'
+    registry.setMaxListeners(0);
+    await registry.initialize();
+    registry.startLeaseSweeper();
+
+    app.listen(PORT, () => {
+      logger.info('Registry Service rodando', { port: PORT, leaseTtl: registry.leaseTtl });
+    });
+
+  } catch (error) {
+    if (error instanceof DatabaseLockError) {
+      logger.error(error.message);
+    } else {
+      logger.error('Erro ao iniciar Registry Service', error);
+    }
+    process.exit(1);
+  }
+}
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  logger.info('Desligando Registry Service');
+  try {
+    await registry.shutdown();
+    await dataLock.release();
+  } catch (error) {
+    logger.error('Erro no shutdown', error);
+  }
+  process.exit(0);
+});
+
+// Iniciar serviço
+startService();
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+// Script de inicialização do Registry Service
+require('../../shared/logger').getLogger('registry-service').info('Iniciando Registry Service');
+require('./index.js');
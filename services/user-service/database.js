@@ -0,0 +1,17 @@
+const path = require('path');
+
+// Coleção do serviço e opções do JsonDatabase, compartilhadas pelo servidor (index.js) e pelas
+// migrações (shared/migrate.js). Cada instância precisa do próprio DATA_DIR: o lock do
+// JsonDatabase impede que duas instâncias usem o mesmo diretório
+module.exports = {
+  collection: 'users',
+  dataDir: process.env.DATA_DIR || './data',
+  options: {
+    schema: require('./schema'),
+    migrations: path.join(__dirname, 'migrations'),
+    indexes: [
+      { field: 'email', unique: true },
+      { field: 'username', unique: true }
+    ]
+  }
+};
@@ -4,23 +4,33 @@ const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
 const { body, validationResult } = require('express-validator');
-const path = require('path');
 
 // Importar classes compartilhadas
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { UniqueConstraintError, SchemaValidationError } = require('../../shared/errors');
 const { getServiceRegistry } = require('../../shared/serviceRegistry');
+const HealthCheck = require('../../shared/healthCheck');
+const { getTracer } = require('../../shared/tracing');
+const { getLogger } = require('../../shared/logger');
+const { getMetrics } = require('../../shared/metrics');
+const database = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || 'shopping-list-secret-key';
+const logger = getLogger('user-service');
+const metrics = getMetrics();
 
-// Database
-const userDb = new JsonDatabase('users', './data');
+// Database (coleção, DATA_DIR e opções em ./database, também usado pelas migrações)
+const userDb = new JsonDatabase(database.collection, database.dataDir, database.options);
 
 // Middlewares
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(getTracer('user-service').middleware());
+app.use(logger.middleware());
+app.use(metrics.middleware());
 
 // Service Registry
 const serviceRegistry = getServiceRegistry();
@@ -46,6 +56,7 @@ const authenticateToken = (req, res, next) => {
     }
 
     req.user = user;
+    req.span.setTag('user.id', user.id);
     next();
   });
 };
@@ -84,15 +95,15 @@ const sanitizeUser = (user) => {
 
 // Routes
 
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'user-service',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+// Health Check: /health/live, /health/ready e /health
+const health = new HealthCheck('user-service');
+health.register('database', () => userDb.checkHealth());
+health.routes(app);
+
+// Métricas (Prometheus): GET /metrics
+metrics.instrumentDatabase(userDb);
+metrics.instrumentRegistry(serviceRegistry);
+metrics.routes(app);
 
 // POST /auth/register - Cadastro de usuário
 app.post('/auth/register', registerValidation, async (req, res) => {
@@ -108,16 +119,13 @@ app.post('/auth/register', registerValidation, async (req, res) => {
 
     const { email, username, password, firstName, lastName, preferences = {} } = req.body;
 
-    // Verificar se email já existe
-    const existingEmail = await userDb.findOne({ email });
-    if (existingEmail) {
-      return res.status(409).json({ error: 'Email já cadastrado' });
-    }
-
-    // Verificar se username já existe
-    const existingUsername = await userDb.findOne({ username });
-    if (existingUsername) {
-      return res.status(409).json({ error: 'Username já cadastrado' });
+    // Mantidas de propósito: evitam o hash bcrypt (custo 12, a parte cara do cadastro) para
+    // duplicados. Lançam o mesmo erro do índice único, que continua garantindo contra cadastros
+    // simultâneos, e as duas situações caem na mesma resposta do catch
+    for (const field of ['email', 'username']) {
+      if (await userDb.findOne({ [field]: req.body[field] })) {
+        throw new UniqueConstraintError(userDb.filename, field, req.body[field]);
+      }
     }
 
     // Hash da senha
@@ -148,7 +156,18 @@ app.post('/auth/register', registerValidation, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro no registro:', error);
+    // Email e username são índices únicos no banco
+    if (error instanceof UniqueConstraintError) {
+      const message = error.field === 'email' ? 'Email já cadastrado' : 'Username já cadastrado';
+      return res.status(409).json({ error: message });
+    }
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    logger.error('Erro no registro', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -195,7 +214,7 @@ app.post('/auth/login', loginValidation, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro no login:', error);
+    logger.error('Erro no login', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -220,7 +239,7 @@ app.get('/users/:id', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao buscar usuário:', error);
+    logger.error('Erro ao buscar usuário', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -243,20 +262,12 @@ app.put('/users/:id', authenticateToken, async (req, res) => {
     if (lastName) updates.lastName = lastName;
     if (preferences) updates.preferences = { ...preferences };
 
-    // Verificar mudanças de email/username
+    // Mudanças de email/username são validadas pelos índices únicos
     if (email && email !== req.user.email) {
-      const existingEmail = await userDb.findOne({ email });
-      if (existingEmail && existingEmail.id !== id) {
-        return res.status(409).json({ error: 'Email já está em uso' });
-      }
       updates.email = email;
     }
 
     if (username && username !== req.user.username) {
-      const existingUsername = await userDb.findOne({ username });
-      if (existingUsername && existingUsername.id !== id) {
-        return res.status(409).json({ error: 'Username já está em uso' });
-      }
       updates.username = username;
     }
 
@@ -271,7 +282,17 @@ app.put('/users/:id', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao atualizar usuário:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: error.errors
+      });
+    }
+    if (error instanceof UniqueConstraintError) {
+      const message = error.field === 'email' ? 'Email já está em uso' : 'Username já está em uso';
+      return res.status(409).json({ error: message });
+    }
+    logger.error('Erro ao atualizar usuário', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -292,14 +313,14 @@ app.get('/stats', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Erro ao buscar estatísticas:', error);
+    logger.error('Erro ao buscar estatísticas', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Erro não tratado:', error);
+  logger.error('Erro não tratado', error);
   res.status(500).json({ error: 'Erro interno do servidor' });
 });
 
@@ -318,31 +339,31 @@ async function startService() {
     await serviceRegistry.initialize();
     await serviceRegistry.registerService('user-service', `http://localhost:${PORT}`, {
       version: '1.0.0',
+      weight: parseFloat(process.env.SERVICE_WEIGHT) || 1,
       tags: ['auth', 'users'],
       endpoints: ['/auth/register', '/auth/login', '/users/:id']
     });
 
     // Iniciar servidor
     app.listen(PORT, () => {
-      console.log(`👤 User Service rodando na porta ${PORT}`);
-      console.log(`📊 Database: ${userDb.filename}`);
-      console.log(`🔐 JWT Secret: ${JWT_SECRET.substring(0, 10)}...`);
+      logger.info('User Service rodando', { port: PORT, database: userDb.filename });
     });
 
   } catch (error) {
-    console.error('❌ Erro ao iniciar User Service:', error);
+    logger.error('Erro ao iniciar User Service', error);
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Desligando User Service...');
+  logger.info('Desligando User Service');
   try {
     await serviceRegistry.unregisterService('user-service');
     await serviceRegistry.shutdown();
+    await userDb.close();
   } catch (error) {
-    console.error('Erro no shutdown:', error);
+    logger.error('Erro no shutdown', error);
   }
   process.exit(0);
 });
@@ -0,0 +1,21 @@
+// Schema da coleção users (validado pelo JsonDatabase em create/updateById).
+// Campos com `encrypted: true` são cifrados em disco quando DATA_ENCRYPTION_KEYS está configurada
+module.exports = {
+  strict: true,
+  fields: {
+    email: { type: 'string', required: true, pattern: '^[^@\\s]+@[^@\\s]+$', encrypted: true },
+    username: { type: 'string', required: true, minLength: 3 },
+    password: { type: 'string', required: true },
+    firstName: { type: 'string', required: true, minLength: 1, encrypted: true },
+    lastName: { type: 'string', required: true, minLength: 1, encrypted: true },
+    preferences: {
+      type: 'object',
+      encrypted: true,
+      fields: {
+        defaultStore: { type: 'string' },
+        currency: { type: 'string' }
+      }
+    },
+    lastLogin: { type: 'date' }
+  }
+};
@@ -1,5 +1,5 @@
 #!/usr/bin/env node
 
 // Script de inicialização do User Service
-console.log('🚀 Iniciando User Service...');
+require('../../shared/logger').getLogger('user-service').info('Iniciando User Service');
 require('./index.js');
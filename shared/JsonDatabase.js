@@ -1,138 +1,859 @@
-const fs = require('fs').promises;
-const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { UniqueConstraintError, VersionConflictError, SchemaValidationError } = require('./errors');
+const { getPath, matchesFilter, applyQueryOptions, escapeRegExp } = require('./query');
+const { validateRecord, encryptedFields } = require('./schema');
+const { loadMigrations, latestVersion, planMigrations } = require('./migrations');
+const { Transaction } = require('./transaction');
+const { getStorageAdapter } = require('./storage');
+const { RecordCipher } = require('./encryption');
+const { getLogger } = require('./logger');
 
-class JsonDatabase {
-  constructor(filename, dataDir = './data') {
+const logger = getLogger().child({ component: 'database' });
+
+const CHANGE_TYPES = ['created', 'updated', 'deleted'];
+
+// Eventos emitidos após cada alteração persistida (inclusive em transações):
+//   'created' | 'updated' | 'deleted' e 'change' para todos os tipos, com
+//   { type, collection, id, before, after, timestamp } e `reason: 'expired'` na remoção por TTL
+class JsonDatabase extends EventEmitter {
+  constructor(filename, dataDir = './data', options = {}) {
+    super();
     this.filename = filename;
     this.dataDir = dataDir;
-    this.filepath = path.join(dataDir, `${filename}.json`);
-    this.data = [];
+    this.records = new Map(); // id -> registro, na ordem de inserção
     this.initialized = false;
+    this.initializing = null;
+
+    // Armazenamento: 'json' (padrão), 'sqlite', 'memory' ou uma instância de StorageAdapter
+    this.storage = options.storage && typeof options.storage === 'object'
+      ? options.storage
+      : getStorageAdapter(dataDir, options.storage);
+
+    // Índices secundários: [{ field: 'email', unique: true }, 'userId']
+    this.indexes = new Map();
+    (options.indexes || []).forEach(index => {
+      const definition = typeof index === 'string' ? { field: index } : index;
+      this.defineIndex(definition.field, definition);
+    });
+
+    // Schema validado em create/updateById (ver ./schema) e migrações aplicadas no initialize
+    this.schema = options.schema || null;
+    this.migrations = loadMigrations(options.migrations);
+    this.dryRunMigrations = Boolean(options.dryRunMigrations);
+    this.schemaVersion = null;
+
+    // Exclusão lógica: deleteById marca `deletedAt` e o registro vai para a lixeira.
+    // Com { retention: ms } o registro na lixeira também recebe `expiresAt`
+    this.softDelete = Boolean(options.softDelete);
+    this.trashRetention = (options.softDelete && options.softDelete.retention) || null;
+
+    // Registros com `expiresAt` vencido somem das leituras e são removidos pela varredura
+    this.sweepInterval = options.sweepInterval || 60 * 1000; // 1 minuto
+    this.sweepTimer = null;
+
+    // Criptografia em repouso (ver ./encryption): campos do schema com `encrypted: true`,
+    // { fields: [...] } ou { mode: 'record' }
+    const schemaFields = this.schema ? encryptedFields(this.schema) : [];
+    const encryption = options.encryption || (schemaFields.length > 0 ? {} : null);
+    this.cipher = encryption ? new RecordCipher(filename, { fields: schemaFields, ...encryption }) : null;
+    if (this.cipher && !this.cipher.enabled) {
+      logger.warn('DATA_ENCRYPTION_KEYS não configurada, dados gravados sem criptografia', { collection: filename });
+    }
+
+    // Compactação do armazenamento (journal do adaptador json)
+    this.pendingOperations = 0;
+    this.compactThreshold = options.compactThreshold || 100; // operações
+    this.compactInterval = options.compactInterval || 5 * 60 * 1000; // 5 minutos
+    this.compactTimer = null;
+
+    // Cada watch() adiciona um ouvinte
+    this.setMaxListeners(0);
+
+    // Fila de escrita: mutações são executadas uma de cada vez, na ordem de chegada
+    this.writeQueue = Promise.resolve();
+
+    if (!this.storage.databases.has(filename)) {
+      this.storage.databases.set(filename, this);
+    }
+  }
+
+  // Outra coleção no mesmo dataDir (reutiliza a instância já aberta neste processo)
+  collection(name) {
+    return this.storage.databases.get(name) ||
+      new JsonDatabase(name, this.dataDir, { storage: this.storage });
   }
 
   async initialize() {
     if (this.initialized) return;
 
+    // Chamadas concorrentes aguardam a mesma inicialização (e o mesmo lock)
+    if (!this.initializing) {
+      this.initializing = this.load().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  async load() {
+    if (this.dryRunMigrations) return this.loadDryRun();
+
+    let stored = [];
     try {
-      // Criar diretório se não existir
-      await fs.mkdir(this.dataDir, { recursive: true });
+      const { records, created, recovered } = await this.storage.load(this.filename);
+      stored = records;
+      this.records = new Map(records.map(record => [record.id, this.cipher ? this.cipher.decrypt(record) : record]));
+      this.normalizeVersions();
+      this.rebuildIndexes();
 
-      // Tentar carregar dados existentes
-      try {
-        const fileData = await fs.readFile(this.filepath, 'utf8');
-        this.data = JSON.parse(fileData);
-        console.log(`📊 Database ${this.filename} carregado com ${this.data.length} registros`);
-      } catch (error) {
-        // Arquivo não existe, criar vazio
-        this.data = [];
-        await this.save();
-        console.log(`📊 Database ${this.filename} criado`);
+      if (created) {
+        logger.info('Database criado', { collection: this.filename });
+      } else {
+        logger.info('Database carregado', { collection: this.filename, records: this.records.size });
+      }
+      if (recovered > 0) {
+        logger.info('Operações recuperadas do journal', { collection: this.filename, recovered });
       }
 
+      await this.migrate(created);
+      await this.reencrypt(records);
+
+      this.startCompaction();
+      this.startSweeper();
       this.initialized = true;
     } catch (error) {
-      console.error(`❌ Erro ao inicializar database ${this.filename}:`, error);
+      logger.error('Erro ao inicializar database', { collection: this.filename, error });
+      // Liberar a coleção (e o lock) se o adaptador chegou a carregá-la. Se os registros nem
+      // chegaram à memória (ex.: falha ao decifrar), o adaptador consolida o que foi lido
+      const records = this.records.size > 0 || stored.length === 0 ? this.storedRecords() : stored;
+      await this.storage.close(this.filename, records).catch(() => {});
       throw error;
     }
   }
 
-  async save() {
+  // Dry-run das migrações: lê o estado gravado sem abrir a coleção no adaptador (sem lock,
+  // journal ou compactação) e apenas exibe o que seria alterado. A coleção precisa existir
+  async loadDryRun() {
+    const stored = await this.storage.read(this.filename);
+    if (!stored) {
+      throw new Error(`Database ${this.filename} não encontrado em ${this.dataDir}`);
+    }
+
+    this.records = new Map(stored.records.map(record => [record.id, this.cipher ? this.cipher.decrypt(record) : record]));
+    this.normalizeVersions();
+    this.rebuildIndexes();
+    await this.migrate(false, stored.meta);
+    this.initialized = true;
+  }
+
+  // Aplica as migrações com versão maior que a schemaVersion gravada junto com os dados.
+  // Em dry-run apenas exibe o que seria alterado, sem gravar nada
+  async migrate(created, meta = null) {
+    meta = meta || await this.storage.loadMeta(this.filename);
+    const targetVersion = latestVersion(this.migrations);
+
+    // Uma coleção nova já nasce na versão mais recente
+    if (created) {
+      if (!this.dryRunMigrations) {
+        await this.storage.saveMeta(this.filename, { ...meta, schemaVersion: targetVersion });
+      }
+      this.schemaVersion = targetVersion;
+      return;
+    }
+
+    const currentVersion = meta.schemaVersion || 0;
+    this.schemaVersion = currentVersion;
+    if (currentVersion > targetVersion) {
+      throw new Error(`Database ${this.filename} está na versão ${currentVersion} do schema, mais nova que a última migração conhecida (${targetVersion})`);
+    }
+    if (currentVersion === targetVersion) return;
+
+    const plan = await planMigrations(Array.from(this.records.values()), this.migrations, currentVersion);
+    const invalid = this.schema
+      ? plan.records.map(record => validateRecord(this.schema, record)).filter(errors => errors.length > 0)
+      : [];
+
+    if (this.dryRunMigrations) {
+      plan.steps.forEach(step => {
+        logger.info('[dry-run] Migração alteraria registros', { collection: this.filename, version: step.version, description: step.description, changed: step.changed });
+      });
+      if (invalid.length > 0) {
+        logger.warn('[dry-run] Registros ficariam inválidos', { collection: this.filename, invalid: invalid.length, error: new SchemaValidationError(this.filename, invalid[0]).message });
+      }
+      logger.info('[dry-run] Nada foi gravado', { collection: this.filename, fromVersion: currentVersion, toVersion: plan.toVersion });
+      return;
+    }
+
+    // Nada é gravado se o resultado não respeitar o schema
+    if (invalid.length > 0) {
+      throw new SchemaValidationError(this.filename, invalid[0]);
+    }
+
+    const migratedIds = new Set(plan.records.map(record => record.id));
+    const entries = [];
+    this.records.forEach((record, id) => {
+      if (!migratedIds.has(id)) entries.push({ op: 'delete', id });
+    });
+    plan.records.forEach(record => {
+      const previous = this.records.get(record.id);
+      if (JSON.stringify(record) !== JSON.stringify(previous)) {
+        entries.push({ op: 'update', record: { ...record, version: previous.version + 1 } });
+      }
+    });
+
+    if (entries.length > 0) {
+      await this.storage.commit(this.filename, this.storedEntries(entries));
+      this.applyEntries(entries);
+      await this.compact();
+    }
+    await this.storage.saveMeta(this.filename, {
+      ...meta,
+      schemaVersion: plan.toVersion,
+      migratedAt: new Date().toISOString()
+    });
+    this.schemaVersion = plan.toVersion;
+
+    plan.steps.forEach(step => {
+      logger.info('Migração aplicada', { collection: this.filename, version: step.version, description: step.description, changed: step.changed });
+    });
+  }
+
+  // Regrava registros salvos sem criptografia ou com uma chave antiga (rotação de chaves)
+  async reencrypt(stored) {
+    if (!this.cipher || this.dryRunMigrations) return;
+
+    const entries = stored
+      .filter(record => this.records.has(record.id) && this.cipher.needsReencryption(record))
+      .map(record => ({ op: 'update', record: this.records.get(record.id) }));
+    if (entries.length === 0) return;
+
+    await this.storage.commit(this.filename, this.storedEntries(entries));
+    await this.compact();
+    logger.info('Registros cifrados', { collection: this.filename, records: entries.length, keyId: this.cipher.activeKeyId });
+  }
+
+  // Entradas e registros no formato gravado pelo adaptador (cifrados, se configurado)
+  storedEntries(entries) {
+    return this.cipher ? this.cipher.encryptEntries(entries) : entries;
+  }
+
+  storedRecords() {
+    const records = Array.from(this.records.values());
+    return this.cipher ? records.map(record => this.cipher.encrypt(record)) : records;
+  }
+
+  // Enfileira uma mutação; uma falha não impede as operações seguintes
+  enqueueWrite(operation) {
+    const result = this.writeQueue.then(() => operation());
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Registros gravados antes do controle de versão começam na versão 1
+  normalizeVersions() {
+    this.records.forEach(record => {
+      if (!Number.isInteger(record.version)) record.version = 1;
+    });
+  }
+
+  // Controle de concorrência otimista: `expected` pode ser uma versão ou uma lista delas
+  assertVersion(record, expected) {
+    if (expected === undefined) return;
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    if (!accepted.includes(record.version)) {
+      throw new VersionConflictError(this.filename, record.id, expected, record.version);
+    }
+  }
+
+  // Lança SchemaValidationError se o registro não respeitar o schema da coleção
+  assertSchema(record) {
+    if (!this.schema) return;
+    const errors = validateRecord(this.schema, record);
+    if (errors.length > 0) {
+      throw new SchemaValidationError(this.filename, errors);
+    }
+  }
+
+  // Persiste as entradas no adaptador. Deve ser chamado de dentro da fila de escrita
+  // Grava as entradas e só então as aplica em memória: se o armazenamento falhar, a memória
+  // continua igual ao que está em disco (como em commitTransaction)
+  async persist(entries) {
+    await this.storage.commit(this.filename, this.storedEntries(entries));
+    this.applyEntries(entries);
+    this.pendingOperations++;
+
+    if (this.pendingOperations >= this.compactThreshold) {
+      await this.compact();
+    }
+  }
+
+  // Consolida o armazenamento a partir do estado em memória.
+  // Deve ser chamado de dentro da fila de escrita
+  async compact() {
+    await this.storage.compact(this.filename, this.storedRecords());
+    this.pendingOperations = 0;
+  }
+
+  startCompaction() {
+    if (this.compactTimer) {
+      clearInterval(this.compactTimer);
+    }
+
+    this.compactTimer = setInterval(() => {
+      if (this.pendingOperations === 0) return;
+      this.enqueueWrite(() => this.compact()).catch(error => {
+        logger.error('Erro ao compactar database', { collection: this.filename, error });
+      });
+    }, this.compactInterval);
+
+    // Não manter o processo vivo apenas por causa da compactação
+    this.compactTimer.unref();
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        logger.error('Erro ao remover registros expirados', { collection: this.filename, error });
+      });
+    }, this.sweepInterval);
+
+    this.sweepTimer.unref();
+  }
+
+  // Compacta e libera recursos ao desligar
+  async close() {
+    if (!this.initialized) return;
+
+    if (this.compactTimer) {
+      clearInterval(this.compactTimer);
+      this.compactTimer = null;
+    }
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    // Em dry-run a coleção não foi aberta no adaptador: nada a consolidar nem liberar
+    if (!this.dryRunMigrations) {
+      await this.enqueueWrite(() => this.storage.close(this.filename, this.storedRecords()));
+    }
+    this.initialized = false;
+    this.emit('close');
+
+    if (this.storage.databases.get(this.filename) === this) {
+      this.storage.databases.delete(this.filename);
+    }
+  }
+
+  // Health check (ver ./healthCheck): coleção carregada e armazenamento gravável
+  async checkHealth() {
+    if (!this.initialized) {
+      throw new Error(`Database ${this.filename} não carregado`);
+    }
+
+    await this.storage.check(this.filename);
+    return {
+      storage: this.storage.constructor.name,
+      records: this.records.size,
+      pendingOperations: this.pendingOperations
+    };
+  }
+
+  // Transações
+  //
+  //   await listDb.transaction(async (tx) => {
+  //     await tx.updateById(id, { status: 'completed' });
+  //     await tx.collection('history').create({ listId: id });
+  //   });
+  //
+  // As alterações ficam pendentes até `work` terminar e são confirmadas de uma vez;
+  // se `work` lançar um erro nada é aplicado.
+  async transaction(work) {
+    await this.initialize();
+
+    const tx = new Transaction(this);
+    const result = await work(tx);
+    await this.commitTransaction(tx);
+    return result;
+  }
+
+  async commitTransaction(tx) {
+    // Ordem fixa de aquisição das filas evita deadlock entre transações concorrentes
+    const collections = tx.changedCollections()
+      .sort((a, b) => a.db.filename.localeCompare(b.db.filename));
+    if (collections.length === 0) return;
+
+    const releases = [];
     try {
-      await fs.writeFile(this.filepath, JSON.stringify(this.data, null, 2));
+      for (const collection of collections) {
+        await collection.db.initialize();
+        releases.push(await collection.db.acquireWriteSlot());
+      }
+
+      collections.forEach(collection => collection.validate());
+
+      // O adaptador persiste todas as coleções como tudo-ou-nada
+      const batches = {};
+      collections.forEach(collection => {
+        batches[collection.db.filename] = collection.toJournalEntries();
+      });
+      const stored = {};
+      collections.forEach(collection => {
+        stored[collection.db.filename] = collection.db.storedEntries(batches[collection.db.filename]);
+      });
+      await this.storage.commitMany(stored);
+
+      for (const collection of collections) {
+        collection.db.applyEntries(batches[collection.db.filename]);
+        collection.db.pendingOperations++;
+      }
+
+      collections.forEach(collection => {
+        collection.staged.forEach(({ before, after }) => collection.db.emitChange(before, after));
+      });
+    } finally {
+      releases.forEach(release => release());
+    }
+  }
+
+  // Notifica os ouvintes; um ouvinte com erro não desfaz a alteração já persistida
+  emitChange(before, after, reason) {
+    if (!before && !after) return;
+
+    // Mover para a lixeira conta como exclusão
+    const trashed = after && after.deletedAt && !(before && before.deletedAt);
+    const type = !before ? 'created' : (!after || trashed ? 'deleted' : 'updated');
+    const change = {
+      type,
+      collection: this.filename,
+      id: (after || before).id,
+      before: before ? structuredClone(before) : null,
+      after: after ? structuredClone(after) : null,
+      timestamp: new Date().toISOString()
+    };
+    if (reason) change.reason = reason;
+
+    try {
+      this.emit(type, change);
+      this.emit('change', change);
+    } catch (error) {
+      logger.error('Erro em ouvinte do database', { collection: this.filename, event: type, error });
+    }
+  }
+
+  // Iterador assíncrono das alterações cujo registro (antes ou depois) atende ao filtro:
+  //
+  //   for await (const change of listDb.watch({ userId }, { types: ['updated'] })) { ... }
+  //
+  // Alterações ainda não consumidas ficam em fila. O iterador termina com `break`,
+  // com `options.signal` (AbortSignal) ou quando o database é fechado
+  watch(filter = {}, options = {}) {
+    const types = options.types || CHANGE_TYPES;
+    const pending = [];
+    let waiting = null;
+    let closed = false;
+
+    const onChange = change => {
+      if (!types.includes(change.type)) return;
+      if (![change.before, change.after].some(record => record && matchesFilter(record, filter))) return;
+
+      if (waiting) {
+        waiting({ value: change, done: false });
+        waiting = null;
+      } else {
+        pending.push(change);
+      }
+    };
+
+    const stop = () => {
+      if (closed) return;
+      closed = true;
+      this.off('change', onChange);
+      this.off('close', stop);
+      if (options.signal) options.signal.removeEventListener('abort', stop);
+      if (waiting) {
+        waiting({ value: undefined, done: true });
+        waiting = null;
+      }
+    };
+
+    this.on('change', onChange);
+    this.on('close', stop);
+    if (options.signal) {
+      if (options.signal.aborted) stop();
+      else options.signal.addEventListener('abort', stop, { once: true });
+    }
+
+    return {
+      next() {
+        if (pending.length > 0) return Promise.resolve({ value: pending.shift(), done: false });
+        if (closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => {
+          waiting = resolve;
+        });
+      },
+      return() {
+        stop();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  // Reserva a fila de escrita até que a função retornada seja chamada
+  acquireWriteSlot() {
+    return new Promise(resolveAcquired => {
+      this.enqueueWrite(() => new Promise(release => resolveAcquired(release)));
+    });
+  }
+
+  // Aplica em memória entradas já persistidas. Deve ser chamado com a fila adquirida
+  applyEntries(entries) {
+    entries.forEach(entry => {
+      if (entry.op === 'delete') {
+        this.removeRecord(entry.id);
+      } else {
+        this.storeRecord(entry.record);
+      }
+    });
+  }
+
+  // Índices secundários
+  defineIndex(field, options = {}) {
+    this.indexes.set(field, {
+      field,
+      unique: Boolean(options.unique),
+      entries: new Map() // valor -> Set de ids
+    });
+  }
+
+  // Cria um índice em tempo de execução; falha se os dados atuais violarem a unicidade
+  async createIndex(field, options = {}) {
+    await this.initialize();
+    this.defineIndex(field, options);
+    const index = this.indexes.get(field);
+
+    try {
+      this.records.forEach(record => {
+        const key = getPath(record, field);
+        if (index.unique) this.assertUnique(index, key, record.id);
+        this.addToIndex(index, key, record.id);
+      });
     } catch (error) {
-      console.error(`❌ Erro ao salvar database ${this.filename}:`, error);
+      this.indexes.delete(field);
       throw error;
     }
   }
 
+  rebuildIndexes() {
+    this.indexes.forEach(index => {
+      index.entries = new Map();
+      this.records.forEach(record => {
+        const key = getPath(record, index.field);
+        if (index.unique && this.findIndexedIds(index, key).some(id => id !== record.id)) {
+          logger.warn('Valor duplicado em índice único', { collection: this.filename, field: index.field, value: key });
+        }
+        this.addToIndex(index, key, record.id);
+      });
+    });
+  }
+
+  // Valores ausentes não são indexados (múltiplos registros sem o campo são permitidos)
+  addToIndex(index, key, id) {
+    if (key === undefined || key === null) return;
+    if (!index.entries.has(key)) index.entries.set(key, new Set());
+    index.entries.get(key).add(id);
+  }
+
+  removeFromIndex(index, key, id) {
+    const ids = index.entries.get(key);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) index.entries.delete(key);
+  }
+
+  findIndexedIds(index, key) {
+    const ids = index.entries.get(key);
+    return ids ? Array.from(ids) : [];
+  }
+
+  // Registros expirados não bloqueiam o valor, mesmo antes da varredura
+  assertUnique(index, key, id) {
+    if (key === undefined || key === null) return;
+    if (this.findIndexedIds(index, key).some(existingId => existingId !== id && !this.isExpired(this.records.get(existingId)))) {
+      throw new UniqueConstraintError(this.filename, index.field, key);
+    }
+  }
+
+  // Valida todas as restrições antes de alterar qualquer coisa
+  checkUniqueConstraints(record) {
+    this.indexes.forEach(index => {
+      if (index.unique) this.assertUnique(index, getPath(record, index.field), record.id);
+    });
+  }
+
+  // Substitui (ou insere) um registro mantendo os índices atualizados
+  storeRecord(record) {
+    const previous = this.records.get(record.id);
+    this.indexes.forEach(index => {
+      if (previous) this.removeFromIndex(index, getPath(previous, index.field), previous.id);
+      this.addToIndex(index, getPath(record, index.field), record.id);
+    });
+    this.records.set(record.id, record);
+  }
+
+  removeRecord(id) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    this.indexes.forEach(index => this.removeFromIndex(index, getPath(record, index.field), id));
+    this.records.delete(id);
+    return record;
+  }
+
+  // Usa um índice quando o filtro tem igualdade (ou $in) em um campo indexado
+  findCandidates(filter) {
+    for (const field of Object.keys(filter)) {
+      const index = this.indexes.get(field);
+      if (!index) continue;
+
+      const condition = filter[field];
+      let keys = null;
+      if (condition === null || typeof condition !== 'object') {
+        keys = [condition];
+      } else if (Object.keys(condition).length === 1 && condition.$eq !== undefined) {
+        keys = [condition.$eq];
+      } else if (Object.keys(condition).length === 1 && Array.isArray(condition.$in)) {
+        keys = condition.$in;
+      }
+
+      if (keys) {
+        const ids = new Set(keys.flatMap(key => this.findIndexedIds(index, key)));
+        return Array.from(ids).map(id => this.records.get(id));
+      }
+    }
+
+    return Array.from(this.records.values());
+  }
+
   // Operações CRUD
   async create(record) {
     await this.initialize();
     
-    const newRecord = {
-      id: uuidv4(),
-      ...record,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    return this.enqueueWrite(async () => {
+      const newRecord = {
+        id: uuidv4(),
+        ...record,
+        version: 1,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
 
-    this.data.push(newRecord);
-    await this.save();
-    return newRecord;
+      this.assertSchema(newRecord);
+      this.checkUniqueConstraints(newRecord);
+      await this.persist([{ op: 'create', record: newRecord }]);
+      this.emitChange(null, newRecord);
+      return newRecord;
+    });
   }
 
-  async findAll(filter = {}) {
+  // Filtros e opções (sort, skip, limit, projection) seguem a sintaxe de ./query
+  async findAll(filter = {}, options = {}) {
     await this.initialize();
     
-    if (Object.keys(filter).length === 0) {
-      return [...this.data];
-    }
+    const records = this.findCandidates(filter)
+      .filter(record => this.isVisible(record, options) && matchesFilter(record, filter));
 
-    return this.data.filter(record => {
-      return Object.keys(filter).every(key => {
-        if (typeof filter[key] === 'object' && filter[key].regex) {
-          const regex = new RegExp(filter[key].regex, 'i');
-          return regex.test(record[key]);
-        }
-        return record[key] === filter[key];
-      });
-    });
+    return applyQueryOptions(records, options);
   }
 
-  async findById(id) {
+  async findById(id, options = {}) {
     await this.initialize();
-    return this.data.find(record => record.id === id) || null;
+    const record = this.records.get(id);
+    return record && this.isVisible(record, options) ? record : null;
+  }
+
+  // Registros na lixeira ficam fora das leituras, exceto com `options.withDeleted`;
+  // registros expirados, exceto com `options.withExpired`
+  isVisible(record, options = {}) {
+    return (Boolean(options.withDeleted) || !record.deletedAt) &&
+      (Boolean(options.withExpired) || !this.isExpired(record));
+  }
+
+  // `expiresAt` é uma data ISO 8601; registros sem o campo não expiram
+  isExpired(record, now = Date.now()) {
+    if (record.expiresAt === undefined || record.expiresAt === null) return false;
+    return new Date(record.expiresAt).getTime() <= now;
+  }
+
+  // Campos gravados ao mover um registro para a lixeira
+  trashFields(now) {
+    const fields = { deletedAt: now };
+    if (this.trashRetention) {
+      fields.expiresAt = new Date(Date.parse(now) + this.trashRetention).toISOString();
+    }
+    return fields;
   }
 
-  async findOne(filter) {
+  async findOne(filter, options = {}) {
     await this.initialize();
-    return this.data.find(record => {
-      return Object.keys(filter).every(key => record[key] === filter[key]);
-    }) || null;
+
+    if (options.sort) {
+      const [record] = await this.findAll(filter, { ...options, limit: 1 });
+      return record || null;
+    }
+
+    const record = this.findCandidates(filter)
+      .find(candidate => this.isVisible(candidate, options) && matchesFilter(candidate, filter));
+    if (!record) return null;
+    return options.projection ? applyQueryOptions([record], options)[0] : record;
   }
 
-  async updateById(id, updates) {
+  // `updates` pode ser um objeto ou uma função (registroAtual) => updates, executada
+  // dentro da fila de escrita para leituras-modificações-escritas sem condição de corrida.
+  // Com `options.expectedVersion`, falha com VersionConflictError se o registro mudou
+  async updateById(id, updates, options = {}) {
     await this.initialize();
     
-    const index = this.data.findIndex(record => record.id === id);
-    if (index === -1) return null;
+    return this.enqueueWrite(async () => {
+      const current = this.records.get(id);
+      if (!current || !this.isVisible(current, options)) return null;
 
-    this.data[index] = {
-      ...this.data[index],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
+      this.assertVersion(current, options.expectedVersion);
+
+      const changes = typeof updates === 'function'
+        ? await updates({ ...current })
+        : updates;
+      if (!changes) return current;
+
+      const updatedRecord = {
+        ...current,
+        ...changes,
+        version: current.version + 1,
+        updatedAt: new Date().toISOString()
+      };
 
-    await this.save();
-    return this.data[index];
+      this.assertSchema(updatedRecord);
+      this.checkUniqueConstraints(updatedRecord);
+      await this.persist([{ op: 'update', record: updatedRecord }]);
+      this.emitChange(current, updatedRecord);
+      return updatedRecord;
+    });
   }
 
-  async deleteById(id) {
+  // Com `softDelete` o registro vai para a lixeira (deletedAt); `options.permanent`
+  // remove definitivamente, inclusive registros que já estão na lixeira
+  async deleteById(id, options = {}) {
     await this.initialize();
     
-    const index = this.data.findIndex(record => record.id === id);
-    if (index === -1) return null;
+    return this.enqueueWrite(async () => {
+      const current = this.records.get(id);
+      const permanent = !this.softDelete || Boolean(options.permanent);
+      if (!current || (current.deletedAt && !permanent)) return null;
+
+      this.assertVersion(current, options.expectedVersion);
+
+      if (!permanent) {
+        const now = new Date().toISOString();
+        const trashedRecord = {
+          ...current,
+          ...this.trashFields(now),
+          version: current.version + 1,
+          updatedAt: now
+        };
 
-    const deletedRecord = this.data.splice(index, 1)[0];
-    await this.save();
-    return deletedRecord;
+        await this.persist([{ op: 'update', record: trashedRecord }]);
+        this.emitChange(current, trashedRecord);
+        return trashedRecord;
+      }
+
+      await this.persist([{ op: 'delete', id }]);
+      this.emitChange(current, null);
+      return current;
+    });
   }
 
-  async count(filter = {}) {
-    const records = await this.findAll(filter);
-    return records.length;
+  // Tira um registro da lixeira; retorna null se ele não existe ou não está na lixeira
+  async restoreById(id, options = {}) {
+    await this.initialize();
+
+    return this.enqueueWrite(async () => {
+      const current = this.records.get(id);
+      if (!current || !current.deletedAt) return null;
+
+      this.assertVersion(current, options.expectedVersion);
+
+      const { deletedAt, ...record } = current;
+      if (this.trashRetention) delete record.expiresAt;
+      const restoredRecord = {
+        ...record,
+        version: current.version + 1,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.persist([{ op: 'update', record: restoredRecord }]);
+      this.emitChange(current, restoredRecord);
+      return restoredRecord;
+    });
   }
 
-  // Método para busca avançada
+  // Remove definitivamente os registros que estão na lixeira há mais de `retention` ms
+  async purgeDeleted(retention = 0) {
+    await this.initialize();
+
+    const limit = Date.now() - retention;
+    const expired = Array.from(this.records.values())
+      .filter(record => record.deletedAt && Date.parse(record.deletedAt) <= limit);
+
+    let purged = 0;
+    for (const record of expired) {
+      try {
+        // Um registro restaurado nesse meio tempo muda de versão e é preservado
+        if (await this.deleteById(record.id, { permanent: true, expectedVersion: record.version })) purged++;
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) throw error;
+      }
+    }
+    return purged;
+  }
+
+  // Remove definitivamente os registros com `expiresAt` vencido (executado pela varredura)
+  async purgeExpired() {
+    await this.initialize();
+
+    return this.enqueueWrite(async () => {
+      const now = Date.now();
+      const expired = Array.from(this.records.values()).filter(record => this.isExpired(record, now));
+      if (expired.length === 0) return 0;
+
+      await this.persist(expired.map(record => ({ op: 'delete', id: record.id })));
+      expired.forEach(record => this.emitChange(record, null, 'expired'));
+      return expired.length;
+    });
+  }
+
+  async count(filter = {}, options = {}) {
+    await this.initialize();
+    return this.findCandidates(filter)
+      .filter(record => this.isVisible(record, options) && matchesFilter(record, filter))
+      .length;
+  }
+
+  // Busca simples por substring; para busca ranqueada use ./searchIndex
   async search(query, fields = []) {
     await this.initialize();
     
     if (!query || fields.length === 0) return [];
 
-    const searchRegex = new RegExp(query, 'i');
-    return this.data.filter(record => {
-      return fields.some(field => {
+    const searchRegex = new RegExp(escapeRegExp(query), 'i');
+    return Array.from(this.records.values()).filter(record => {
+      return this.isVisible(record) && fields.some(field => {
         const value = record[field];
         return value && searchRegex.test(value.toString());
       });
@@ -142,9 +863,18 @@ class JsonDatabase {
   // Cleanup para desenvolvimento
   async clear() {
     await this.initialize();
-    this.data = [];
-    await this.save();
-    console.log(`🧹 Database ${this.filename} limpo`);
+    await this.enqueueWrite(async () => {
+      const removed = Array.from(this.records.values());
+      // Grava antes de trocar a memória: se a gravação falhar, os registros continuam lá
+      if (removed.length > 0) {
+        await this.storage.commit(this.filename, removed.map(record => ({ op: 'delete', id: record.id })));
+      }
+      this.records = new Map();
+      this.rebuildIndexes();
+      await this.compact();
+      removed.forEach(record => this.emitChange(record, null));
+    });
+    logger.info('Database limpo', { collection: this.filename });
   }
 }
 
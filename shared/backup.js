@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Backups dos dados dos serviços e do registry
+// Uso: node shared/backup.js create [servico ...] [--label=texto]
+//      node shared/backup.js list
+//      node shared/backup.js verify <id>
+//      node shared/backup.js restore <id> [--service=servico]
+//      node shared/backup.js rotate
+
+const BackupManager = require('./backupManager');
+
+function option(args, name) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function backup() {
+  const [command, ...args] = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const manager = new BackupManager();
+
+  try {
+    switch (command) {
+      case 'create': {
+        await manager.createBackup({
+          services: positional.length > 0 ? positional : undefined,
+          label: option(args, 'label')
+        });
+        break;
+      }
+      case 'list': {
+        const backups = await manager.listBackups();
+        if (backups.length === 0) {
+          console.log('📭 Nenhum backup encontrado');
+        }
+        backups.forEach(item => {
+          if (!item.valid) {
+            console.log(`❌ ${item.id} - ${item.error}`);
+            return;
+          }
+          const label = item.label ? ` (${item.label})` : '';
+          console.log(`💾 ${item.id}${label} - ${item.services.join(', ')} - ${item.files} arquivos, ${item.size} bytes`);
+        });
+        break;
+      }
+      case 'verify': {
+        const content = await manager.loadBackup(positional[0]);
+        console.log(`✅ Backup ${content.id} íntegro (${Object.keys(content.files).length} arquivos)`);
+        break;
+      }
+      case 'restore': {
+        if (!positional[0]) throw new Error('Informe o id do backup');
+        const result = await manager.restoreBackup(positional[0], { service: option(args, 'service') });
+        console.log(`💾 Estado anterior salvo em ${result.safetyBackup}`);
+        break;
+      }
+      case 'rotate': {
+        const removed = await manager.rotate();
+        console.log(`✅ ${removed} backup(s) removidos`);
+        break;
+      }
+      default:
+        console.error('Uso: node shared/backup.js create|list|verify <id>|restore <id> [--service=servico]|rotate');
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Falha no backup:', error.message);
+    process.exit(1);
+  }
+}
+
+backup();
@@ -0,0 +1,289 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const FileLock = require('./storage/FileLock');
+const writeFileAtomic = require('./storage/writeFileAtomic');
+const { DatabaseLockError, BackupNotFoundError, BackupIntegrityError } = require('./errors');
+const { getLogger } = require('./logger');
+
+const logger = getLogger().child({ component: 'backup' });
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const REGISTRY = 'registry';
+const REGISTRY_FILE = path.join('shared', 'registry.json');
+
+// Snapshots, metadados, transações pendentes e journals, e o banco do adaptador sqlite com o WAL
+// (locks, .tmp e o -shm, refeito pelo SQLite ao abrir, ficam de fora)
+const DATA_FILE_PATTERN = /\.(json|journal|sqlite|sqlite-wal)$/;
+// Arquivos binários, guardados em base64
+const BINARY_FILE_PATTERN = /\.(sqlite|sqlite-wal)$/;
+// Diretórios de dados de cada serviço: data e os DATA_DIR de instâncias extras (data-<sufixo>)
+const DATA_DIR_PATTERN = /^data(-[\w.-]+)?$/;
+const ARCHIVE_PATTERN = /^backup-.+\.json\.gz$/;
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Conteúdo de um arquivo do backup, como foi lido do disco
+function decode(content, encoding) {
+  return encoding === 'base64' ? Buffer.from(content, 'base64') : content;
+}
+
+// Backups em backups/backup-<timestamp>.json.gz, cada um com um arquivo .sha256 ao lado.
+// O arquivo guarda o conteúdo e o SHA-256 de cada arquivo de dados dos serviços e do registry.
+class BackupManager {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || ROOT_DIR;
+    this.backupDir = options.backupDir || process.env.BACKUP_DIR || path.join(this.rootDir, 'backups');
+    this.keep = options.keep || parseInt(process.env.BACKUP_KEEP) || 10;
+  }
+
+  // Fontes disponíveis: cada services/<servico>/data (fonte <servico>), os diretórios
+  // services/<servico>/data-<sufixo> de instâncias extras (fonte <servico>/data-<sufixo>) e o registry
+  async sources() {
+    const sources = {};
+    const servicesDir = path.join(this.rootDir, 'services');
+
+    for (const service of (await fs.readdir(servicesDir)).sort()) {
+      const serviceDir = path.join(servicesDir, service);
+      if (!(await fs.stat(serviceDir)).isDirectory()) continue;
+
+      const entries = await fs.readdir(serviceDir, { withFileTypes: true });
+      entries
+        .filter(entry => entry.isDirectory() && DATA_DIR_PATTERN.test(entry.name))
+        .map(entry => entry.name)
+        .sort()
+        .forEach(dir => {
+          sources[dir === 'data' ? service : `${service}/${dir}`] = path.join('services', service, dir);
+        });
+    }
+
+    sources[REGISTRY] = REGISTRY_FILE;
+    return sources;
+  }
+
+  // Caminho (relativo à raiz) de uma fonte, mesmo que ela ainda não exista
+  sourceLocation(source) {
+    if (source === REGISTRY) return REGISTRY_FILE;
+    const [service, dir = 'data'] = source.split('/');
+    return path.join('services', service, dir);
+  }
+
+  // Caminhos (relativos à raiz) dos arquivos de uma fonte, journals primeiro: se uma
+  // compactação acontecer durante a cópia, o snapshot lido depois já contém o journal
+  async sourceFiles(source, location) {
+    if (source === REGISTRY) {
+      try {
+        await fs.access(path.join(this.rootDir, location));
+        return [location];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    // O -wal do sqlite vem antes do banco pelo mesmo motivo
+    const isLog = file => file.endsWith('.journal') || file.endsWith('-wal');
+    const files = (await fs.readdir(path.join(this.rootDir, location)))
+      .filter(file => DATA_FILE_PATTERN.test(file))
+      .sort((a, b) => Number(isLog(b)) - Number(isLog(a)) || a.localeCompare(b));
+    return files.map(file => path.join(location, file));
+  }
+
+  archivePath(backupId) {
+    return path.join(this.backupDir, `${backupId}.json.gz`);
+  }
+
+  // Cria um backup de todas as fontes ou apenas das informadas
+  async createBackup(options = {}) {
+    const sources = await this.sources();
+    const names = options.services || Object.keys(sources);
+    names.forEach(name => {
+      if (!sources[name]) throw new Error(`Serviço desconhecido: ${name}`);
+    });
+
+    const createdAt = new Date().toISOString();
+    const id = `backup-${createdAt.replace(/[:.]/g, '-')}`;
+    const files = {};
+
+    for (const name of names) {
+      for (const file of await this.sourceFiles(name, sources[name])) {
+        const content = await fs.readFile(path.join(this.rootDir, file));
+        files[file] = BINARY_FILE_PATTERN.test(file)
+          ? { service: name, sha256: sha256(content), encoding: 'base64', content: content.toString('base64') }
+          : { service: name, sha256: sha256(content), content: content.toString('utf8') };
+      }
+    }
+
+    const archive = await gzip(JSON.stringify({ id, label: options.label || null, createdAt, services: names, files }));
+    const checksum = sha256(archive);
+
+    await fs.mkdir(this.backupDir, { recursive: true });
+    await writeFileAtomic(this.archivePath(id), archive);
+    await writeFileAtomic(`${this.archivePath(id)}.sha256`, `${checksum}  ${path.basename(this.archivePath(id))}\n`);
+    logger.info('Backup criado', { backupId: id, files: Object.keys(files).length });
+
+    if (options.rotate !== false) {
+      await this.rotate();
+    }
+
+    return {
+      id,
+      label: options.label || null,
+      createdAt,
+      services: names,
+      files: Object.keys(files).length,
+      size: archive.length,
+      checksum
+    };
+  }
+
+  // Lê o backup e confere o checksum do arquivo e de cada arquivo de dados
+  async loadBackup(backupId) {
+    if (!/^backup-[\w-]+$/.test(backupId)) {
+      throw new BackupNotFoundError(backupId);
+    }
+
+    let archive;
+    let checksumLine;
+    try {
+      archive = await fs.readFile(this.archivePath(backupId));
+      checksumLine = await fs.readFile(`${this.archivePath(backupId)}.sha256`, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new BackupNotFoundError(backupId);
+      throw error;
+    }
+
+    if (checksumLine.split(/\s+/)[0] !== sha256(archive)) {
+      throw new BackupIntegrityError(backupId, 'checksum do arquivo não confere');
+    }
+
+    let content;
+    try {
+      content = JSON.parse((await gunzip(archive)).toString('utf8'));
+    } catch (error) {
+      throw new BackupIntegrityError(backupId, error.message);
+    }
+
+    Object.entries(content.files).forEach(([file, { sha256: expected, encoding, content: data }]) => {
+      if (sha256(decode(data, encoding)) !== expected) {
+        throw new BackupIntegrityError(backupId, `checksum de ${file} não confere`);
+      }
+    });
+    return content;
+  }
+
+  // Backups disponíveis, do mais recente para o mais antigo
+  async listBackups() {
+    let files;
+    try {
+      files = await fs.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const file of files.filter(name => ARCHIVE_PATTERN.test(name))) {
+      const id = file.replace(/\.json\.gz$/, '');
+      const { size } = await fs.stat(path.join(this.backupDir, file));
+      try {
+        const backup = await this.loadBackup(id);
+        backups.push({
+          id,
+          label: backup.label,
+          createdAt: backup.createdAt,
+          services: backup.services,
+          files: Object.keys(backup.files).length,
+          size,
+          valid: true
+        });
+      } catch (error) {
+        backups.push({ id, size, valid: false, error: error.message });
+      }
+    }
+
+    return backups.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  // Restaura todos os serviços do backup ou apenas `options.service`.
+  // Os serviços afetados precisam estar parados; o estado atual é salvo antes em outro backup
+  async restoreBackup(backupId, options = {}) {
+    const backup = await this.loadBackup(backupId);
+    const names = options.service ? [options.service] : backup.services;
+    names.forEach(name => {
+      if (!backup.services.includes(name)) {
+        throw new BackupNotFoundError(`${backupId} (${name})`);
+      }
+    });
+
+    const sources = await this.sources();
+    await this.assertStopped(names.filter(name => name !== REGISTRY && sources[name]));
+
+    const safetyBackup = await this.createBackup({
+      services: names.filter(name => sources[name]),
+      label: `antes de restaurar ${backupId}`,
+      rotate: false
+    });
+
+    let restored = 0;
+    for (const name of names) {
+      const location = this.sourceLocation(name);
+
+      // Journals, snapshots e bancos sqlite atuais seriam lidos junto com os dados restaurados
+      if (name !== REGISTRY) {
+        await fs.mkdir(path.join(this.rootDir, location), { recursive: true });
+        for (const file of await this.sourceFiles(name, location)) {
+          await fs.rm(path.join(this.rootDir, file), { force: true });
+          if (file.endsWith('.sqlite')) await fs.rm(path.join(this.rootDir, `${file}-shm`), { force: true });
+        }
+      }
+
+      for (const [file, { service, encoding, content }] of Object.entries(backup.files)) {
+        if (service !== name) continue;
+        await writeFileAtomic(path.join(this.rootDir, file), decode(content, encoding));
+        restored++;
+      }
+    }
+
+    logger.info('Backup restaurado', { backupId, databases: names });
+    return { id: backupId, services: names, files: restored, safetyBackup: safetyBackup.id };
+  }
+
+  // Um lock ativo em data/ indica que o serviço ainda está rodando
+  async assertStopped(services) {
+    const sources = await this.sources();
+    for (const service of services) {
+      const dataDir = path.join(this.rootDir, sources[service]);
+      const locks = (await fs.readdir(dataDir)).filter(file => file.endsWith('.lock'));
+
+      for (const file of locks) {
+        const lock = new FileLock(path.join(dataDir, file));
+        const owner = await lock.readOwner();
+        if (!(await lock.isStale(owner))) {
+          throw new DatabaseLockError(lock.lockPath, owner);
+        }
+      }
+    }
+  }
+
+  // Mantém apenas os `keep` backups mais recentes
+  async rotate() {
+    const backups = await this.listBackups();
+    const expired = backups.slice(this.keep);
+
+    for (const backup of expired) {
+      await fs.rm(this.archivePath(backup.id), { force: true });
+      await fs.rm(`${this.archivePath(backup.id)}.sha256`, { force: true });
+      logger.info('Backup antigo removido', { backupId: backup.id });
+    }
+    return expired.length;
+  }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,223 @@
+const EventEmitter = require('events');
+
+// Política padrão; cada serviço pode sobrescrever qualquer campo (ver ServiceRegistry)
+//
+//   failureRateThreshold   % de falhas na janela que abre o circuito
+//   slowCallRateThreshold  % de chamadas lentas na janela que abre o circuito (100 = todas)
+//   slowCallDuration       ms a partir dos quais uma chamada é considerada lenta
+//   minimumCalls           chamadas na janela antes de avaliar as taxas
+//   windowMs               tamanho da janela deslizante
+//   openTimeout            ms em open antes de passar para half-open
+//   halfOpenMaxCalls       chamadas de teste permitidas em half-open
+const DEFAULT_POLICY = {
+  failureRateThreshold: 50,
+  slowCallRateThreshold: 100,
+  slowCallDuration: 5000,
+  minimumCalls: 3,
+  windowMs: 60000,
+  openTimeout: 60000,
+  halfOpenMaxCalls: 3
+};
+
+// A janela é dividida em buckets para não guardar cada chamada
+const WINDOW_BUCKETS = 10;
+
+function validatePolicy(policy) {
+  Object.keys(policy).forEach(field => {
+    if (!(field in DEFAULT_POLICY)) {
+      throw new Error(`Campo desconhecido na política de circuit breaker: ${field}`);
+    }
+    const value = policy[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Valor inválido para ${field} na política de circuit breaker: ${value}`);
+    }
+  });
+  ['failureRateThreshold', 'slowCallRateThreshold'].forEach(field => {
+    if (policy[field] > 100) {
+      throw new Error(`${field} deve estar entre 0 e 100`);
+    }
+  });
+  ['windowMs', 'halfOpenMaxCalls', 'minimumCalls'].forEach(field => {
+    if (field in policy && policy[field] < 1) {
+      throw new Error(`${field} deve ser maior que zero`);
+    }
+  });
+  return policy;
+}
+
+// Estados: closed (tráfego normal), open (chamadas recusadas até openTimeout) e
+// half-open (apenas halfOpenMaxCalls chamadas de teste; o resultado delas fecha ou reabre).
+// Emite 'stateChange' com { from, to, reason } a cada transição.
+class CircuitBreaker extends EventEmitter {
+  constructor(name, policy = {}) {
+    super();
+    this.name = name;
+    this.policy = { ...DEFAULT_POLICY, ...validatePolicy({ ...policy }) };
+    this.state = 'closed';
+    this.buckets = [];
+    this.openedAt = null;
+    this.lastStateChange = null;
+    this.halfOpen = { started: 0, calls: 0, failures: 0, slowCalls: 0, since: null };
+    this.totals = { successes: 0, failures: 0, slowCalls: 0, rejected: 0, opened: 0 };
+  }
+
+  // Campos omitidos voltam ao padrão; a janela atual é mantida
+  configure(policy = {}) {
+    this.policy = { ...DEFAULT_POLICY, ...validatePolicy({ ...policy }) };
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    if (from === to) return;
+
+    this.state = to;
+    this.lastStateChange = new Date().toISOString();
+    if (to === 'open') {
+      this.openedAt = Date.now();
+      this.totals.opened++;
+    }
+    if (to === 'half-open') {
+      this.halfOpen = { started: 0, calls: 0, failures: 0, slowCalls: 0, since: Date.now() };
+    }
+    // A janela recomeça a cada mudança, para o histórico anterior não reabrir o circuito
+    if (to === 'closed' || to === 'open') {
+      this.buckets = [];
+    }
+
+    this.emit('stateChange', { from, to, reason });
+  }
+
+  // Indica se uma nova chamada seria aceita; após openTimeout o circuito passa para half-open.
+  // Testes em half-open que nunca reportaram resultado são liberados após outro openTimeout
+  isCallPermitted(now = Date.now()) {
+    if (this.state === 'open') {
+      if (now - this.openedAt < this.policy.openTimeout) return false;
+      this.transition('half-open', 'timeout');
+    }
+
+    if (this.state === 'half-open') {
+      if (now - this.halfOpen.since > this.policy.openTimeout) {
+        this.halfOpen.started = this.halfOpen.calls;
+        this.halfOpen.since = now;
+      }
+      return this.halfOpen.started < this.policy.halfOpenMaxCalls;
+    }
+
+    return true;
+  }
+
+  // Reserva uma das chamadas de teste em half-open; false se não houver mais
+  acquirePermission(now = Date.now()) {
+    if (!this.isCallPermitted(now)) {
+      this.totals.rejected++;
+      return false;
+    }
+    if (this.state === 'half-open') this.halfOpen.started++;
+    return true;
+  }
+
+  recordRejected() {
+    this.totals.rejected++;
+  }
+
+  recordSuccess(duration = 0) {
+    this.record(false, duration);
+  }
+
+  recordFailure(duration = 0) {
+    this.record(true, duration);
+  }
+
+  record(failed, duration, now = Date.now()) {
+    const slow = duration >= this.policy.slowCallDuration;
+    this.totals[failed ? 'failures' : 'successes']++;
+    if (slow) this.totals.slowCalls++;
+
+    if (this.state === 'half-open') {
+      this.halfOpen.calls++;
+      if (failed) this.halfOpen.failures++;
+      if (slow) this.halfOpen.slowCalls++;
+      if (this.halfOpen.calls >= this.policy.halfOpenMaxCalls) {
+        const reason = this.exceededThreshold(this.halfOpen);
+        this.transition(reason ? 'open' : 'closed', reason || 'chamadas de teste bem-sucedidas');
+      }
+      return;
+    }
+
+    // Resultados que chegam com o circuito aberto (chamadas iniciadas antes) são ignorados
+    if (this.state === 'open') return;
+
+    const bucket = this.currentBucket(now);
+    bucket.calls++;
+    if (failed) bucket.failures++;
+    if (slow) bucket.slowCalls++;
+
+    const window = this.windowCounters(now);
+    if (window.calls >= this.policy.minimumCalls) {
+      const reason = this.exceededThreshold(window);
+      if (reason) this.transition('open', reason);
+    }
+  }
+
+  // Motivo da abertura, ou null se as taxas estão abaixo dos limites
+  exceededThreshold({ calls, failures, slowCalls }) {
+    if (calls === 0) return null;
+    const failureRate = (failures / calls) * 100;
+    const slowCallRate = (slowCalls / calls) * 100;
+
+    if (failureRate >= this.policy.failureRateThreshold) {
+      return `taxa de falhas ${Math.round(failureRate)}% >= ${this.policy.failureRateThreshold}%`;
+    }
+    if (slowCallRate >= this.policy.slowCallRateThreshold) {
+      return `taxa de chamadas lentas ${Math.round(slowCallRate)}% >= ${this.policy.slowCallRateThreshold}%`;
+    }
+    return null;
+  }
+
+  currentBucket(now) {
+    const size = this.policy.windowMs / WINDOW_BUCKETS;
+    const start = Math.floor(now / size) * size;
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, calls: 0, failures: 0, slowCalls: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  windowCounters(now = Date.now()) {
+    this.buckets = this.buckets.filter(bucket => now - bucket.start < this.policy.windowMs);
+    return this.buckets.reduce((total, bucket) => ({
+      calls: total.calls + bucket.calls,
+      failures: total.failures + bucket.failures,
+      slowCalls: total.slowCalls + bucket.slowCalls
+    }), { calls: 0, failures: 0, slowCalls: 0 });
+  }
+
+  toJSON() {
+    const window = this.windowCounters();
+    return {
+      name: this.name,
+      state: this.state,
+      policy: this.policy,
+      window: {
+        ...window,
+        failureRate: window.calls > 0 ? Math.round((window.failures / window.calls) * 100) : 0,
+        slowCallRate: window.calls > 0 ? Math.round((window.slowCalls / window.calls) * 100) : 0
+      },
+      halfOpen: this.state === 'half-open'
+        ? { permitted: this.policy.halfOpenMaxCalls, started: this.halfOpen.started, completed: this.halfOpen.calls, failures: this.halfOpen.failures }
+        : null,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === 'open' ? new Date(this.openedAt + this.policy.openTimeout).toISOString() : null,
+      lastStateChange: this.lastStateChange,
+      totals: { ...this.totals }
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  DEFAULT_POLICY,
+  validatePolicy
+};
@@ -0,0 +1,147 @@
+// Criptografia em repouso (AES-256-GCM) dos registros do JsonDatabase
+//
+//   new JsonDatabase('users', './data', { encryption: { fields: ['email', 'firstName'] } });
+//   new JsonDatabase('notes', './data', { encryption: { mode: 'record' } });
+//
+// Modo 'fields' (padrão): cada campo listado é gravado como um valor cifrado.
+// Modo 'record': todo o conteúdo do registro é cifrado; apenas o id continua legível
+// (o journal e o sqlite precisam dele para localizar o registro).
+//
+// Chaves em DATA_ENCRYPTION_KEYS="<id>:<chave>,<id>:<chave>": a primeira cifra as
+// gravações e as demais apenas decifram dados antigos (rotação). Cada chave tem 32 bytes,
+// em base64 ou hex. Formato gravado: enc:v1:<id da chave>:<iv>:<tag>:<dados>
+
+const crypto = require('crypto');
+const { DecryptionError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const RECORD_FIELD = 'encrypted';
+
+function decodeKey(id, value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Chave de criptografia ${id} inválida: são necessários 32 bytes em base64 ou hex`);
+  }
+  return key;
+}
+
+// "k2:<chave>,k1:<chave>" -> [{ id: 'k2', key }, { id: 'k1', key }]
+function parseKeys(value = '') {
+  return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const separator = item.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('DATA_ENCRYPTION_KEYS deve estar no formato <id>:<chave>[,<id>:<chave>...]');
+    }
+    const id = item.slice(0, separator);
+    return { id, key: decodeKey(id, item.slice(separator + 1)) };
+  });
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+class RecordCipher {
+  constructor(collection, options = {}) {
+    this.collection = collection;
+    this.mode = options.mode || 'fields';
+    this.fields = options.fields || [];
+    if (!['fields', 'record'].includes(this.mode)) {
+      throw new Error(`Modo de criptografia desconhecido: ${this.mode} (use fields ou record)`);
+    }
+
+    const keys = typeof options.keys === 'string' || options.keys === undefined
+      ? parseKeys(options.keys !== undefined ? options.keys : process.env.DATA_ENCRYPTION_KEYS)
+      : options.keys;
+    this.keys = new Map(keys.map(({ id, key }) => [id, key]));
+    this.activeKeyId = keys.length > 0 ? keys[0].id : null;
+  }
+
+  // Sem chave configurada os dados são gravados sem criptografia
+  get enabled() {
+    return this.activeKeyId !== null;
+  }
+
+  // Os dados cifrados ficam presos ao registro e ao campo (AAD): não podem ser copiados para outro
+  encryptValue(value, id, field) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKeyId), iv);
+    cipher.setAAD(Buffer.from(`${this.collection}:${id}:${field}`));
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${this.activeKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+  }
+
+  decryptValue(value, id, field) {
+    const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new DecryptionError(this.collection, id, `chave ${keyId} não configurada em DATA_ENCRYPTION_KEYS`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(`${this.collection}:${id}:${field}`));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new DecryptionError(this.collection, id, 'dados corrompidos ou chave incorreta');
+    }
+  }
+
+  // Registro como deve ser gravado
+  encrypt(record) {
+    if (!this.enabled) return record;
+
+    if (this.mode === 'record') {
+      const { id, ...content } = record;
+      return { id, [RECORD_FIELD]: this.encryptValue(content, id, RECORD_FIELD) };
+    }
+
+    const stored = { ...record };
+    this.fields.forEach(field => {
+      if (stored[field] !== undefined) {
+        stored[field] = this.encryptValue(stored[field], record.id, field);
+      }
+    });
+    return stored;
+  }
+
+  // Registro como é usado em memória; valores ainda não cifrados são aceitos como estão
+  decrypt(stored) {
+    if (this.mode === 'record') {
+      if (!isEncrypted(stored[RECORD_FIELD])) return stored;
+      return { id: stored.id, ...this.decryptValue(stored[RECORD_FIELD], stored.id, RECORD_FIELD) };
+    }
+
+    const record = { ...stored };
+    this.fields.forEach(field => {
+      if (isEncrypted(record[field])) {
+        record[field] = this.decryptValue(record[field], stored.id, field);
+      }
+    });
+    return record;
+  }
+
+  // Registro gravado sem criptografia ou com uma chave que não é mais a ativa
+  needsReencryption(stored) {
+    if (!this.enabled) return false;
+
+    const values = this.mode === 'record'
+      ? [stored[RECORD_FIELD]]
+      : this.fields.filter(field => stored[field] !== undefined).map(field => stored[field]);
+    return values.some(value => !isEncrypted(value) || !value.startsWith(`${PREFIX}${this.activeKeyId}:`));
+  }
+
+  encryptEntries(entries) {
+    if (!this.enabled) return entries;
+    return entries.map(entry => (entry.record ? { ...entry, record: this.encrypt(entry.record) } : entry));
+  }
+}
+
+module.exports = {
+  RecordCipher,
+  parseKeys,
+  isEncrypted
+};
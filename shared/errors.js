@@ -0,0 +1,107 @@
+// Erros tipados compartilhados entre os serviços
+
+class DatabaseLockError extends Error {
+  constructor(lockPath, owner = null) {
+    const ownerInfo = owner
+      ? `pelo processo ${owner.pid} em ${owner.hostname} desde ${owner.acquiredAt}`
+      : 'por outro processo';
+    super(`Database bloqueado ${ownerInfo} (lock: ${lockPath}). Pare a outra instância ou remova o lock se ela não estiver mais rodando.`);
+    this.name = 'DatabaseLockError';
+    this.code = 'EDBLOCKED';
+    this.lockPath = lockPath;
+    this.owner = owner;
+  }
+}
+
+class UniqueConstraintError extends Error {
+  constructor(collection, field, value) {
+    super(`Valor duplicado para ${field} em ${collection}: ${value}`);
+    this.name = 'UniqueConstraintError';
+    this.code = 'EUNIQUE';
+    this.collection = collection;
+    this.field = field;
+    this.value = value;
+  }
+}
+
+class VersionConflictError extends Error {
+  constructor(collection, id, expectedVersion, currentVersion) {
+    super(`Conflito de versão em ${collection}/${id}: esperada ${expectedVersion}, atual ${currentVersion}`);
+    this.name = 'VersionConflictError';
+    this.code = 'EVERSION';
+    this.collection = collection;
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+class SchemaValidationError extends Error {
+  constructor(collection, errors) {
+    super(`Registro inválido em ${collection}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.code = 'ESCHEMA';
+    this.collection = collection;
+    this.errors = errors; // [{ field, message }]
+  }
+}
+
+class BackupNotFoundError extends Error {
+  constructor(backupId) {
+    super(`Backup ${backupId} não encontrado`);
+    this.name = 'BackupNotFoundError';
+    this.code = 'EBACKUPNOTFOUND';
+    this.backupId = backupId;
+  }
+}
+
+class BackupIntegrityError extends Error {
+  constructor(backupId, detail) {
+    super(`Backup ${backupId} corrompido: ${detail}`);
+    this.name = 'BackupIntegrityError';
+    this.code = 'EBACKUPINTEGRITY';
+    this.backupId = backupId;
+  }
+}
+
+class DecryptionError extends Error {
+  constructor(collection, id, detail) {
+    super(`Não foi possível decifrar ${collection}/${id}: ${detail}`);
+    this.name = 'DecryptionError';
+    this.code = 'EDECRYPT';
+    this.collection = collection;
+    this.id = id;
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(service) {
+    super(`Circuit breaker aberto para ${service}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.service = service;
+  }
+}
+
+class DeadlineExceededError extends Error {
+  constructor(service, path, deadline) {
+    super(`Prazo esgotado ao chamar ${service}${path} (deadline ${new Date(deadline).toISOString()})`);
+    this.name = 'DeadlineExceededError';
+    this.code = 'EDEADLINE';
+    this.service = service;
+    this.path = path;
+    this.deadline = deadline;
+  }
+}
+
+module.exports = {
+  DatabaseLockError,
+  UniqueConstraintError,
+  VersionConflictError,
+  SchemaValidationError,
+  BackupNotFoundError,
+  BackupIntegrityError,
+  DecryptionError,
+  CircuitOpenError,
+  DeadlineExceededError
+};
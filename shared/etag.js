@@ -0,0 +1,22 @@
+// ETags derivadas da versão dos registros do JsonDatabase
+
+function formatEtag(record) {
+  return `"v${record.version}"`;
+}
+
+// Converte o header If-Match em versões esperadas para updateById/deleteById.
+// Retorna undefined quando não há precondição (header ausente ou "*"); tags que
+// não correspondem a nenhuma versão viram [] e sempre resultam em conflito.
+function parseIfMatch(header) {
+  if (!header || header.trim() === '*') return undefined;
+
+  return header.split(',')
+    .map(tag => tag.trim().match(/^"v(\d+)"$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+}
+
+module.exports = {
+  formatEtag,
+  parseIfMatch
+};
@@ -0,0 +1,93 @@
+// Health checks dos serviços
+//
+//   const health = new HealthCheck('list-service');
+//   health.register('database', () => listDb.checkHealth());
+//   health.register('rabbitmq', () => rabbitMQ.checkHealth(), { critical: false });
+//   health.routes(app);
+//
+// Cada verificação retorna detalhes (opcional) ou lança um erro. O serviço fica
+// 'unhealthy' se uma verificação crítica falhar e 'degraded' se apenas as não críticas falharem.
+//
+//   GET /health/live   o processo está respondendo (sempre 200)
+//   GET /health/ready  resultado das verificações; 503 quando unhealthy
+//   GET /health        o mesmo que /health/ready (compatibilidade)
+
+// Tempo máximo de cada verificação
+const CHECK_TIMEOUT = 3000;
+
+class HealthCheck {
+  constructor(service, options = {}) {
+    this.service = service;
+    this.version = options.version || '1.0.0';
+    this.timeout = options.timeout || CHECK_TIMEOUT;
+    this.checks = new Map(); // nome -> { check, critical }
+    this.startedAt = Date.now();
+  }
+
+  register(name, check, options = {}) {
+    this.checks.set(name, { check, critical: options.critical !== false });
+    return this;
+  }
+
+  async runCheck(name, { check, critical }) {
+    const startedAt = Date.now();
+    let timer = null;
+    try {
+      const details = await Promise.race([
+        Promise.resolve().then(check),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`sem resposta em ${this.timeout}ms`)), this.timeout);
+        })
+      ]);
+      return { status: 'up', critical, duration: Date.now() - startedAt, ...details };
+    } catch (error) {
+      return { status: 'down', critical, duration: Date.now() - startedAt, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async readiness() {
+    const names = Array.from(this.checks.keys());
+    const results = await Promise.all(names.map(name => this.runCheck(name, this.checks.get(name))));
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+    const failed = results.filter(result => result.status === 'down');
+    let status = 'healthy';
+    if (failed.some(result => result.critical)) status = 'unhealthy';
+    else if (failed.length > 0) status = 'degraded';
+
+    return {
+      status,
+      service: this.service,
+      timestamp: new Date().toISOString(),
+      version: this.version,
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      checks
+    };
+  }
+
+  liveness() {
+    return {
+      status: 'alive',
+      service: this.service,
+      timestamp: new Date().toISOString(),
+      version: this.version,
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      memory: process.memoryUsage().rss
+    };
+  }
+
+  routes(app) {
+    const ready = async (req, res) => {
+      const report = await this.readiness();
+      res.status(report.status === 'unhealthy' ? 503 : 200).json(report);
+    };
+
+    app.get('/health/live', (req, res) => res.json(this.liveness()));
+    app.get('/health/ready', ready);
+    app.get('/health', ready);
+  }
+}
+
+module.exports = HealthCheck;
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const { getTracer } = require('./tracing');
+const { getLogger } = require('./logger');
+const { getMetrics } = require('./metrics');
+const { CircuitOpenError, DeadlineExceededError } = require('./errors');
+
+// Cliente HTTP entre serviços
+//
+//   const client = new ServiceClient(serviceRegistry);
+//   const { data } = await client.request('item-service', `/items/${id}`, { deadline: req.deadline });
+//
+// Cada tentativa escolhe uma instância pelo registry (balanceamento e circuit breaker) e
+// registra o resultado no circuit breaker dela. Falhas de rede e respostas 502/503/504 são
+// repetidas com backoff exponencial com jitter, apenas em métodos idempotentes (ou com
+// `idempotent: true`). Com todos os circuitos do serviço abertos não há nova tentativa.
+//
+// O prazo da chamada é o menor entre `timeout` (orçamento desta chamada) e `deadline`
+// (instante limite herdado da requisição de origem, ver deadlineMiddleware). O tempo restante
+// segue no header X-Request-Timeout para o serviço chamado.
+
+const DEADLINE_HEADER = 'x-request-timeout';
+
+const DEFAULT_OPTIONS = {
+  retries: 2,           // tentativas extras
+  baseDelay: 100,       // ms; dobra a cada tentativa
+  maxDelay: 1000,       // ms; limite do backoff
+  attemptTimeout: 2000, // ms por tentativa
+  timeout: 5000         // ms para a chamada inteira, incluindo as novas tentativas
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUS = [502, 503, 504];
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const logger = getLogger().child({ component: 'http-client' });
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUS.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Retry-After em segundos (respostas 503), se houver
+function retryAfter(error) {
+  const value = error.response && parseInt(error.response.headers['retry-after'], 10);
+  return Number.isFinite(value) ? value * 1000 : 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ServiceClient {
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.tracer = getTracer();
+
+    const metrics = getMetrics();
+    this.requests = metrics.counter('http_client_requests_total', 'Chamadas entre serviços (outcome: success, error, circuit_open ou deadline)', ['service', 'method', 'outcome']);
+    this.retries = metrics.counter('http_client_retries_total', 'Novas tentativas de chamadas entre serviços', ['service']);
+    this.duration = metrics.histogram('http_client_request_duration_seconds', 'Duração das chamadas entre serviços, incluindo as novas tentativas', ['service', 'method']);
+  }
+
+  // Espera antes da tentativa `attempt` (0 = primeira repetição): full jitter
+  backoff(attempt) {
+    return Math.random() * Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** attempt);
+  }
+
+  // `spanName` agrupa os spans por rota (GET item-service/items/:id) em vez do caminho.
+  // Resposta do axios; lança o erro da última tentativa, CircuitOpenError ou DeadlineExceededError
+  async request(serviceName, path, options = {}) {
+    const { balancingKey, deadline, timeout, retries, idempotent, spanName, headers = {}, ...requestOptions } = options;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const retryable = idempotent !== undefined ? idempotent : IDEMPOTENT_METHODS.includes(method);
+    const maxRetries = retryable ? (retries !== undefined ? retries : this.options.retries) : 0;
+    const deadlineAt = Math.min(Date.now() + (timeout || this.options.timeout), deadline || Infinity);
+    const endTimer = this.duration.startTimer({ service: serviceName, method });
+    const count = outcome => this.requests.inc({ service: serviceName, method, outcome });
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const remaining = deadlineAt - Date.now();
+        if (remaining <= 0) {
+          count('deadline');
+          throw new DeadlineExceededError(serviceName, path, deadlineAt);
+        }
+
+        let instance;
+        try {
+          instance = this.registry.getService(serviceName, { key: balancingKey });
+        } catch (error) {
+          if (error instanceof CircuitOpenError) count('circuit_open');
+          throw error;
+        }
+        if (!instance) {
+          count('error');
+          throw new Error(`Serviço ${serviceName} não disponível`);
+        }
+
+        const finish = this.registry.beginRequest(instance);
+        const startedAt = Date.now();
+        try {
+          const response = await this.tracer.withSpan(spanName || `${method} ${serviceName}${path.split('?')[0]}`, {
+            kind: 'CLIENT',
+            tags: { 'peer.service': serviceName, 'instance.id': instance.id, 'retry.attempt': attempt }
+          }, span => axios({
+            ...requestOptions,
+            method,
+            url: `${instance.url}${path}`,
+            timeout: Math.min(this.options.attemptTimeout, remaining),
+            headers: this.tracer.inject({ ...headers, [DEADLINE_HEADER]: String(remaining) }, span)
+          }));
+
+          this.registry.recordSuccess(instance.id, Date.now() - startedAt);
+          count('success');
+          return response;
+        } catch (error) {
+          this.registry.recordError(instance.id, error, Date.now() - startedAt);
+
+          const delay = Math.max(this.backoff(attempt), retryAfter(error));
+          if (attempt >= maxRetries || !isRetryable(error) || Date.now() + delay >= deadlineAt) {
+            if (!error.response && Date.now() >= deadlineAt) {
+              count('deadline');
+              throw new DeadlineExceededError(serviceName, path, deadlineAt);
+            }
+            count('error');
+            throw error;
+          }
+
+          logger.warn('Nova tentativa de chamada', {
+            serviceName,
+            path,
+            instanceId: instance.id,
+            attempt: attempt + 1,
+            delayMs: Math.round(delay),
+            error: error.message
+          });
+          this.retries.inc({ service: serviceName });
+          await sleep(delay);
+        } finally {
+          finish();
+        }
+      }
+    } finally {
+      endTimer();
+    }
+  }
+}
+
+// Define req.deadline a partir do X-Request-Timeout recebido ou, sem ele, de `defaultTimeout` (ms).
+// Com `defaultTimeout` (na borda, como no gateway) o header só encurta o prazo: um cliente externo
+// não consegue manter as chamadas aos serviços abertas além dele. Sem `defaultTimeout` (entre
+// serviços) o header recebido vale como está.
+function deadlineMiddleware(defaultTimeout = null) {
+  return (req, res, next) => {
+    let timeout = parseInt(req.headers[DEADLINE_HEADER], 10);
+    if (!Number.isFinite(timeout) || timeout <= 0) timeout = defaultTimeout;
+    else if (defaultTimeout) timeout = Math.min(timeout, defaultTimeout);
+
+    if (timeout) req.deadline = Date.now() + timeout;
+    next();
+  };
+}
+
+module.exports = {
+  ServiceClient,
+  deadlineMiddleware,
+  DEADLINE_HEADER,
+  DEFAULT_OPTIONS
+};
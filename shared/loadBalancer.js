@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// Estratégias de balanceamento entre as instâncias de um serviço
+//
+//   round-robin         revezamento com contador por serviço (padrão)
+//   least-outstanding   instância com menos requisições em andamento
+//   weighted            revezamento ponderado por `metadata.weight` (padrão 1)
+//   consistent-hash     mesma chave (ex.: id do usuário) sempre na mesma instância;
+//                       sem chave, cai no round-robin
+const STRATEGIES = ['round-robin', 'least-outstanding', 'weighted', 'consistent-hash'];
+
+// Pontos de cada instância no anel do consistent hashing (multiplicados pelo peso)
+const VIRTUAL_NODES = 100;
+// Peso máximo aceito: limita o anel a VIRTUAL_NODES * MAX_WEIGHT pontos por instância
+const MAX_WEIGHT = 100;
+
+function hash(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
+function weightOf(instance) {
+  const weight = Number(instance.metadata && instance.metadata.weight);
+  return Number.isFinite(weight) && weight > 0 ? Math.min(weight, MAX_WEIGHT) : 1;
+}
+
+class LoadBalancer {
+  constructor(options = {}) {
+    this.defaultStrategy = options.strategy || 'round-robin';
+    this.assertStrategy(this.defaultStrategy);
+
+    this.strategies = new Map(); // serviço -> estratégia
+    this.counters = new Map(); // serviço -> próxima posição (round-robin)
+    this.currentWeights = new Map(); // id da instância -> peso corrente (weighted)
+    this.rings = new Map(); // serviço -> { signature, points }
+    this.outstanding = new Map(); // id da instância -> requisições em andamento
+  }
+
+  assertStrategy(strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Estratégia de balanceamento desconhecida: ${strategy} (use ${STRATEGIES.join(', ')})`);
+    }
+  }
+
+  setStrategy(serviceName, strategy) {
+    this.assertStrategy(strategy);
+    this.strategies.set(serviceName, strategy);
+  }
+
+  getStrategy(serviceName) {
+    return this.strategies.get(serviceName) || this.defaultStrategy;
+  }
+
+  // `options.key` é usado pelo consistent-hash; `options.strategy` substitui a do serviço
+  select(serviceName, instances, options = {}) {
+    if (instances.length === 0) return null;
+    if (instances.length === 1) return instances[0];
+
+    const strategy = options.strategy || this.getStrategy(serviceName);
+    this.assertStrategy(strategy);
+
+    switch (strategy) {
+      case 'least-outstanding':
+        return this.leastOutstanding(serviceName, instances);
+      case 'weighted':
+        return this.weighted(instances);
+      case 'consistent-hash':
+        if (options.key === undefined || options.key === null) {
+          return this.roundRobin(serviceName, instances);
+        }
+        return this.consistentHash(serviceName, instances, options.key);
+      default:
+        return this.roundRobin(serviceName, instances);
+    }
+  }
+
+  roundRobin(serviceName, instances) {
+    const position = this.counters.get(serviceName) || 0;
+    this.counters.set(serviceName, position + 1);
+    return instances[position % instances.length];
+  }
+
+  // Empates são desfeitos pelo round-robin para não concentrar tudo na primeira instância
+  leastOutstanding(serviceName, instances) {
+    const counts = instances.map(instance => this.outstanding.get(instance.id) || 0);
+    const minimum = Math.min(...counts);
+    return this.roundRobin(serviceName, instances.filter((instance, index) => counts[index] === minimum));
+  }
+
+  // Smooth weighted round-robin (como no nginx): pesos 3 e 1 geram A A B A, e não A A A B
+  weighted(instances) {
+    const total = instances.reduce((sum, instance) => sum + weightOf(instance), 0);
+    let selected = null;
+
+    instances.forEach(instance => {
+      const current = (this.currentWeights.get(instance.id) || 0) + weightOf(instance);
+      this.currentWeights.set(instance.id, current);
+      if (!selected || current > this.currentWeights.get(selected.id)) selected = instance;
+    });
+
+    this.currentWeights.set(selected.id, this.currentWeights.get(selected.id) - total);
+    return selected;
+  }
+
+  // O anel é refeito apenas quando o conjunto de instâncias muda; ao remover uma instância,
+  // só as chaves que estavam nela mudam de lugar
+  consistentHash(serviceName, instances, key) {
+    const signature = instances.map(instance => `${instance.id}:${weightOf(instance)}`).sort().join(',');
+    let ring = this.rings.get(serviceName);
+
+    if (!ring || ring.signature !== signature) {
+      const points = [];
+      instances.forEach(instance => {
+        // Pelo menos um ponto, mesmo com pesos muito pequenos
+        const count = Math.max(1, Math.round(VIRTUAL_NODES * weightOf(instance)));
+        for (let i = 0; i < count; i++) {
+          points.push({ hash: hash(`${instance.id}#${i}`), instance });
+        }
+      });
+      points.sort((a, b) => a.hash - b.hash);
+      ring = { signature, points };
+      this.rings.set(serviceName, ring);
+    }
+
+    // Primeiro ponto do anel com hash >= hash da chave (busca binária)
+    const target = hash(key);
+    let low = 0;
+    let high = ring.points.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (ring.points[middle].hash < target) low = middle + 1;
+      else high = middle;
+    }
+    const point = ring.points[low % ring.points.length];
+    return instances.find(instance => instance.id === point.instance.id);
+  }
+
+  // Marca o início de uma requisição; a função retornada marca o fim (pode ser chamada mais de uma vez)
+  begin(instance) {
+    this.outstanding.set(instance.id, (this.outstanding.get(instance.id) || 0) + 1);
+
+    let finished = false;
+    return () => {
+      if (finished) return;
+      finished = true;
+      const remaining = (this.outstanding.get(instance.id) || 1) - 1;
+      if (remaining > 0) this.outstanding.set(instance.id, remaining);
+      else this.outstanding.delete(instance.id);
+    };
+  }
+}
+
+module.exports = {
+  LoadBalancer,
+  STRATEGIES,
+  MAX_WEIGHT
+};
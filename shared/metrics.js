@@ -0,0 +1,367 @@
+const http = require('http');
+const { getLogger } = require('./logger');
+
+const logger = getLogger().child({ component: 'metrics' });
+
+// Métricas no formato de exposição de texto do Prometheus
+//
+//   const metrics = getMetrics();
+//   app.use(metrics.middleware());          // contagem e latência por rota e status
+//   metrics.instrumentDatabase(listDb);     // tempo das operações e registros do JsonDatabase
+//   metrics.instrumentRegistry(serviceRegistry);
+//   metrics.routes(app);                    // GET /metrics
+//
+// Processos sem Express (consumers) usam metrics.listen(porta).
+// Coletores (`collect`) são executados a cada leitura, para valores obtidos de outros objetos.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Segundos
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Operações do JsonDatabase cronometradas por instrumentDatabase
+const DATABASE_OPERATIONS = [
+  'create', 'findAll', 'findById', 'findOne', 'updateById', 'deleteById', 'restoreById',
+  'purgeDeleted', 'purgeExpired', 'count', 'search', 'transaction', 'persist', 'compact'
+];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = [], options = {}) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Nome de métrica inválido: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = options.collect || null;
+    this.values = new Map(); // labels serializados -> { labels, value }
+  }
+
+  // Apenas os labels declarados, na ordem declarada
+  labelsFor(labels = {}) {
+    Object.keys(labels).forEach(label => {
+      if (!this.labelNames.includes(label)) {
+        throw new Error(`Label desconhecido em ${this.name}: ${label}`);
+      }
+    });
+    return Object.fromEntries(this.labelNames.map(label => [label, labels[label] !== undefined ? String(labels[label]) : '']));
+  }
+
+  entry(labels) {
+    const normalized = this.labelsFor(labels);
+    const key = JSON.stringify(normalized);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: normalized, value: 0 };
+      this.values.set(key, entry);
+    }
+    return entry;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  samples() {
+    return Array.from(this.values.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  async expose() {
+    if (this.collect) await this.collect(this);
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames, options) {
+    super('counter', name, help, labelNames, options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Contador ${this.name} não pode diminuir`);
+    this.entry(labels).value += value;
+  }
+
+  // Para coletores que leem um total mantido em outro objeto
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, options) {
+    super('gauge', name, help, labelNames, options);
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.entry(labels).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, options = {}) {
+    super('histogram', name, help, labelNames, options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  entry(labels) {
+    const entry = super.entry(labels);
+    if (!entry.counts) {
+      entry.counts = this.buckets.map(() => 0);
+      entry.sum = 0;
+      entry.count = 0;
+    }
+    return entry;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Retorna uma função que registra o tempo decorrido (labels extras, como o status, no fim)
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  samples() {
+    return Array.from(this.values.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.databases = [];
+    this.registerProcessMetrics();
+  }
+
+  // Registrar o mesmo nome de novo devolve a métrica existente (vários módulos podem pedir a mesma)
+  register(MetricClass, name, help, labelNames = [], options = {}) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Métrica ${name} já registrada como ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(name, help, labelNames, options);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames, options) {
+    return this.register(Counter, name, help, labelNames, options);
+  }
+
+  gauge(name, help, labelNames, options) {
+    return this.register(Gauge, name, help, labelNames, options);
+  }
+
+  histogram(name, help, labelNames, options) {
+    return this.register(Histogram, name, help, labelNames, options);
+  }
+
+  async expose() {
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      try {
+        blocks.push(await metric.expose());
+      } catch (error) {
+        // Um coletor com erro não derruba as demais métricas
+        logger.warn('Erro ao coletar métrica', { metric: metric.name, error: error.message });
+      }
+    }
+    return blocks.join('\n') + '\n';
+  }
+
+  registerProcessMetrics() {
+    const startTime = Math.round(Date.now() / 1000 - process.uptime());
+    this.gauge('process_start_time_seconds', 'Início do processo (segundos desde a época Unix)', [], {
+      collect: metric => metric.set({}, startTime)
+    });
+    this.gauge('process_resident_memory_bytes', 'Memória residente do processo', [], {
+      collect: metric => metric.set({}, process.memoryUsage().rss)
+    });
+    this.gauge('nodejs_heap_used_bytes', 'Heap V8 em uso', [], {
+      collect: metric => metric.set({}, process.memoryUsage().heapUsed)
+    });
+  }
+
+  // Contagem e latência das requisições HTTP. A rota é o padrão do Express (/lists/:id),
+  // ou o prefixo montado (/api/lists) nos proxies do gateway, para não criar uma série por id
+  middleware() {
+    const requests = this.counter('http_requests_total', 'Requisições HTTP recebidas', ['method', 'route', 'status']);
+    const duration = this.histogram('http_request_duration_seconds', 'Latência das requisições HTTP', ['method', 'route', 'status']);
+    const inFlight = this.gauge('http_requests_in_flight', 'Requisições HTTP em andamento');
+
+    return (req, res, next) => {
+      const end = duration.startTimer({ method: req.method });
+      inFlight.inc();
+      res.once('close', () => {
+        inFlight.dec();
+        const labels = {
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched',
+          status: res.writableFinished ? res.statusCode : 'aborted'
+        };
+        requests.inc(labels);
+        end(labels);
+      });
+      next();
+    };
+  }
+
+  routes(app) {
+    app.get('/metrics', async (req, res) => {
+      try {
+        res.set('Content-Type', CONTENT_TYPE).send(await this.expose());
+      } catch (error) {
+        res.status(500).json({ error: 'Erro ao coletar métricas' });
+      }
+    });
+  }
+
+  // Servidor apenas com GET /metrics, para processos sem Express
+  listen(port) {
+    const server = http.createServer(async (req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(await this.expose());
+    });
+    server.on('error', error => logger.error('Erro no servidor de métricas', { port, error: error.message }));
+    server.listen(port);
+    server.unref();
+    return server;
+  }
+
+  // Tempo de cada operação e número de registros de um JsonDatabase
+  instrumentDatabase(db) {
+    const duration = this.histogram('db_operation_duration_seconds', 'Duração das operações do JsonDatabase', ['collection', 'operation', 'outcome']);
+    this.gauge('db_records', 'Registros carregados por coleção', ['collection'], {
+      collect: metric => this.databases.forEach(database => metric.set({ collection: database.filename }, database.records.size))
+    });
+    this.gauge('db_pending_operations', 'Gravações aguardando o journal', ['collection'], {
+      collect: metric => this.databases.forEach(database => metric.set({ collection: database.filename }, database.pendingOperations || 0))
+    });
+    this.databases.push(db);
+
+    DATABASE_OPERATIONS.filter(operation => typeof db[operation] === 'function').forEach(operation => {
+      const original = db[operation].bind(db);
+      db[operation] = async (...args) => {
+        const end = duration.startTimer({ collection: db.filename, operation });
+        try {
+          const result = await original(...args);
+          end({ outcome: 'success' });
+          return result;
+        } catch (error) {
+          end({ outcome: 'error' });
+          throw error;
+        }
+      };
+    });
+    return db;
+  }
+
+  // Estado e chamadas de cada circuit breaker do ServiceRegistry
+  instrumentRegistry(registry) {
+    const states = ['closed', 'open', 'half-open'];
+    this.gauge('circuit_breaker_state', 'Estado do circuit breaker por instância (1 no estado atual)', ['service', 'instance', 'state'], {
+      collect: metric => {
+        metric.reset();
+        registry.getCircuitBreakers().forEach(breaker => states.forEach(state => {
+          metric.set({ service: breaker.service, instance: breaker.instanceId, state }, breaker.state === state ? 1 : 0);
+        }));
+      }
+    });
+    this.counter('circuit_breaker_calls_total', 'Chamadas registradas pelo circuit breaker', ['service', 'instance', 'result'], {
+      collect: metric => {
+        metric.reset();
+        registry.getCircuitBreakers().forEach(breaker => {
+          const labels = { service: breaker.service, instance: breaker.instanceId };
+          metric.set({ ...labels, result: 'success' }, breaker.totals.successes);
+          metric.set({ ...labels, result: 'failure' }, breaker.totals.failures);
+          metric.set({ ...labels, result: 'rejected' }, breaker.totals.rejected);
+        });
+      }
+    });
+    this.counter('circuit_breaker_opened_total', 'Aberturas do circuit breaker', ['service', 'instance'], {
+      collect: metric => {
+        metric.reset();
+        registry.getCircuitBreakers().forEach(breaker => {
+          metric.set({ service: breaker.service, instance: breaker.instanceId }, breaker.totals.opened);
+        });
+      }
+    });
+    this.gauge('registry_instances', 'Instâncias conhecidas pelo registry por status', ['service', 'status'], {
+      collect: metric => {
+        metric.reset();
+        registry.getAllServices().forEach(instance => metric.inc({ service: instance.name, status: instance.status || 'unknown' }));
+      }
+    });
+    return registry;
+  }
+}
+
+// Uma instância por processo
+let metricsInstance = null;
+
+function getMetrics() {
+  if (!metricsInstance) {
+    metricsInstance = new MetricsRegistry();
+  }
+  return metricsInstance;
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  getMetrics,
+  CONTENT_TYPE
+};
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// Executa as migrações de um serviço sem iniciar o servidor, com a mesma coleção, DATA_DIR e
+// opções do serviço (<diretorio-do-servico>/database.js). O DATA_DIR relativo vale a partir do
+// diretório do serviço, como no `npm start`
+// Uso: node shared/migrate.js <diretorio-do-servico> [--dry-run]
+//   ex.: DATA_DIR=./data-3013 node shared/migrate.js services/list-service --dry-run
+
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+async function migrate() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [serviceDir] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!serviceDir) {
+    console.error('Uso: node shared/migrate.js <diretorio-do-servico> [--dry-run]');
+    process.exit(1);
+  }
+
+  const root = path.resolve(serviceDir);
+  const { collection, dataDir, options } = require(path.join(root, 'database'));
+  const db = new JsonDatabase(collection, path.resolve(root, dataDir), {
+    ...options,
+    dryRunMigrations: dryRun
+  });
+
+  try {
+    // As migrações rodam sobre dados existentes: um DATA_DIR errado não deve criar um database vazio
+    if (!dryRun && !(await db.storage.read(collection))) {
+      throw new Error(`Database ${collection} não encontrado em ${db.dataDir}`);
+    }
+    await db.initialize();
+    console.log(`✅ Database ${collection} na versão ${db.schemaVersion} do schema${dryRun ? ' (dry-run)' : ''}`);
+    await db.close();
+  } catch (error) {
+    console.error(`❌ Falha ao migrar ${collection}:`, error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
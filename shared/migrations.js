@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migrações versionadas de uma coleção: services/<servico>/migrations/NNN-descricao.js
+//
+//   module.exports = {
+//     description: 'Adiciona completedAt às listas',
+//     up: (record) => ({ ...record, completedAt: record.completedAt || null })
+//   };
+//
+// A versão é o prefixo numérico do arquivo. `up` recebe uma cópia de cada registro e
+// retorna o registro migrado (ou null para removê-lo). Migrações devem ser idempotentes:
+// se o processo cair durante a gravação, a migração é executada de novo.
+
+// Aceita um diretório de arquivos ou uma lista [{ version, description, up }]
+function loadMigrations(source) {
+  if (!source) return [];
+
+  let migrations = source;
+  if (typeof source === 'string') {
+    if (!fs.existsSync(source)) return [];
+
+    migrations = fs.readdirSync(source)
+      .filter(file => file.endsWith('.js'))
+      .map(file => {
+        const match = file.match(/^(\d+)[-_]/);
+        if (!match) {
+          throw new Error(`Migração ${file} deve começar com o número da versão (ex.: 001-descricao.js)`);
+        }
+        return {
+          version: parseInt(match[1], 10),
+          name: file,
+          ...require(path.resolve(source, file))
+        };
+      });
+  }
+
+  const sorted = [...migrations].sort((a, b) => a.version - b.version);
+  sorted.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Migração com versão inválida: ${migration.name || migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migração ${migration.version} não exporta a função up`);
+    }
+    if (index > 0 && sorted[index - 1].version === migration.version) {
+      throw new Error(`Versão de migração duplicada: ${migration.version}`);
+    }
+  });
+  return sorted;
+}
+
+function latestVersion(migrations) {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+// Executa em memória as migrações com versão maior que `fromVersion`, sem gravar nada.
+// Retorna os registros resultantes e quantos registros cada migração alterou
+async function planMigrations(records, migrations, fromVersion) {
+  const pending = migrations.filter(migration => migration.version > fromVersion);
+  let current = records;
+  const steps = [];
+
+  for (const migration of pending) {
+    const next = [];
+    let changed = 0;
+
+    for (const record of current) {
+      const migrated = await migration.up(JSON.parse(JSON.stringify(record)));
+      if (!migrated) {
+        changed++;
+        continue;
+      }
+      if (migrated.id !== record.id) {
+        throw new Error(`Migração ${migration.version} não pode alterar o id do registro ${record.id}`);
+      }
+      if (JSON.stringify(migrated) !== JSON.stringify(record)) changed++;
+      next.push(migrated);
+    }
+
+    steps.push({ version: migration.version, description: migration.description || migration.name || '', changed });
+    current = next;
+  }
+
+  return {
+    fromVersion,
+    toVersion: pending.length > 0 ? latestVersion(pending) : fromVersion,
+    steps,
+    records: current
+  };
+}
+
+module.exports = {
+  loadMigrations,
+  latestVersion,
+  planMigrations
+};
@@ -0,0 +1,234 @@
+// Linguagem de consulta no estilo MongoDB usada pelo JsonDatabase
+//
+// Filtros:  { status: 'active', 'preferences.currency': 'BRL', averagePrice: { $gte: 5, $lt: 10 },
+//             category: { $in: ['Limpeza', 'Higiene'] }, $or: [{ ... }, { ... }] }
+// Opções:   { sort: { updatedAt: -1 }, skip: 20, limit: 10, projection: { name: 1, items: 1 } }
+
+const COMPARISON_OPERATORS = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, expected) => compare(value, expected) > 0,
+  $gte: (value, expected) => compare(value, expected) >= 0,
+  $lt: (value, expected) => compare(value, expected) < 0,
+  $lte: (value, expected) => compare(value, expected) <= 0,
+  $in: (value, expected) => asArray(expected).some(candidate => equals(value, candidate)),
+  $nin: (value, expected) => !asArray(expected).some(candidate => equals(value, candidate)),
+  $exists: (value, expected) => (value !== undefined) === Boolean(expected)
+};
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+// Lê um caminho com pontos ("preferences.currency") de um registro
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, record);
+}
+
+function setPath(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function normalize(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(value, expected) {
+  // Campos array casam se algum elemento for igual (semântica do MongoDB)
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(element => equals(element, expected));
+  }
+  if (expected instanceof Date && typeof value === 'string') {
+    return new Date(value).getTime() === expected.getTime();
+  }
+  if (typeof expected === 'object' && expected !== null) {
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+  return value === expected;
+}
+
+// Retorna NaN quando os valores não são comparáveis, o que faz $gt/$lt falharem
+function compare(value, expected) {
+  if (value === undefined || value === null) return NaN;
+
+  let left = normalize(value);
+  const right = normalize(expected);
+  if (expected instanceof Date && typeof value === 'string') {
+    left = new Date(value).getTime();
+  }
+
+  if (typeof left !== typeof right) return NaN;
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
+
+function toRegExp(pattern, options = '') {
+  if (pattern instanceof RegExp) return pattern;
+  return new RegExp(pattern, options);
+}
+
+function matchesRegex(value, regex) {
+  if (Array.isArray(value)) return value.some(element => matchesRegex(element, regex));
+  return value !== undefined && value !== null && regex.test(value.toString());
+}
+
+function matchesCondition(value, condition) {
+  if (condition instanceof RegExp) {
+    return matchesRegex(value, condition);
+  }
+
+  // Formato legado: { regex: 'termo' } (sem diferenciar maiúsculas)
+  if (isPlainObject(condition) && typeof condition.regex === 'string' && Object.keys(condition).length === 1) {
+    return matchesRegex(value, toRegExp(condition.regex, 'i'));
+  }
+
+  if (!isOperatorObject(condition)) {
+    return equals(value, condition);
+  }
+
+  return Object.keys(condition).every(operator => {
+    const expected = condition[operator];
+
+    if (operator === '$regex') {
+      return matchesRegex(value, toRegExp(expected, condition.$options));
+    }
+    if (operator === '$options') {
+      return true;
+    }
+    if (operator === '$not') {
+      return !matchesCondition(value, expected);
+    }
+
+    const evaluate = COMPARISON_OPERATORS[operator];
+    if (!evaluate) {
+      throw new Error(`Operador de consulta não suportado: ${operator}`);
+    }
+    return evaluate(value, expected);
+  });
+}
+
+function matchesFilter(record, filter = {}) {
+  return Object.keys(filter).every(key => {
+    const condition = filter[key];
+
+    switch (key) {
+      case '$and':
+        return asArray(condition).every(subFilter => matchesFilter(record, subFilter));
+      case '$or':
+        return asArray(condition).some(subFilter => matchesFilter(record, subFilter));
+      case '$nor':
+        return !asArray(condition).some(subFilter => matchesFilter(record, subFilter));
+      default:
+        return matchesCondition(getPath(record, key), condition);
+    }
+  });
+}
+
+// Aceita { campo: 1 | -1 }, 'campo', '-campo' ou uma lista de strings
+function normalizeSort(sort) {
+  if (!sort) return [];
+  if (typeof sort === 'string' || Array.isArray(sort)) {
+    return asArray(sort).map(field => field.startsWith('-')
+      ? { field: field.slice(1), direction: -1 }
+      : { field, direction: 1 });
+  }
+  return Object.keys(sort).map(field => ({
+    field,
+    direction: sort[field] === -1 || sort[field] === 'desc' ? -1 : 1
+  }));
+}
+
+function sortRecords(records, sort) {
+  const criteria = normalizeSort(sort);
+  if (criteria.length === 0) return records;
+
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of criteria) {
+      const left = getPath(a, field);
+      const right = getPath(b, field);
+      if (left === right) continue;
+      // Valores ausentes vão para o final em ordem crescente
+      if (left === undefined || left === null) return direction;
+      if (right === undefined || right === null) return -direction;
+      const result = typeof left === 'string' && typeof right === 'string'
+        ? left.localeCompare(right)
+        : (left < right ? -1 : 1);
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+// Projeção de inclusão ({ name: 1 }) ou exclusão ({ items: 0 }); o id é mantido salvo `id: 0`
+function projectRecord(record, projection) {
+  const fields = Object.keys(projection);
+  if (fields.length === 0) return record;
+
+  const inclusive = fields.some(field => field !== 'id' && projection[field]);
+
+  if (inclusive) {
+    const projected = {};
+    if (projection.id !== 0 && projection.id !== false) {
+      projected.id = record.id;
+    }
+    fields.filter(field => projection[field]).forEach(field => {
+      const value = getPath(record, field);
+      if (value !== undefined) setPath(projected, field, value);
+    });
+    return projected;
+  }
+
+  const projected = JSON.parse(JSON.stringify(record));
+  fields.forEach(field => {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? getPath(projected, keys.join('.')) : projected;
+    if (parent && typeof parent === 'object') delete parent[last];
+  });
+  return projected;
+}
+
+function applyQueryOptions(records, options = {}) {
+  let result = sortRecords(records, options.sort);
+
+  const skip = parseInt(options.skip, 10) || 0;
+  const limit = parseInt(options.limit, 10);
+  if (skip > 0 || limit >= 0) {
+    result = result.slice(skip, limit >= 0 ? skip + limit : undefined);
+  }
+
+  if (options.projection) {
+    result = result.map(record => projectRecord(record, options.projection));
+  }
+
+  return result;
+}
+
+// Escapa caracteres especiais para usar texto do usuário dentro de $regex
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  getPath,
+  matchesFilter,
+  applyQueryOptions,
+  escapeRegExp
+};
@@ -0,0 +1,228 @@
+const axios = require('axios');
+const { ServiceRegistry } = require('./serviceRegistry');
+const { getLogger } = require('./logger');
+
+const logger = getLogger().child({ component: 'registry' });
+
+// Tempo que o registry-service segura cada long-poll do /watch
+const WATCH_TIMEOUT = 25000;
+// Espera entre tentativas quando o registry-service não responde (dobra até o máximo)
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Respostas 4xx indicam um registro inválido (ex.: weight fora do limite), não um registry fora do ar
+function isClientError(error) {
+  return Boolean(error.response) && error.response.status >= 400 && error.response.status < 500;
+}
+
+// Cliente do registry-service (services/registry-service). Mantém em memória uma cópia das
+// instâncias, atualizada por long-poll em GET /watch, e registra/renova/remove as instâncias
+// deste processo pela API HTTP. Circuit breakers e balanceamento continuam locais.
+//
+// Se o registry-service estiver fora do ar, o processo segue com a última cópia conhecida;
+// registros que não chegaram ao servidor (ou que ele perdeu) são refeitos no heartbeat.
+class RegistryClient extends ServiceRegistry {
+  constructor(baseUrl = process.env.REGISTRY_URL || 'http://localhost:3004') {
+    super(null);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.registrations = new Map(); // id -> { name, url, metadata } registrados por este processo
+    this.serverRevision = null;
+    this.watching = false;
+    this.watchAbort = null;
+    this.unavailable = false;
+  }
+
+  async initialize() {
+    try {
+      const { data } = await axios.get(`${this.baseUrl}/services`, { timeout: 5000 });
+      this.applySnapshot(data);
+      logger.info('Service Registry conectado', { url: this.baseUrl });
+    } catch (error) {
+      this.reportUnavailable(error);
+    }
+
+    this.startWatch();
+  }
+
+  // Substitui a cópia local pelo snapshot do servidor, mantendo os circuit breakers
+  // das instâncias que continuam registradas
+  applySnapshot({ revision, services }) {
+    const received = new Map(services.map(instance => [instance.id, instance]));
+
+    this.getAllServices()
+      .filter(instance => !received.has(instance.id))
+      .forEach(instance => this.removeInstance(instance));
+    received.forEach(instance => this.addInstance(instance));
+
+    this.serverRevision = revision;
+  }
+
+  reportUnavailable(error) {
+    if (!this.unavailable) {
+      logger.warn('Registry indisponível', { url: this.baseUrl, error: error.message });
+      this.unavailable = true;
+    }
+  }
+
+  reportAvailable() {
+    if (this.unavailable) {
+      logger.info('Registry disponível novamente', { url: this.baseUrl });
+      this.unavailable = false;
+    }
+  }
+
+  startWatch() {
+    if (this.watching) return;
+    this.watching = true;
+    this.watchLoop();
+  }
+
+  stopWatch() {
+    this.watching = false;
+    if (this.watchAbort) this.watchAbort.abort();
+  }
+
+  // 200 traz um snapshot novo; 304 indica que nada mudou durante o long-poll
+  async watchLoop() {
+    let delay = RETRY_DELAY;
+
+    while (this.watching) {
+      this.watchAbort = new AbortController();
+      try {
+        const response = await axios.get(`${this.baseUrl}/watch`, {
+          params: { since: this.serverRevision, timeout: WATCH_TIMEOUT },
+          timeout: WATCH_TIMEOUT + 5000,
+          signal: this.watchAbort.signal,
+          validateStatus: status => status === 200 || status === 304
+        });
+        if (response.status === 200) this.applySnapshot(response.data);
+        this.reportAvailable();
+        delay = RETRY_DELAY;
+      } catch (error) {
+        if (!this.watching) break;
+        this.reportUnavailable(error);
+        await new Promise(resolve => setTimeout(resolve, delay).unref());
+        delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+      }
+    }
+  }
+
+  async registerService(name, url, metadata = {}) {
+    const id = metadata.instanceId || this.instanceId(name, url);
+    this.registrations.set(id, { name, url, metadata });
+    this.localInstances.add(id);
+
+    let service = { id, name, url, metadata };
+    try {
+      service = await this.register(id);
+      logger.info('Serviço registrado', { serviceName: name, instanceId: id, url });
+    } catch (error) {
+      if (isClientError(error)) {
+        this.rejectRegistration(id, error);
+      } else {
+        this.reportUnavailable(error);
+        logger.warn('Serviço será registrado quando o registry responder', { serviceName: name, instanceId: id });
+      }
+    }
+
+    this.startHeartbeat();
+    return service;
+  }
+
+  async register(id) {
+    const { data } = await axios.post(`${this.baseUrl}/services`, this.registrations.get(id), { timeout: 5000 });
+    this.reportAvailable();
+
+    // O heartbeat segue a TTL definida pelo servidor
+    if (data.leaseTtl && data.leaseTtl !== this.leaseTtl) {
+      this.leaseTtl = data.leaseTtl;
+      this.heartbeatInterval = Math.floor(this.leaseTtl / 3);
+      if (this.heartbeatTimer) {
+        this.stopHeartbeat();
+        this.startHeartbeat();
+      }
+    }
+
+    this.addInstance(data.instance);
+    return data.instance;
+  }
+
+  // Erro de configuração: repetir o mesmo registro não adianta, então ele sai do heartbeat
+  rejectRegistration(id, error) {
+    const { name, url } = this.registrations.get(id);
+    this.registrations.delete(id);
+    this.localInstances.delete(id);
+    logger.error('Registro recusado pelo registry', {
+      serviceName: name,
+      instanceId: id,
+      url,
+      status: error.response.status,
+      error: (error.response.data && error.response.data.error) || error.message
+    });
+  }
+
+  // Sem `instanceId`, remove apenas as instâncias de `name` registradas por este processo
+  async unregisterService(name, instanceId = null) {
+    const ids = Array.from(this.registrations.entries())
+      .filter(([id, registration]) => registration.name === name && (!instanceId || id === instanceId))
+      .map(([id]) => id);
+    if (ids.length === 0) return false;
+
+    for (const id of ids) {
+      this.registrations.delete(id);
+      this.localInstances.delete(id);
+      try {
+        await axios.delete(`${this.baseUrl}/services/${encodeURIComponent(id)}`, {
+          timeout: 5000,
+          validateStatus: status => status === 204 || status === 404
+        });
+      } catch (error) {
+        // A lease expira sozinha no servidor
+        this.reportUnavailable(error);
+      }
+
+      const instance = this.findInstance(id);
+      if (instance) this.removeInstance(instance);
+      logger.info('Serviço removido', { serviceName: name, instanceId: id });
+    }
+    return true;
+  }
+
+  // Renova as leases deste processo; instâncias que o servidor não conhece
+  // (reiniciou ou a lease venceu) são registradas de novo
+  async heartbeat() {
+    for (const id of this.registrations.keys()) {
+      try {
+        const response = await axios.put(`${this.baseUrl}/services/${encodeURIComponent(id)}/heartbeat`, null, {
+          timeout: 5000,
+          validateStatus: status => status === 200 || status === 404
+        });
+        this.reportAvailable();
+
+        if (response.status === 404) {
+          await this.register(id);
+          logger.info('Instância registrada novamente', { instanceId: id });
+        }
+      } catch (error) {
+        if (isClientError(error)) {
+          this.rejectRegistration(id, error);
+        } else {
+          this.reportUnavailable(error);
+        }
+      }
+    }
+  }
+
+  // O estado fica no registry-service, que também faz os health checks
+  async saveRegistry() {}
+
+  startHealthChecks() {}
+
+  async shutdown() {
+    this.stopHeartbeat();
+    this.stopWatch();
+    logger.info('Service Registry finalizado');
+  }
+}
+
+module.exports = RegistryClient;
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getLogger } = require('./logger');
+const { getMetrics } = require('./metrics');
+
+// Cache de respostas do gateway
+//
+//   const cache = new ResponseCache();
+//   app.use('/api/items', cache.middleware({ ttl: 60, tags: ['items'] }), proxy);
+//   cache.watch(serviceRegistry, 'item-service', ['items']);
+//
+// Guarda em memória as respostas 200 de GET (LRU com `maxEntries`), pela URL com a query string
+// ordenada e pelo usuário (ou token) da requisição. Respostas sem ETag do serviço recebem uma
+// derivada do corpo; If-None-Match correspondente responde 304, do cache ou não.
+//
+// Cada entrada tem tags; escritas bem-sucedidas que passam pelo middleware invalidam as tags da
+// rota, e `watch` acompanha o GET /watch das instâncias de um serviço para invalidar também as
+// alterações feitas fora do gateway.
+
+const DEFAULT_OPTIONS = {
+  maxEntries: 1000,
+  maxBodySize: 1024 * 1024 // bytes; respostas maiores não são guardadas
+};
+
+// Headers que não são guardados com a resposta (os de cache são gerados a cada envio)
+const SKIPPED_HEADERS = [
+  'connection', 'keep-alive', 'transfer-encoding', 'date', 'set-cookie', 'x-request-id',
+  'etag', 'cache-control', 'age', 'vary', 'x-cache'
+];
+
+// Tempo que cada instância segura o long-poll do /watch
+const WATCH_TIMEOUT = 25000;
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+const logger = getLogger().child({ component: 'cache' });
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('base64url');
+}
+
+// Usuário autenticado, token não reconhecido ou anônimo
+function cacheScope(req) {
+  if (req.user) return `user:${req.user.id}`;
+  if (req.headers.authorization) return `token:${hash(req.headers.authorization)}`;
+  return 'public';
+}
+
+function cacheKey(req) {
+  const url = new URL(req.originalUrl, 'http://gateway');
+  url.searchParams.sort();
+  return `${cacheScope(req)} ${url.pathname}${url.search}`;
+}
+
+function cacheDirectives(header) {
+  return new Set(String(header || '').toLowerCase().split(',').map(value => value.trim().split('=')[0]));
+}
+
+// Comparação fraca, como no If-None-Match
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const normalize = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').map(normalize).includes(normalize(etag));
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.entries = new Map(); // chave -> entrada, da menos para a mais usada
+    // Invalidações por tag (e limpezas, em `epoch`); uma resposta só é guardada se nenhuma das
+    // tags dela foi invalidada enquanto era gerada
+    this.generations = new Map(); // tag -> contador
+    this.epoch = 0;
+    this.watchers = new Map(); // id da instância -> RevisionWatcher
+
+    const metrics = getMetrics();
+    this.requests = metrics.counter('gateway_cache_requests_total', 'Requisições ao cache de respostas (result: hit, miss ou bypass)', ['route', 'result']);
+    this.invalidations = metrics.counter('gateway_cache_invalidations_total', 'Invalidações do cache de respostas (source: write, watch ou admin)', ['source']);
+    metrics.gauge('gateway_cache_entries', 'Respostas guardadas no cache', [], {
+      collect: metric => metric.set({}, this.entries.size)
+    });
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Os contadores só crescem: a soma muda sempre que alguma das tags é invalidada
+  generationOf(tags) {
+    return tags.reduce((total, tag) => total + (this.generations.get(tag) || 0), this.epoch);
+  }
+
+  // Remove as entradas com alguma das tags; retorna quantas foram removidas
+  invalidate(tags, source = 'write') {
+    let removed = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.tags.some(tag => tags.includes(tag))) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+    tags.forEach(tag => this.generations.set(tag, (this.generations.get(tag) || 0) + 1));
+    this.invalidations.inc({ source });
+    logger.debug('Cache invalidado', { tags, source, removed });
+    return removed;
+  }
+
+  clear(source = 'admin') {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.epoch++;
+    this.invalidations.inc({ source });
+    return removed;
+  }
+
+  stats() {
+    const tags = {};
+    this.entries.forEach(entry => entry.tags.forEach(tag => { tags[tag] = (tags[tag] || 0) + 1; }));
+    return {
+      entries: this.entries.size,
+      maxEntries: this.options.maxEntries,
+      tags,
+      watching: Array.from(this.watchers.values()).map(watcher => watcher.status())
+    };
+  }
+
+  // GET é servido do cache por `ttl` segundos (0 desativa); escritas com sucesso invalidam `tags`.
+  // Respeita Cache-Control da requisição (no-cache busca de novo, no-store ignora o cache) e da
+  // resposta do serviço (no-store e private não são guardadas)
+  middleware({ ttl = 0, tags = [] } = {}) {
+    return (req, res, next) => {
+      if (req.method !== 'GET') {
+        if (req.method !== 'HEAD' && req.method !== 'OPTIONS') {
+          res.once('finish', () => {
+            if (res.statusCode < 400) this.invalidate(tags, 'write');
+          });
+        }
+        return next();
+      }
+
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl;
+      const directives = cacheDirectives(req.headers['cache-control']);
+      if (ttl <= 0 || directives.has('no-store')) {
+        this.requests.inc({ route, result: 'bypass' });
+        return next();
+      }
+
+      const key = cacheKey(req);
+      const entry = directives.has('no-cache') ? null : this.get(key);
+      if (entry) {
+        this.requests.inc({ route, result: 'hit' });
+        return this.send(req, res, entry, 'HIT');
+      }
+
+      this.requests.inc({ route, result: 'miss' });
+      this.capture(req, res, key, { ttl, tags });
+      next();
+    };
+  }
+
+  // Segura o corpo da resposta até o fim para calcular a ETag e guardar a entrada
+  capture(req, res, key, { ttl, tags }) {
+    const generation = this.generationOf(tags);
+    const chunks = [];
+    const { write, end } = res;
+
+    res.write = (chunk, encoding, callback) => {
+      if (typeof encoding === 'function') [callback, encoding] = [encoding, undefined];
+      if (chunk) chunks.push(Buffer.from(chunk, encoding));
+      if (callback) process.nextTick(callback);
+      return true;
+    };
+
+    res.end = (chunk, encoding, callback) => {
+      res.write = write;
+      res.end = end;
+      if (typeof chunk === 'function') [callback, chunk] = [chunk, undefined];
+      if (typeof encoding === 'function') [callback, encoding] = [encoding, undefined];
+      if (chunk) chunks.push(Buffer.from(chunk, encoding));
+
+      const body = Buffer.concat(chunks);
+      const entry = this.createEntry(req, res, body, { ttl, tags });
+      if (!entry) return res.end(body, callback);
+
+      if (generation === this.generationOf(tags)) this.set(key, entry);
+      return this.send(req, res, entry, 'MISS');
+    };
+  }
+
+  // Entrada para a resposta atual, ou null se ela não puder ser guardada
+  createEntry(req, res, body, { ttl, tags }) {
+    const directives = cacheDirectives(res.getHeader('cache-control'));
+    if (res.statusCode !== 200 || directives.has('no-store') || directives.has('private') ||
+        res.getHeader('set-cookie') || body.length > this.options.maxBodySize) {
+      return null;
+    }
+
+    const headers = {};
+    Object.entries(res.getHeaders())
+      .filter(([name]) => !SKIPPED_HEADERS.includes(name))
+      .forEach(([name, value]) => { headers[name] = value; });
+
+    const storedAt = Date.now();
+    return {
+      status: res.statusCode,
+      headers,
+      body,
+      etag: res.getHeader('etag') || `"${hash(body).slice(0, 27)}"`,
+      private: cacheScope(req) !== 'public',
+      ttl,
+      tags,
+      storedAt,
+      expiresAt: storedAt + ttl * 1000
+    };
+  }
+
+  send(req, res, entry, cacheStatus) {
+    const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.setHeader('ETag', entry.etag);
+    res.setHeader('Cache-Control', `${entry.private ? 'private' : 'public'}, max-age=${Math.max(entry.ttl - age, 0)}`);
+    res.setHeader('Vary', 'Authorization');
+    res.setHeader('Age', age);
+    res.setHeader('X-Cache', cacheStatus);
+    if (req.span) req.span.setTag('cache', cacheStatus.toLowerCase());
+
+    if (matchesEtag(req.headers['if-none-match'], entry.etag)) {
+      res.removeHeader('Content-Length');
+      res.removeHeader('Content-Type');
+      res.statusCode = 304;
+      return res.end();
+    }
+
+    res.statusCode = entry.status;
+    return res.end(entry.body);
+  }
+
+  // Invalida `tags` quando a revisão de alguma instância de `serviceName` mudar
+  // (GET /watch?since=<revisão>, como no registry-service)
+  watch(registry, serviceName, tags) {
+    const sync = () => {
+      const instances = registry.getInstances(serviceName);
+      const ids = new Set(instances.map(instance => instance.id));
+
+      this.watchers.forEach((watcher, id) => {
+        if (watcher.serviceName === serviceName && !ids.has(id)) {
+          watcher.stop();
+          this.watchers.delete(id);
+        }
+      });
+      instances
+        .filter(instance => !this.watchers.has(instance.id))
+        .forEach(instance => {
+          const watcher = new RevisionWatcher(instance, () => this.invalidate(tags, 'watch'));
+          this.watchers.set(instance.id, watcher);
+          watcher.start();
+        });
+    };
+
+    registry.on('change', sync);
+    sync();
+  }
+
+  stopWatching() {
+    this.watchers.forEach(watcher => watcher.stop());
+    this.watchers.clear();
+  }
+}
+
+// Long-poll no GET /watch de uma instância; chama `onChange` quando a revisão muda
+class RevisionWatcher {
+  constructor(instance, onChange) {
+    this.instanceId = instance.id;
+    this.serviceName = instance.name;
+    this.url = instance.url;
+    this.onChange = onChange;
+    this.revision = null;
+    this.running = false;
+    this.abort = null;
+    this.unavailable = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.loop();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.abort) this.abort.abort();
+  }
+
+  status() {
+    return { instanceId: this.instanceId, revision: this.revision, available: !this.unavailable };
+  }
+
+  async loop() {
+    let delay = RETRY_DELAY;
+
+    while (this.running) {
+      this.abort = new AbortController();
+      try {
+        const response = await axios.get(`${this.url}/watch`, {
+          params: { since: this.revision, timeout: WATCH_TIMEOUT },
+          timeout: WATCH_TIMEOUT + 5000,
+          signal: this.abort.signal,
+          validateStatus: status => status === 200 || status === 304
+        });
+        // A primeira resposta só define a revisão; depois de uma falha, a revisão diferente
+        // também indica alterações (ou reinício da instância) durante a falha
+        if (response.status === 200 && response.data.revision !== this.revision) {
+          if (this.revision !== null) this.onChange(response.data.revision);
+          this.revision = response.data.revision;
+        }
+        if (this.unavailable) {
+          logger.info('Invalidação do cache restabelecida', { instanceId: this.instanceId });
+          this.unavailable = false;
+        }
+        delay = RETRY_DELAY;
+      } catch (error) {
+        if (!this.running) break;
+        if (!this.unavailable) {
+          logger.warn('Sem invalidação do cache para a instância; valendo apenas o TTL', { instanceId: this.instanceId, error: error.message });
+          this.unavailable = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay).unref());
+        delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,107 @@
+// Validação de registros contra o schema declarado de uma coleção
+//
+//   {
+//     strict: true, // campos não declarados são rejeitados
+//     fields: {
+//       name: { type: 'string', required: true, minLength: 1 },
+//       status: { type: 'string', enum: ['active', 'completed'] },
+//       completedAt: { type: 'date', nullable: true },
+//       email: { type: 'string', encrypted: true }, // cifrado em repouso (ver ./encryption)
+//       items: { type: 'array', items: { type: 'object', fields: { ... } } }
+//     }
+//   }
+//
+// Tipos: string, number, integer, boolean, date (string ISO 8601), object, array e any
+
+// Campos mantidos pelo próprio JsonDatabase
+const SYSTEM_FIELDS = ['id', 'version', 'createdAt', 'updatedAt', 'deletedAt', 'expiresAt'];
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  any: () => true
+};
+
+function validateValue(rule, value, field, errors) {
+  if (value === undefined) {
+    if (rule.required) errors.push({ field, message: 'é obrigatório' });
+    return;
+  }
+
+  if (value === null) {
+    if (!rule.nullable) errors.push({ field, message: 'não pode ser nulo' });
+    return;
+  }
+
+  const type = rule.type || 'any';
+  const check = TYPE_CHECKS[type];
+  if (!check) {
+    throw new Error(`Tipo desconhecido no schema (${field}): ${type}`);
+  }
+  if (!check(value)) {
+    errors.push({ field, message: `deve ser do tipo ${type}` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `deve ser um de: ${rule.enum.join(', ')}` });
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push({ field, message: `deve ser maior ou igual a ${rule.min}` });
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    errors.push({ field, message: `deve ser menor ou igual a ${rule.max}` });
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    errors.push({ field, message: `deve ter pelo menos ${rule.minLength} caracteres` });
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    errors.push({ field, message: `deve ter no máximo ${rule.maxLength} caracteres` });
+  }
+  if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+    errors.push({ field, message: 'está em formato inválido' });
+  }
+
+  if (type === 'array' && rule.items) {
+    value.forEach((element, index) => validateValue(rule.items, element, `${field}[${index}]`, errors));
+  }
+  if (type === 'object' && rule.fields) {
+    validateFields(rule, value, `${field}.`, errors);
+  }
+}
+
+function validateFields(rule, value, prefix, errors, allowed = []) {
+  Object.keys(rule.fields).forEach(name => {
+    validateValue(rule.fields[name], value[name], `${prefix}${name}`, errors);
+  });
+
+  if (rule.strict) {
+    Object.keys(value)
+      .filter(name => !rule.fields[name] && !allowed.includes(name))
+      .forEach(name => errors.push({ field: `${prefix}${name}`, message: 'não é permitido' }));
+  }
+}
+
+// Retorna a lista de erros ([{ field, message }]); vazia se o registro é válido
+function validateRecord(schema, record) {
+  const errors = [];
+  validateFields(schema, record, '', errors, SYSTEM_FIELDS);
+  validateValue({ type: 'date', nullable: true }, record.expiresAt, 'expiresAt', errors);
+  return errors;
+}
+
+// Campos de primeiro nível marcados com `encrypted: true`
+function encryptedFields(schema) {
+  return Object.keys(schema.fields || {}).filter(name => schema.fields[name].encrypted);
+}
+
+module.exports = {
+  SYSTEM_FIELDS,
+  validateRecord,
+  encryptedFields
+};
@@ -0,0 +1,204 @@
+// Índice invertido para busca textual em português
+//
+//   const index = new SearchIndex({ fields: { name: 3, brand: 2, description: 1 } });
+//   await index.attach(itemDb);           // indexa e acompanha as alterações do database
+//   index.search('acucar cristal');       // [{ id, score }] ordenado por relevância
+//
+// Texto e consulta passam pelo mesmo tratamento: acentos removidos, minúsculas,
+// stopwords descartadas e stemming leve (plurais e diminutivos). Cada termo da consulta
+// casa com termos iguais, com termos que começam com ele ou com até 1-2 erros de digitação.
+
+const STOPWORDS = new Set([
+  'a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'entre',
+  'ou', 'na', 'nas', 'no', 'nos', 'num', 'numa', 'o', 'os', 'para', 'pela', 'pelas', 'pelo',
+  'pelos', 'por', 'pra', 'que', 'se', 'sem', 'sob', 'sobre', 'um', 'uma', 'umas', 'uns'
+]);
+
+// Peso de cada tipo de correspondência entre termo da consulta e termo do índice
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.4
+};
+
+// Regras aplicadas em ordem; apenas a primeira que casar é usada. O terceiro valor é o
+// tamanho mínimo do radical (padrão 3): -ões e -ães também valem para palavras curtas
+// ("pães", "cães"), enquanto "país" não vira "pal"
+const SUFFIX_RULES = [
+  ['zinhos', ''], ['zinhas', ''], ['zinho', ''], ['zinha', ''],
+  ['oes', 'ao', 1], ['aes', 'ao', 1], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+  ['ns', 'm'], ['res', 'r'], ['zes', 'z'], ['s', '']
+];
+
+function foldAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Stemming leve: reduz plurais e diminutivos ("pães" -> "pao", "pãozinho" -> "pao")
+function stem(word) {
+  if (word.length <= 3 || /^\d/.test(word)) return word;
+
+  for (const [suffix, replacement, minStem = 3] of SUFFIX_RULES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minStem) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+  return word;
+}
+
+function tokenize(text) {
+  if (text === undefined || text === null) return [];
+  return foldAccents(String(text))
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+// Distância de edição com transposições (Damerau restrita); para cedo acima de `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Erros de digitação tolerados de acordo com o tamanho do termo
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+class SearchIndex {
+  constructor(options = {}) {
+    // `fields`: lista de campos ou { campo: peso }
+    const fields = options.fields || ['name'];
+    this.fields = Array.isArray(fields)
+      ? fields.reduce((weights, field) => ({ ...weights, [field]: 1 }), {})
+      : fields;
+
+    this.terms = new Map(); // termo -> Map(id -> frequência ponderada pelo campo)
+    this.documents = new Map(); // id -> Set de termos (para remoção)
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(record) {
+    this.remove(record.id);
+
+    const frequencies = new Map();
+    Object.keys(this.fields).forEach(field => {
+      tokenize(record[field]).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + this.fields[field]);
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.terms.has(term)) this.terms.set(term, new Map());
+      this.terms.get(term).set(record.id, frequency);
+    });
+    this.documents.set(record.id, new Set(frequencies.keys()));
+  }
+
+  remove(id) {
+    const terms = this.documents.get(id);
+    if (!terms) return;
+
+    terms.forEach(term => {
+      const postings = this.terms.get(term);
+      postings.delete(id);
+      if (postings.size === 0) this.terms.delete(term);
+    });
+    this.documents.delete(id);
+  }
+
+  // Indexa os registros atuais e acompanha as alterações pelos eventos do JsonDatabase
+  async attach(db) {
+    db.on('change', ({ id, after }) => {
+      if (after && !after.deletedAt) {
+        this.add(after);
+      } else {
+        this.remove(id);
+      }
+    });
+    (await db.findAll()).forEach(record => this.add(record));
+  }
+
+  // Melhor tipo de correspondência de cada termo do índice para um termo da consulta
+  expand(queryTerm) {
+    const matches = new Map(); // termo do índice -> peso
+    const maxTypos = allowedTypos(queryTerm);
+
+    this.terms.forEach((postings, term) => {
+      if (term === queryTerm) {
+        matches.set(term, MATCH_WEIGHTS.exact);
+      } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        matches.set(term, MATCH_WEIGHTS.prefix);
+      } else if (maxTypos > 0 && editDistance(queryTerm, term, maxTypos) <= maxTypos) {
+        matches.set(term, MATCH_WEIGHTS.typo);
+      }
+    });
+    return matches;
+  }
+
+  // Pontuação no estilo TF-IDF; documentos que casam com mais termos da consulta vêm primeiro
+  search(query, options = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const totalDocuments = this.documents.size;
+    const scores = new Map(); // id -> { score, matched }
+
+    queryTerms.forEach(queryTerm => {
+      const best = new Map(); // id -> melhor pontuação para este termo da consulta
+
+      this.expand(queryTerm).forEach((weight, term) => {
+        const postings = this.terms.get(term);
+        const idf = Math.log(1 + (totalDocuments - postings.size + 0.5) / (postings.size + 0.5));
+        postings.forEach((frequency, id) => {
+          const score = weight * idf * (1 + Math.log(frequency));
+          if (score > (best.get(id) || 0)) best.set(id, score);
+        });
+      });
+
+      best.forEach((score, id) => {
+        const current = scores.get(id) || { score: 0, matched: 0 };
+        scores.set(id, { score: current.score + score, matched: current.matched + 1 });
+      });
+    });
+
+    const results = Array.from(scores.entries())
+      .map(([id, { score, matched }]) => ({
+        id,
+        score: Number((score * matched / queryTerms.length).toFixed(4))
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  foldAccents,
+  stem
+};
@@ -1,39 +1,145 @@
 const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
 const axios = require('axios');
+const { LoadBalancer } = require('./loadBalancer');
+const { CircuitBreaker, validatePolicy } = require('./circuitBreaker');
+const writeFileAtomic = require('./storage/writeFileAtomic');
+const FileLock = require('./storage/FileLock');
+const { DatabaseLockError, CircuitOpenError } = require('./errors');
+const { getLogger } = require('./logger');
 
-class ServiceRegistry {
-  constructor(registryFile = './shared/registry.json') {
+const logger = getLogger().child({ component: 'registry' });
+
+// { database: { status: 'up', ... } } -> { database: 'up' }
+function summarizeChecks(checks) {
+  if (!checks || typeof checks !== 'object') return undefined;
+  return Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check && check.status]));
+}
+
+function failedChecks(checks) {
+  return Object.entries(checks || {}).filter(([, status]) => status === 'down').map(([name]) => name);
+}
+
+// Tentativas de obter o lock do arquivo do registry (a cada 20 ms)
+const LOCK_ATTEMPTS = 50;
+
+// CIRCUIT_BREAKER_POLICIES='{"item-service": {"failureRateThreshold": 25}, "*": {...}}'
+// ("*" vale para todos os serviços)
+function parseCircuitBreakerPolicies(value) {
+  if (!value) return new Map();
+
+  let policies;
+  try {
+    policies = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`CIRCUIT_BREAKER_POLICIES deve ser um objeto JSON: ${error.message}`);
+  }
+  return new Map(Object.entries(policies).map(([name, policy]) => [name, validatePolicy(policy)]));
+}
+
+// Cada serviço lógico (ex.: list-service) pode ter várias instâncias, identificadas por
+// `id` (padrão: <nome>@<host:porta>). O arquivo do registry é compartilhado pelos processos:
+// cada um grava as instâncias que registrou e lê as dos demais a cada sincronização.
+//
+// Registros são leases: o processo renova as suas com heartbeats (a cada 1/3 da TTL) e
+// instâncias com a lease vencida (processo que caiu sem SIGINT) são descartadas. Uma
+// instância local que sumiu do arquivo é gravada de novo no heartbeat seguinte.
+// Leitura e gravação do arquivo acontecem sob um lock, para um processo não
+// sobrescrever a renovação feita por outro.
+//
+// Com `authoritative: true` (usado pelo registry-service) este registry é a fonte da verdade:
+// o arquivo é apenas um snapshot para reinícios, e as leases são renovadas por renewInstance.
+// Toda mudança no conjunto de instâncias ou no status de uma delas incrementa `revision` e
+// emite 'change'.
+class ServiceRegistry extends EventEmitter {
+  constructor(registryFile = './shared/registry.json', options = {}) {
+    super();
     this.registryFile = registryFile;
-    this.services = new Map();
+    this.authoritative = options.authoritative || false;
+    // Começa no horário de início para revisões de execuções diferentes nunca coincidirem
+    this.revision = Date.now();
+    this.services = new Map(); // nome -> Map(id -> instância)
+    this.localInstances = new Set(); // ids registrados por este processo
+    this.unregistered = new Set(); // ids removidos por este processo
+    // Estratégia padrão em LB_STRATEGY; por serviço com setLoadBalancingStrategy (ver ./loadBalancer)
+    this.loadBalancer = new LoadBalancer({ strategy: process.env.LB_STRATEGY });
     this.healthCheckInterval = 30000; // 30 segundos
     this.healthCheckTimer = null;
-    this.circuitBreakers = new Map();
+    this.leaseTtl = parseInt(process.env.REGISTRY_LEASE_TTL_MS) || 30000; // 30 segundos
+    this.heartbeatInterval = Math.floor(this.leaseTtl / 3);
+    this.heartbeatTimer = null;
+    this.sweepTimer = null;
+    this.persisted = new Set(); // ids locais já gravados no arquivo
+    this.saveQueue = Promise.resolve(); // gravações deste registry, uma de cada vez
+    this.tempFile = registryFile && `${registryFile}.${process.pid}-${Math.random().toString(36).slice(2, 8)}.tmp`;
+    this.circuitBreakers = new Map(); // id da instância -> CircuitBreaker
+    this.circuitBreakerPolicies = parseCircuitBreakerPolicies(process.env.CIRCUIT_BREAKER_POLICIES); // serviço -> política
   }
 
   async initialize() {
     try {
       // Tentar carregar registry existente
-      const registryData = await fs.readFile(this.registryFile, 'utf8');
-      const services = JSON.parse(registryData);
-      
-      services.forEach(service => {
-        this.services.set(service.name, service);
-        this.initCircuitBreaker(service.name);
-      });
+      const instances = await this.readRegistry();
+      instances
+        .filter(instance => !this.isLeaseExpired(instance))
+        .forEach(instance => this.addInstance(instance));
 
-      console.log('🔧 Service Registry carregado');
+      logger.info('Service Registry carregado');
     } catch (error) {
       // Registry não existe, começar vazio
-      console.log('🔧 Service Registry iniciado vazio');
+      logger.info('Service Registry iniciado vazio');
     }
 
     // Iniciar health checks
     this.startHealthChecks();
   }
 
-  async registerService(name, url, metadata = {}) {
+  instanceId(name, url) {
+    return `${name}@${new URL(url).host}`;
+  }
+
+  // Registros gravados antes das instâncias não têm id
+  async readRegistry() {
+    const instances = JSON.parse(await fs.readFile(this.registryFile, 'utf8'));
+    return instances.map(instance => ({ ...instance, id: instance.id || this.instanceId(instance.name, instance.url) }));
+  }
+
+  notifyChange() {
+    this.revision++;
+    this.emit('change', this.revision);
+  }
+
+  addInstance(instance) {
+    if (!this.services.has(instance.name)) {
+      this.services.set(instance.name, new Map());
+    }
+    this.services.get(instance.name).set(instance.id, instance);
+    if (this.circuitBreakers.has(instance.id)) {
+      this.circuitBreakers.get(instance.id).configure(this.circuitBreakerPolicy(instance));
+    } else {
+      this.initCircuitBreaker(instance);
+    }
+    this.notifyChange();
+  }
+
+  removeInstance(instance) {
+    const instances = this.services.get(instance.name);
+    if (!instances || !instances.delete(instance.id)) return;
+    if (instances.size === 0) this.services.delete(instance.name);
+    this.circuitBreakers.delete(instance.id);
+    this.notifyChange();
+  }
+
+  findInstance(id) {
+    return this.getAllServices().find(instance => instance.id === id) || null;
+  }
+
+  // `metadata.instanceId` substitui o id padrão; registrar o mesmo id de novo atualiza a instância
+  upsertInstance(name, url, metadata = {}) {
+    const id = metadata.instanceId || this.instanceId(name, url);
     const service = {
+      id,
       name,
       url,
       metadata,
@@ -43,182 +149,455 @@ class ServiceRegistry {
       failureCount: 0
     };
 
-    this.services.set(name, service);
-    this.initCircuitBreaker(name);
+    this.renewLease(service);
+    // Reaproveita o breaker de uma instância já conhecida (heartbeat, novo registro) com o
+    // estado atual: registrar de novo não fecha um circuito aberto
+    this.addInstance(service);
+    return service;
+  }
+
+  async registerService(name, url, metadata = {}) {
+    const service = this.upsertInstance(name, url, metadata);
+    const { id } = service;
+    this.localInstances.add(id);
+    this.unregistered.delete(id);
     await this.saveRegistry();
-    
-    console.log(`✅ Serviço registrado: ${name} em ${url}`);
+    this.startHeartbeat();
+
+    logger.info('Serviço registrado', { serviceName: name, instanceId: id, url });
     return service;
   }
 
-  async unregisterService(name) {
-    if (this.services.has(name)) {
-      this.services.delete(name);
-      this.circuitBreakers.delete(name);
-      await this.saveRegistry();
-      console.log(`❌ Serviço removido: ${name}`);
-      return true;
-    }
-    return false;
+  // Sem `instanceId`, remove apenas as instâncias de `name` registradas por este processo
+  async unregisterService(name, instanceId = null) {
+    const instances = this.getInstances(name)
+      .filter(instance => instanceId ? instance.id === instanceId : this.localInstances.has(instance.id));
+    if (instances.length === 0) return false;
+
+    instances.forEach(instance => {
+      this.removeInstance(instance);
+      this.localInstances.delete(instance.id);
+      this.persisted.delete(instance.id);
+      this.unregistered.add(instance.id);
+      logger.info('Serviço removido', { serviceName: name, instanceId: instance.id });
+    });
+    await this.saveRegistry();
+    return true;
   }
 
-  getService(name) {
-    const service = this.services.get(name);
-    if (!service) return null;
+  getInstances(name) {
+    const instances = this.services.get(name);
+    return instances ? Array.from(instances.values()) : [];
+  }
 
-    // Verificar circuit breaker
-    const breaker = this.circuitBreakers.get(name);
-    if (breaker && breaker.state === 'open') {
-      // Verificar se deve tentar half-open
-      if (Date.now() - breaker.lastFailure > breaker.timeout) {
-        breaker.state = 'half-open';
-        console.log(`🔄 Circuit breaker ${name} em half-open`);
-      } else {
-        throw new Error(`Circuit breaker aberto para ${name}`);
-      }
+  // Escolhe uma instância pela estratégia de balanceamento do serviço, preferindo as saudáveis
+  // e depois as degradadas.
+  // Instâncias com circuit breaker aberto ficam de fora; se todas estiverem abertas, lança erro.
+  // `options.key` (ex.: id do usuário) é usado pelo consistent-hash
+  getService(name, options = {}) {
+    const instances = this.getInstances(name);
+    if (instances.length === 0) return null;
+
+    const available = instances.filter(instance => this.isCircuitClosed(instance.id));
+    if (available.length === 0) {
+      instances.forEach(instance => this.circuitBreakers.get(instance.id).recordRejected());
+      throw new CircuitOpenError(name);
     }
 
-    return service;
+    const healthy = available.filter(instance => instance.status === 'healthy');
+    const degraded = available.filter(instance => instance.status === 'degraded');
+    const candidates = [healthy, degraded, available].find(group => group.length > 0);
+    const selected = this.loadBalancer.select(name, candidates, options);
+    // Em half-open, ocupa uma das chamadas de teste
+    this.circuitBreakers.get(selected.id).acquirePermission();
+    return selected;
+  }
+
+  setLoadBalancingStrategy(name, strategy) {
+    this.loadBalancer.setStrategy(name, strategy);
+  }
+
+  // Conta a requisição como em andamento na instância (least-outstanding);
+  // chame a função retornada ao terminar
+  beginRequest(instance) {
+    return this.loadBalancer.begin(instance);
   }
 
   getAllServices() {
-    return Array.from(this.services.values());
+    return Array.from(this.services.values())
+      .flatMap(instances => Array.from(instances.values()));
   }
 
   getHealthyServices() {
-    return Array.from(this.services.values())
+    return this.getAllServices()
       .filter(service => service.status === 'healthy');
   }
 
-  initCircuitBreaker(serviceName) {
-    this.circuitBreakers.set(serviceName, {
-      state: 'closed', // closed, open, half-open
-      failures: 0,
-      threshold: 3,
-      timeout: 60000, // 1 minuto
-      lastFailure: 0
-    });
+  // Instâncias que atendem requisições: healthy ou degraded
+  getReadyServices() {
+    return this.getAllServices()
+      .filter(service => service.status === 'healthy' || service.status === 'degraded');
   }
 
-  recordSuccess(serviceName) {
-    const breaker = this.circuitBreakers.get(serviceName);
-    if (breaker) {
-      breaker.failures = 0;
-      if (breaker.state === 'half-open') {
-        breaker.state = 'closed';
-        console.log(`✅ Circuit breaker ${serviceName} fechado`);
+  // Política do breaker de uma instância: padrão < `metadata.circuitBreaker` informado no
+  // registro < configuração local (CIRCUIT_BREAKER_POLICIES ou setCircuitBreakerPolicy)
+  circuitBreakerPolicy(instance) {
+    let announced = {};
+    if (instance.metadata && instance.metadata.circuitBreaker) {
+      try {
+        announced = validatePolicy({ ...instance.metadata.circuitBreaker });
+      } catch (error) {
+        logger.warn('Política de circuit breaker ignorada', { instanceId: instance.id, error: error.message });
       }
     }
+
+    return {
+      ...announced,
+      ...this.circuitBreakerPolicies.get('*'),
+      ...this.circuitBreakerPolicies.get(instance.name)
+    };
+  }
+
+  setCircuitBreakerPolicy(name, policy) {
+    this.circuitBreakerPolicies.set(name, validatePolicy({ ...policy }));
+    this.getAllServices()
+      .filter(instance => name === '*' || instance.name === name)
+      .forEach(instance => this.circuitBreakers.get(instance.id).configure(this.circuitBreakerPolicy(instance)));
   }
 
-  recordFailure(serviceName) {
-    const breaker = this.circuitBreakers.get(serviceName);
-    if (breaker) {
-      breaker.failures++;
-      breaker.lastFailure = Date.now();
+  initCircuitBreaker(instance) {
+    const breaker = new CircuitBreaker(instance.id, this.circuitBreakerPolicy(instance));
 
-      if (breaker.failures >= breaker.threshold) {
-        breaker.state = 'open';
-        console.log(`🚨 Circuit breaker ${serviceName} aberto após ${breaker.failures} falhas`);
-      }
+    breaker.on('stateChange', ({ from, to, reason }) => {
+      logger[to === 'open' ? 'warn' : 'info'](`Circuit breaker ${to}`, { instanceId: instance.id, from, to, reason });
+      this.emit('circuitBreaker', { instanceId: instance.id, service: instance.name, from, to, reason });
+    });
+
+    this.circuitBreakers.set(instance.id, breaker);
+  }
+
+  // Verificar circuit breaker; após o openTimeout a instância volta em half-open
+  isCircuitClosed(instanceId) {
+    const breaker = this.circuitBreakers.get(instanceId);
+    return !breaker || breaker.isCallPermitted();
+  }
+
+  // `duration` (ms) é usado para identificar chamadas lentas
+  recordSuccess(instanceId, duration = 0) {
+    const breaker = this.circuitBreakers.get(instanceId);
+    if (breaker) breaker.recordSuccess(duration);
+  }
+
+  recordFailure(instanceId, duration = 0) {
+    const breaker = this.circuitBreakers.get(instanceId);
+    if (breaker) breaker.recordFailure(duration);
+  }
+
+  // Erro de uma chamada HTTP: respostas 4xx indicam um serviço funcionando e contam como sucesso
+  recordError(instanceId, error, duration = 0) {
+    if (error.response && error.response.status < 500) {
+      this.recordSuccess(instanceId, duration);
+    } else {
+      this.recordFailure(instanceId, duration);
     }
   }
 
-  async saveRegistry() {
+  // Estado e contadores de cada breaker
+  getCircuitBreakers() {
+    return this.getAllServices().map(instance => {
+      const { name, ...breaker } = this.circuitBreakers.get(instance.id).toJSON();
+      return { instanceId: instance.id, service: instance.name, ...breaker };
+    });
+  }
+
+  // Registros sem lease (gravados por versões anteriores) também são considerados vencidos
+  isLeaseExpired(instance, now = Date.now()) {
+    return !instance.leaseExpiresAt || Date.parse(instance.leaseExpiresAt) <= now;
+  }
+
+  renewLease(instance, now = Date.now()) {
+    instance.lastHeartbeat = new Date(now).toISOString();
+    instance.leaseExpiresAt = new Date(now + this.leaseTtl).toISOString();
+  }
+
+  // Heartbeat recebido pelo registry-service; null se a instância não está registrada
+  renewInstance(id) {
+    const instance = this.findInstance(id);
+    if (instance) this.renewLease(instance);
+    return instance;
+  }
+
+  // Remove as instâncias com a lease vencida (modo authoritative)
+  async evictExpired() {
+    const now = Date.now();
+    const expired = this.getAllServices().filter(instance => this.isLeaseExpired(instance, now));
+    if (expired.length === 0) return 0;
+
+    expired.forEach(instance => {
+      this.removeInstance(instance);
+      logger.warn('Lease expirada, instância removida', { instanceId: instance.id });
+    });
+    await this.saveRegistry();
+    return expired.length;
+  }
+
+  startLeaseSweeper() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.evictExpired().catch(error => {
+        logger.error('Erro ao remover leases expiradas', error);
+      });
+    }, this.heartbeatInterval);
+    this.sweepTimer.unref();
+  }
+
+  stopLeaseSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  // Incorpora as instâncias registradas por outros processos; para elas o arquivo é a
+  // fonte da verdade (uma instância removida do arquivo também sai deste registry)
+  async syncRegistry() {
+    let stored = [];
     try {
-      const services = Array.from(this.services.values());
-      await fs.writeFile(this.registryFile, JSON.stringify(services, null, 2));
+      stored = await this.readRegistry();
     } catch (error) {
-      console.error('❌ Erro ao salvar registry:', error);
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const now = Date.now();
+    const storedById = new Map(stored.map(instance => [instance.id, instance]));
+
+    // Instâncias locais que sumiram do arquivo (lease vencida ou registry recriado)
+    this.localInstances.forEach(id => {
+      if (this.persisted.has(id) && !storedById.has(id)) {
+        logger.info('Instância registrada novamente', { instanceId: id });
+      }
+    });
+
+    this.getAllServices()
+      .filter(instance => !this.localInstances.has(instance.id))
+      .forEach(instance => {
+        const current = storedById.get(instance.id);
+        if (!current) {
+          this.removeInstance(instance);
+        } else if (this.isLeaseExpired(current, now)) {
+          this.removeInstance(instance);
+          logger.warn('Lease expirada, instância removida', { instanceId: instance.id });
+        } else {
+          instance.lastHeartbeat = current.lastHeartbeat;
+          instance.leaseExpiresAt = current.leaseExpiresAt;
+        }
+      });
+
+    stored
+      .filter(instance => !this.localInstances.has(instance.id) && !this.unregistered.has(instance.id))
+      .filter(instance => !this.findInstance(instance.id) && !this.isLeaseExpired(instance, now))
+      .forEach(instance => this.addInstance(instance));
+  }
+
+  async acquireFileLock() {
+    const lock = new FileLock(`${this.registryFile}.lock`);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await lock.acquire();
+        return lock;
+      } catch (error) {
+        if (!(error instanceof DatabaseLockError) || attempt >= LOCK_ATTEMPTS) throw error;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+  }
+
+  // Grava com rename atômico para outros processos nunca lerem um arquivo pela metade
+  async saveRegistry() {
+    if (this.authoritative) {
+      return this.saveSnapshot();
+    }
+
+    this.saveQueue = this.saveQueue.then(async () => {
+      let lock = null;
+      try {
+        lock = await this.acquireFileLock();
+        await this.syncRegistry();
+        const services = this.getAllServices();
+        await writeFileAtomic(this.registryFile, JSON.stringify(services, null, 2), this.tempFile);
+        this.localInstances.forEach(id => this.persisted.add(id));
+      } catch (error) {
+        logger.error('Erro ao salvar registry', error);
+      } finally {
+        if (lock) await lock.release();
+      }
+    });
+    return this.saveQueue;
+  }
+
+  // Modo authoritative: o arquivo pertence apenas a este processo
+  async saveSnapshot() {
+    this.saveQueue = this.saveQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.registryFile), { recursive: true });
+        await writeFileAtomic(this.registryFile, JSON.stringify(this.getAllServices(), null, 2), this.tempFile);
+      } catch (error) {
+        logger.error('Erro ao salvar registry', error);
+      }
+    });
+    return this.saveQueue;
+  }
+
+  // Renova as leases das instâncias deste processo
+  async heartbeat() {
+    const now = Date.now();
+    this.localInstances.forEach(id => {
+      const instance = this.findInstance(id);
+      if (instance) this.renewLease(instance, now);
+    });
+    await this.saveRegistry();
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => {
+        logger.error('Erro no heartbeat do registry', error);
+      });
+    }, this.heartbeatInterval);
+
+    // Não manter o processo vivo apenas por causa do heartbeat
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
     }
   }
 
+  // Usa o /health/ready da instância: 200 com status 'degraded' indica que ela atende, mas com
+  // alguma dependência não crítica fora do ar; 503 ou falta de resposta indicam unhealthy
   async performHealthCheck(service) {
+    const previousStatus = service.status;
+    const startedAt = Date.now();
     try {
-      const response = await axios.get(`${service.url}/health`, {
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'ServiceRegistry-HealthCheck'
-        }
-      });
+      const report = await this.fetchReadiness(service);
+
+      service.status = report.status === 'degraded' ? 'degraded' : 'healthy';
+      service.checks = summarizeChecks(report.checks);
+      service.lastHealthCheck = new Date().toISOString();
+      service.failureCount = 0;
+      this.recordSuccess(service.id, Date.now() - startedAt);
 
-      if (response.status === 200) {
-        service.status = 'healthy';
-        service.lastHealthCheck = new Date().toISOString();
-        service.failureCount = 0;
-        this.recordSuccess(service.name);
-        return true;
+      if (previousStatus !== service.status) {
+        this.notifyChange();
+        if (service.status === 'degraded') {
+          logger.warn('Instância degradada', { serviceName: service.name, instanceId: service.id, failedChecks: failedChecks(service.checks) });
+        }
       }
+      return true;
     } catch (error) {
       service.status = 'unhealthy';
       service.failureCount = (service.failureCount || 0) + 1;
       service.lastError = error.message;
-      this.recordFailure(service.name);
-      
-      console.log(`🔍 Health check falhou para ${service.name}: ${error.message}`);
+      // O 503 do /health/ready traz as verificações que falharam
+      const report = error.response && error.response.data;
+      service.checks = summarizeChecks(report && report.checks);
+      this.recordFailure(service.id, Date.now() - startedAt);
+      if (previousStatus !== 'unhealthy') this.notifyChange();
+
+      const failed = failedChecks(service.checks);
+      logger.warn('Health check falhou', { serviceName: service.name, instanceId: service.id, failedChecks: failed, error: error.message });
       return false;
     }
   }
 
+  // Instâncias sem /health/ready (404) são verificadas pelo /health
+  async fetchReadiness(service) {
+    const options = {
+      timeout: 5000,
+      headers: {
+        'User-Agent': 'ServiceRegistry-HealthCheck'
+      }
+    };
+
+    try {
+      return (await axios.get(`${service.url}/health/ready`, options)).data;
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) throw error;
+      return (await axios.get(`${service.url}/health`, options)).data;
+    }
+  }
+
   startHealthChecks() {
     if (this.healthCheckTimer) {
       clearInterval(this.healthCheckTimer);
     }
 
+    // Cada instância é verificada de forma independente
     this.healthCheckTimer = setInterval(async () => {
-      const services = Array.from(this.services.values());
-      
+      const services = this.getAllServices();
+
       for (const service of services) {
         await this.performHealthCheck(service);
       }
-      
+
       await this.saveRegistry();
     }, this.healthCheckInterval);
 
-    console.log(`🏥 Health checks iniciados (${this.healthCheckInterval/1000}s)`);
+    logger.info('Health checks iniciados', { intervalMs: this.healthCheckInterval });
   }
 
   stopHealthChecks() {
     if (this.healthCheckTimer) {
       clearInterval(this.healthCheckTimer);
       this.healthCheckTimer = null;
-      console.log('🏥 Health checks parados');
+      logger.info('Health checks parados');
     }
   }
 
   // Método para cleanup ao desligar
   async shutdown() {
     this.stopHealthChecks();
+    this.stopHeartbeat();
+    this.stopLeaseSweeper();
     await this.saveRegistry();
-    console.log('🔧 Service Registry finalizado');
+    logger.info('Service Registry finalizado');
   }
 
   // Descoberta de serviços por tipo/tag
   findServicesByTag(tag) {
-    return Array.from(this.services.values())
+    return this.getAllServices()
       .filter(service => service.metadata.tags && service.metadata.tags.includes(tag))
-      .filter(service => service.status === 'healthy');
+      .filter(service => service.status === 'healthy' || service.status === 'degraded');
   }
 
-  // Load balancing simples (round robin)
-  getServiceWithLoadBalancing(serviceName) {
-    const services = Array.from(this.services.values())
-      .filter(service => service.name.startsWith(serviceName) && service.status === 'healthy');
+  // Load balancing apenas entre as instâncias que atendem requisições (healthy ou degraded)
+  getServiceWithLoadBalancing(serviceName, options = {}) {
+    const services = this.getInstances(serviceName)
+      .filter(service => service.status === 'healthy' || service.status === 'degraded');
 
-    if (services.length === 0) return null;
-
-    // Round robin baseado em timestamp
-    const index = Math.floor(Date.now() / 1000) % services.length;
-    return services[index];
+    return this.loadBalancer.select(serviceName, services, options);
   }
 }
 
-// Singleton instance
+// Singleton instance: cliente do registry-service (REGISTRY_URL) ou, com REGISTRY_MODE=file,
+// o registry embutido que compartilha o estado pelo arquivo
 let registryInstance = null;
 
 function getServiceRegistry() {
   if (!registryInstance) {
-    registryInstance = new ServiceRegistry();
+    if (process.env.REGISTRY_MODE === 'file') {
+      registryInstance = new ServiceRegistry();
+    } else {
+      // require aqui para evitar a dependência circular com ./registryClient
+      const RegistryClient = require('./registryClient');
+      registryInstance = new RegistryClient();
+    }
   }
   return registryInstance;
 }
@@ -226,4 +605,4 @@ function getServiceRegistry() {
 module.exports = {
   ServiceRegistry,
   getServiceRegistry
-};
\ No newline at end of file
+};
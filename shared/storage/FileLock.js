@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const { DatabaseLockError } = require('../errors');
+const { getLogger } = require('../logger');
+
+const logger = getLogger().child({ component: 'storage' });
+
+// Tempo mínimo antes de considerar abandonado um lock ilegível (escrita em andamento)
+const UNREADABLE_LOCK_GRACE = 5000;
+
+// Lock consultivo entre processos: um arquivo criado de forma exclusiva com o dono atual
+class FileLock {
+  constructor(lockPath) {
+    this.lockPath = lockPath;
+    this.acquired = false;
+    this.releaseOnExit = () => this.releaseSync();
+  }
+
+  async acquire() {
+    const owner = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.writeFile(this.lockPath, JSON.stringify(owner), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const currentOwner = await this.readOwner();
+      if (await this.isStale(currentOwner)) {
+        logger.warn('Removendo lock abandonado', { lockPath: this.lockPath });
+        await fs.rm(this.lockPath, { force: true });
+        return this.acquire();
+      }
+
+      throw new DatabaseLockError(this.lockPath, currentOwner);
+    }
+
+    this.acquired = true;
+    process.once('exit', this.releaseOnExit);
+  }
+
+  async readOwner() {
+    try {
+      return JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Um lock é abandonado quando o processo dono (nesta máquina) não existe mais
+  async isStale(owner) {
+    if (!owner) {
+      try {
+        const stats = await fs.stat(this.lockPath);
+        return Date.now() - stats.mtimeMs > UNREADABLE_LOCK_GRACE;
+      } catch (error) {
+        return error.code === 'ENOENT';
+      }
+    }
+
+    if (owner.hostname !== os.hostname()) return false;
+
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  async release() {
+    if (!this.acquired) return;
+    process.removeListener('exit', this.releaseOnExit);
+    await fs.rm(this.lockPath, { force: true });
+    this.acquired = false;
+  }
+
+  // Usado no evento 'exit', onde apenas operações síncronas são executadas
+  releaseSync() {
+    if (!this.acquired) return;
+    try {
+      fsSync.rmSync(this.lockPath, { force: true });
+    } catch (error) {
+      // Melhor esforço: o lock será detectado como abandonado na próxima inicialização
+    }
+    this.acquired = false;
+  }
+}
+
+module.exports = FileLock;
@@ -0,0 +1,273 @@
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./StorageAdapter');
+const FileLock = require('./FileLock');
+const writeFileAtomic = require('./writeFileAtomic');
+const { getLogger } = require('../logger');
+
+const logger = getLogger().child({ component: 'storage' });
+
+// Arquivos de transações entre coleções ainda não consolidadas (data/_tx-<id>.json)
+const TRANSACTION_FILE_PREFIX = '_tx-';
+
+// Entradas são idempotentes: reaplicar o journal após um snapshot não altera o resultado
+function applyEntry(records, entry) {
+  switch (entry.op) {
+    case 'create':
+    case 'update':
+      records.set(entry.record.id, entry.record);
+      break;
+    case 'delete':
+      records.delete(entry.id);
+      break;
+    case 'batch':
+      entry.entries.forEach(batchEntry => applyEntry(records, batchEntry));
+      break;
+    default:
+      throw new Error(`Operação de journal desconhecida: ${entry.op}`);
+  }
+}
+
+// Um snapshot <colecao>.json gravado atomicamente mais um journal append-only <colecao>.journal
+class JsonFileAdapter extends StorageAdapter {
+  constructor(dataDir) {
+    super(dataDir);
+    this.collections = new Map(); // nome -> { filepath, journalPath, lock, journalHandle }
+  }
+
+  paths(collection) {
+    return {
+      filepath: path.join(this.dataDir, `${collection}.json`),
+      journalPath: path.join(this.dataDir, `${collection}.journal`),
+      metaPath: path.join(this.dataDir, `${collection}.meta.json`),
+      lockPath: path.join(this.dataDir, `${collection}.lock`)
+    };
+  }
+
+  async load(collection) {
+    const { filepath, journalPath, lockPath } = this.paths(collection);
+
+    // Criar diretório se não existir
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    // Garantir que nenhum outro processo está usando os mesmos arquivos
+    const lock = new FileLock(lockPath);
+    await lock.acquire();
+
+    try {
+      // Um .tmp remanescente é uma escrita interrompida; o arquivo principal continua íntegro
+      await fs.rm(`${filepath}.tmp`, { force: true });
+
+      const records = new Map();
+      const snapshotExists = await this.loadSnapshot(filepath, records);
+      let recovered = await this.replayJournal(collection, journalPath, records);
+      const pendingTransactions = await this.recoverTransactions(collection, records);
+      recovered += pendingTransactions.length;
+
+      const journalHandle = await fs.open(journalPath, 'a');
+      this.collections.set(collection, { filepath, journalPath, lock, journalHandle });
+
+      if (!snapshotExists || recovered > 0) {
+        // Consolidar o que foi recuperado em um novo snapshot
+        await this.compact(collection, Array.from(records.values()));
+      }
+
+      // Só depois do snapshot é seguro descartar a parte desta coleção das transações pendentes
+      await this.releaseRecoveredTransactions(collection, pendingTransactions);
+
+      return {
+        records: Array.from(records.values()),
+        created: !snapshotExists,
+        recovered
+      };
+    } catch (error) {
+      this.collections.delete(collection);
+      await lock.release();
+      throw error;
+    }
+  }
+
+  // Snapshot mais journal e transações pendentes, apenas em memória: sem lock, sem criar o
+  // journal e sem compactar
+  async read(collection) {
+    const { filepath, journalPath } = this.paths(collection);
+    const records = new Map();
+    if (!(await this.loadSnapshot(filepath, records))) return null;
+
+    await this.replayJournal(collection, journalPath, records);
+    await this.recoverTransactions(collection, records);
+    return { records: Array.from(records.values()), meta: await this.loadMeta(collection) };
+  }
+
+  // Carrega o snapshot; retorna false se o arquivo ainda não existe
+  async loadSnapshot(filepath, records) {
+    let fileData;
+    try {
+      fileData = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    try {
+      JSON.parse(fileData).forEach(record => records.set(record.id, record));
+    } catch (error) {
+      // Nunca sobrescrever um arquivo ilegível: exige intervenção manual
+      throw new Error(`Arquivo ${filepath} corrompido: ${error.message}`);
+    }
+    return true;
+  }
+
+  // Reaplica as operações do journal sobre o snapshot carregado
+  async replayJournal(collection, journalPath, records) {
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const lines = content.split('\n').filter(line => line.trim());
+    let replayed = 0;
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Apenas a última linha pode estar truncada por um crash durante o append
+        if (index === lines.length - 1) {
+          logger.warn('Última entrada do journal incompleta ignorada', { collection });
+          return;
+        }
+        throw new Error(`Journal ${journalPath} corrompido na linha ${index + 1}`);
+      }
+      applyEntry(records, entry);
+      replayed++;
+    });
+
+    return replayed;
+  }
+
+  // Reaplica a parte desta coleção de transações interrompidas por um crash
+  async recoverTransactions(collection, records) {
+    const files = (await fs.readdir(this.dataDir))
+      .filter(file => file.startsWith(TRANSACTION_FILE_PREFIX) && file.endsWith('.json'));
+
+    const pending = [];
+    for (const file of files) {
+      const transactionFile = path.join(this.dataDir, file);
+      const content = JSON.parse(await fs.readFile(transactionFile, 'utf8'));
+      const entries = content.collections[collection];
+      if (!entries) continue;
+
+      entries.forEach(entry => applyEntry(records, entry));
+      pending.push({ transactionFile, content });
+    }
+    return pending;
+  }
+
+  async releaseRecoveredTransactions(collection, pending) {
+    for (const { transactionFile, content } of pending) {
+      delete content.collections[collection];
+      if (Object.keys(content.collections).length === 0) {
+        await fs.rm(transactionFile, { force: true });
+      } else {
+        await writeFileAtomic(transactionFile, JSON.stringify(content));
+      }
+    }
+  }
+
+  state(collection) {
+    const state = this.collections.get(collection);
+    if (!state) {
+      throw new Error(`Coleção ${collection} não foi carregada`);
+    }
+    return state;
+  }
+
+  // Várias entradas viram uma única linha do journal (uma linha parcial é descartada no replay)
+  async commit(collection, entries) {
+    const { journalHandle } = this.state(collection);
+    const entry = entries.length === 1 ? entries[0] : { op: 'batch', entries };
+
+    const line = JSON.stringify({ ...entry, timestamp: new Date().toISOString() }) + '\n';
+    await journalHandle.write(line);
+    await journalHandle.datasync();
+  }
+
+  // O arquivo de transação garante tudo-ou-nada entre coleções após um crash
+  async commitMany(batches) {
+    const collections = Object.keys(batches);
+    if (collections.length === 1) {
+      return this.commit(collections[0], batches[collections[0]]);
+    }
+
+    const id = uuidv4();
+    const transactionFile = path.join(this.dataDir, `${TRANSACTION_FILE_PREFIX}${id}.json`);
+    await writeFileAtomic(transactionFile, JSON.stringify({
+      id,
+      createdAt: new Date().toISOString(),
+      collections: batches
+    }));
+
+    for (const collection of collections) {
+      await this.commit(collection, batches[collection]);
+    }
+
+    await fs.rm(transactionFile, { force: true });
+  }
+
+  async loadMeta(collection) {
+    const { metaPath } = this.paths(collection);
+    try {
+      return JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Arquivo ${metaPath} corrompido: ${error.message}`);
+    }
+  }
+
+  async saveMeta(collection, meta) {
+    await writeFileAtomic(this.paths(collection).metaPath, JSON.stringify(meta, null, 2));
+  }
+
+  // Grava um snapshot completo e descarta o journal já consolidado
+  async compact(collection, records) {
+    const { filepath, journalHandle } = this.state(collection);
+    try {
+      await writeFileAtomic(filepath, JSON.stringify(records, null, 2));
+    } catch (error) {
+      logger.error('Erro ao salvar database', { collection, error });
+      throw error;
+    }
+    await journalHandle.truncate(0);
+  }
+
+  // O lock precisa continuar sendo deste processo (ex.: não foi apagado por um reset)
+  async check(collection) {
+    const { lock, journalHandle } = this.state(collection);
+    await fs.access(this.dataDir, constants.W_OK);
+    await journalHandle.stat();
+
+    const owner = await lock.readOwner();
+    if (!owner || owner.pid !== process.pid) {
+      throw new Error(`Lock ${lock.lockPath} não pertence mais a este processo`);
+    }
+  }
+
+  async close(collection, records) {
+    const state = this.collections.get(collection);
+    if (!state) return;
+
+    await this.compact(collection, records);
+    await state.journalHandle.close();
+    await state.lock.release();
+    this.collections.delete(collection);
+  }
+}
+
+module.exports = JsonFileAdapter;
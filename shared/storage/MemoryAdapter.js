@@ -0,0 +1,58 @@
+const StorageAdapter = require('./StorageAdapter');
+
+// Sem persistência em disco: os dados duram enquanto o processo estiver rodando.
+// Útil em testes; reabrir uma coleção no mesmo processo recupera o último estado confirmado.
+class MemoryAdapter extends StorageAdapter {
+  constructor(dataDir) {
+    super(dataDir);
+    this.store = new Map(); // coleção -> Map(id -> registro)
+    this.meta = new Map();
+  }
+
+  async load(collection) {
+    const created = !this.store.has(collection);
+    if (created) {
+      this.store.set(collection, new Map());
+    }
+
+    return {
+      records: Array.from(this.store.get(collection).values()).map(record => JSON.parse(JSON.stringify(record))),
+      created,
+      recovered: 0
+    };
+  }
+
+  async read(collection) {
+    if (!this.store.has(collection)) return null;
+    return {
+      records: Array.from(this.store.get(collection).values()).map(record => JSON.parse(JSON.stringify(record))),
+      meta: await this.loadMeta(collection)
+    };
+  }
+
+  async commit(collection, entries) {
+    const records = this.store.get(collection);
+    entries.forEach(entry => {
+      if (entry.op === 'delete') {
+        records.delete(entry.id);
+      } else {
+        // Cópia: alterações posteriores no objeto em memória não vazam para o "disco"
+        records.set(entry.record.id, JSON.parse(JSON.stringify(entry.record)));
+      }
+    });
+  }
+
+  async commitMany(batches) {
+    Object.keys(batches).forEach(collection => this.commit(collection, batches[collection]));
+  }
+
+  async loadMeta(collection) {
+    return { ...this.meta.get(collection) };
+  }
+
+  async saveMeta(collection, meta) {
+    this.meta.set(collection, { ...meta });
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const FileLock = require('./FileLock');
+const { getLogger } = require('../logger');
+
+const logger = getLogger().child({ component: 'storage' });
+
+// Dependência opcional: só é necessária quando STORAGE_ADAPTER=sqlite
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('Adaptador sqlite requer o pacote better-sqlite3 (cd shared && npm install better-sqlite3)');
+  }
+}
+
+function tableName(collection) {
+  return `collection_${collection.replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+// Um arquivo data/database.sqlite por dataDir, com uma tabela (id, data JSON) por coleção.
+// A ordem de inserção é preservada pelo rowid, que o upsert não altera.
+class SqliteAdapter extends StorageAdapter {
+  constructor(dataDir) {
+    super(dataDir);
+    this.filepath = path.join(dataDir, 'database.sqlite');
+    this.db = null;
+    this.collections = new Map(); // nome -> { lock, statements }
+  }
+
+  async openDatabase() {
+    if (this.db) return this.db;
+
+    const Database = loadDriver();
+    await fs.mkdir(this.dataDir, { recursive: true });
+    this.db = new Database(this.filepath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS _meta (collection TEXT PRIMARY KEY, data TEXT NOT NULL)');
+    return this.db;
+  }
+
+  async load(collection) {
+    const db = await this.openDatabase();
+
+    // O JsonDatabase mantém os registros em memória: apenas um processo por coleção
+    const lock = new FileLock(path.join(this.dataDir, `${collection}.lock`));
+    await lock.acquire();
+
+    try {
+      const table = tableName(collection);
+      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+      db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+
+      const statements = {
+        upsert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+        remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+        all: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`)
+      };
+      this.collections.set(collection, { lock, statements });
+
+      let imported = 0;
+      if (!exists) {
+        imported = await this.importJsonSnapshot(collection);
+      }
+
+      return {
+        records: statements.all.all().map(row => JSON.parse(row.data)),
+        created: !exists && imported === 0,
+        recovered: 0
+      };
+    } catch (error) {
+      this.collections.delete(collection);
+      await lock.release();
+      throw error;
+    }
+  }
+
+  // Conexão própria, apenas de leitura e sem lock. Uma coleção ainda não importada do
+  // snapshot JSON conta como inexistente
+  async read(collection) {
+    try {
+      await fs.access(this.filepath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const Database = loadDriver();
+    const db = new Database(this.filepath, { readonly: true });
+    try {
+      const table = tableName(collection);
+      if (!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table)) return null;
+
+      const meta = db.prepare('SELECT data FROM _meta WHERE collection = ?').get(collection);
+      return {
+        records: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`).all().map(row => JSON.parse(row.data)),
+        meta: meta ? JSON.parse(meta.data) : {}
+      };
+    } finally {
+      db.close();
+    }
+  }
+
+  // Ao trocar do adaptador json para sqlite, importa o snapshot existente da coleção
+  async importJsonSnapshot(collection) {
+    let records;
+    try {
+      records = JSON.parse(await fs.readFile(path.join(this.dataDir, `${collection}.json`), 'utf8'));
+    } catch (error) {
+      return 0;
+    }
+
+    await this.commit(collection, records.map(record => ({ op: 'create', record })));
+
+    // A versão do schema acompanha os dados importados
+    try {
+      await this.saveMeta(collection, JSON.parse(await fs.readFile(path.join(this.dataDir, `${collection}.meta.json`), 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    logger.info('Registros importados do arquivo JSON', { collection, records: records.length, file: `${collection}.json` });
+    return records.length;
+  }
+
+  state(collection) {
+    const state = this.collections.get(collection);
+    if (!state) {
+      throw new Error(`Coleção ${collection} não foi carregada`);
+    }
+    return state;
+  }
+
+  applyEntries(collection, entries) {
+    const { statements } = this.state(collection);
+    entries.forEach(entry => {
+      if (entry.op === 'delete') {
+        statements.remove.run(entry.id);
+      } else {
+        statements.upsert.run(entry.record.id, JSON.stringify(entry.record));
+      }
+    });
+  }
+
+  async commit(collection, entries) {
+    this.db.transaction(() => this.applyEntries(collection, entries))();
+  }
+
+  // Uma única transação SQLite cobre todas as coleções
+  async commitMany(batches) {
+    this.db.transaction(() => {
+      Object.keys(batches).forEach(collection => this.applyEntries(collection, batches[collection]));
+    })();
+  }
+
+  async loadMeta(collection) {
+    const row = this.db.prepare('SELECT data FROM _meta WHERE collection = ?').get(collection);
+    return row ? JSON.parse(row.data) : {};
+  }
+
+  async saveMeta(collection, meta) {
+    this.db.prepare('INSERT INTO _meta (collection, data) VALUES (?, ?) ON CONFLICT(collection) DO UPDATE SET data = excluded.data')
+      .run(collection, JSON.stringify(meta));
+  }
+
+  async compact(collection, records) {
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+  }
+
+  async check(collection) {
+    this.state(collection);
+    if (this.db.readonly) {
+      throw new Error(`${this.filepath} aberto apenas para leitura`);
+    }
+    this.db.prepare('SELECT 1').get();
+  }
+
+  async close(collection, records) {
+    const state = this.collections.get(collection);
+    if (!state) return;
+
+    await state.lock.release();
+    this.collections.delete(collection);
+
+    if (this.collections.size === 0) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,57 @@
+// Contrato dos adaptadores de armazenamento usados pelo JsonDatabase.
+//
+// O JsonDatabase mantém os registros em memória (consultas, índices, versões, transações)
+// e delega ao adaptador apenas a durabilidade. Um adaptador atende um dataDir e todas as
+// coleções dele, o que permite confirmar transações entre coleções de forma atômica.
+//
+// Entradas de alteração (as mesmas do journal):
+//   { op: 'create' | 'update', record }   { op: 'delete', id }
+class StorageAdapter {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    // Instâncias de JsonDatabase abertas sobre este adaptador, por coleção
+    this.databases = new Map();
+  }
+
+  // Abre a coleção para uso exclusivo deste processo e retorna o estado persistido:
+  // { records: [...], created: boolean, recovered: número de operações recuperadas }
+  async load(collection) {
+    throw new Error(`${this.constructor.name}.load não implementado`);
+  }
+
+  // Persiste de forma atômica e durável as entradas de uma coleção
+  async commit(collection, entries) {
+    throw new Error(`${this.constructor.name}.commit não implementado`);
+  }
+
+  // Persiste alterações de várias coleções ({ colecao: entries }) como tudo-ou-nada
+  async commitMany(batches) {
+    throw new Error(`${this.constructor.name}.commitMany não implementado`);
+  }
+
+  // Estado persistido sem abrir a coleção (sem lock e sem gravar nada), para o dry-run das
+  // migrações: { records: [...], meta }; null se a coleção não existe
+  async read(collection) {
+    throw new Error(`${this.constructor.name}.read não implementado`);
+  }
+
+  // Metadados da coleção gravados junto com os dados (ex.: { schemaVersion }); {} se não houver
+  async loadMeta(collection) {
+    throw new Error(`${this.constructor.name}.loadMeta não implementado`);
+  }
+
+  async saveMeta(collection, meta) {
+    throw new Error(`${this.constructor.name}.saveMeta não implementado`);
+  }
+
+  // Oportunidade de consolidar o armazenamento a partir do estado completo em memória
+  async compact(collection, records) {}
+
+  // Consolida e libera a coleção (locks, handles)
+  async close(collection, records) {}
+
+  // Health check: lança um erro se a coleção não estiver aberta ou não puder ser gravada
+  async check(collection) {}
+}
+
+module.exports = StorageAdapter;
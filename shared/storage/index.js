@@ -0,0 +1,36 @@
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const JsonFileAdapter = require('./JsonFileAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+const MemoryAdapter = require('./MemoryAdapter');
+
+const ADAPTERS = {
+  json: JsonFileAdapter,
+  sqlite: SqliteAdapter,
+  memory: MemoryAdapter
+};
+
+// Um adaptador por (tipo, dataDir): coleções do mesmo diretório compartilham a instância
+const adapters = new Map();
+
+// O tipo vem da opção `storage` do JsonDatabase ou da variável STORAGE_ADAPTER (padrão: json)
+function getStorageAdapter(dataDir, type = process.env.STORAGE_ADAPTER || 'json') {
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`Adaptador de armazenamento desconhecido: ${type} (use ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  const key = `${type}:${path.resolve(dataDir)}`;
+  if (!adapters.has(key)) {
+    adapters.set(key, new Adapter(dataDir));
+  }
+  return adapters.get(key);
+}
+
+module.exports = {
+  getStorageAdapter,
+  StorageAdapter,
+  JsonFileAdapter,
+  SqliteAdapter,
+  MemoryAdapter
+};
@@ -0,0 +1,16 @@
+const fs = require('fs').promises;
+
+// Escrita atômica: grava em arquivo temporário, faz fsync e renomeia por cima do original.
+// Processos que gravam o mesmo arquivo devem usar temporários diferentes
+async function writeFileAtomic(filepath, content, tempFilepath = `${filepath}.tmp`) {
+  const handle = await fs.open(tempFilepath, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempFilepath, filepath);
+}
+
+module.exports = writeFileAtomic;
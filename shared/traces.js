@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+// Junta os spans gravados em TRACE_DIR (ver ./tracing) em um único JSON no formato Zipkin v2,
+// que pode ser importado no Zipkin (botão "Upload JSON") ou no Jaeger
+// Uso: node shared/traces.js [trace-id] [--out=arquivo.json]
+//      node shared/traces.js --list
+
+const fs = require('fs');
+const path = require('path');
+const { traceDir } = require('./tracing');
+
+function option(args, name) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+function readSpans(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.jsonl'))
+    .flatMap(file => fs.readFileSync(path.join(dir, file), 'utf8').split('\n'))
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // Linha parcial de um processo interrompido
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function traces() {
+  const args = process.argv.slice(2);
+  const dir = traceDir(process.env.TRACE_DIR || 'traces');
+  const spans = readSpans(dir);
+
+  if (args.includes('--list')) {
+    const byTrace = new Map();
+    spans.forEach(span => {
+      const trace = byTrace.get(span.traceId) || { spans: 0, services: new Set(), root: null, timestamp: span.timestamp };
+      trace.spans++;
+      trace.services.add(span.localEndpoint.serviceName);
+      trace.timestamp = Math.min(trace.timestamp, span.timestamp);
+      if (!span.parentId) trace.root = span.name;
+      byTrace.set(span.traceId, trace);
+    });
+
+    if (byTrace.size === 0) {
+      console.log(`📭 Nenhum span encontrado em ${dir}`);
+    }
+    Array.from(byTrace.entries())
+      .sort(([, a], [, b]) => b.timestamp - a.timestamp)
+      .forEach(([traceId, trace]) => {
+        const date = new Date(trace.timestamp / 1000).toISOString();
+        console.log(`🔎 ${traceId} ${date} ${trace.root || '?'} - ${trace.spans} spans (${Array.from(trace.services).join(', ')})`);
+      });
+    return;
+  }
+
+  const traceId = args.find(arg => !arg.startsWith('--'));
+  const selected = traceId ? spans.filter(span => span.traceId === traceId) : spans;
+  const output = JSON.stringify(selected.sort((a, b) => a.timestamp - b.timestamp), null, 2);
+
+  const out = option(args, 'out');
+  if (out) {
+    fs.writeFileSync(out, output);
+    console.log(`✅ ${selected.length} spans exportados para ${out}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+}
+
+traces();
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Rastreamento distribuído
+//
+// O contexto segue o padrão W3C Trace Context (header `traceparent`:
+// 00-<trace id>-<span id>-<flags>) e também vai no `X-Request-Id`, com o trace id, para
+// correlacionar logs. O span atual é mantido por AsyncLocalStorage durante a requisição.
+//
+// Com TRACE_DIR definido (relativo à raiz do projeto), cada processo grava os spans em
+// <TRACE_DIR>/<serviço>.jsonl no formato Zipkin v2; `npm run traces` junta os arquivos
+// em um JSON que pode ser importado no Zipkin ou no Jaeger.
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const FLUSH_INTERVAL = 1000;
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function traceDir(value = process.env.TRACE_DIR) {
+  return value ? path.resolve(ROOT_DIR, value) : null;
+}
+
+// { traceId, spanId, sampled } ou null se o header estiver ausente ou inválido
+function parseTraceparent(value) {
+  const match = TRACEPARENT_PATTERN.exec(String(value || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+class Span {
+  constructor(tracer, name, options = {}) {
+    const parent = options.parent || null;
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || null;
+    this.traceId = parent ? parent.traceId : randomId(16);
+    this.parentId = parent ? parent.spanId : null;
+    this.spanId = randomId(8);
+    // Primeiro span deste processo no trace (o SERVER da requisição, por exemplo)
+    this.localRoot = parent instanceof Span ? parent.localRoot : this;
+    this.sampled = parent ? parent.sampled !== false : true;
+    this.tags = {};
+    this.startedAt = Date.now();
+    this.startedAtHr = process.hrtime.bigint();
+    this.ended = false;
+    Object.entries(options.tags || {}).forEach(([key, value]) => this.setTag(key, value));
+  }
+
+  setTag(key, value) {
+    if (value !== undefined && value !== null) this.tags[key] = String(value);
+    return this;
+  }
+
+  setError(error) {
+    return this.setTag('error', error && error.message ? error.message : String(error));
+  }
+
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+
+  end(tags = {}) {
+    if (this.ended) return;
+    this.ended = true;
+    Object.entries(tags).forEach(([key, value]) => this.setTag(key, value));
+    this.duration = Number((process.hrtime.bigint() - this.startedAtHr) / 1000n);
+    this.tracer.export(this);
+  }
+
+  // Formato Zipkin v2 (tempos em microssegundos)
+  toZipkin() {
+    const span = {
+      traceId: this.traceId,
+      id: this.spanId,
+      name: this.name,
+      timestamp: this.startedAt * 1000,
+      duration: Math.max(this.duration, 1),
+      localEndpoint: { serviceName: this.tracer.serviceName },
+      tags: this.tags
+    };
+    if (this.parentId) span.parentId = this.parentId;
+    if (this.kind) span.kind = this.kind;
+    return span;
+  }
+}
+
+class Tracer {
+  constructor(serviceName, options = {}) {
+    this.serviceName = serviceName;
+    this.storage = new AsyncLocalStorage();
+    this.dir = options.dir !== undefined ? options.dir : traceDir();
+    this.buffer = [];
+    this.flushTimer = null;
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.file = path.join(this.dir, `${serviceName}.jsonl`);
+      this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+      this.flushTimer.unref();
+      process.once('exit', () => this.flushSync());
+    }
+  }
+
+  currentSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  // Filho do span atual, a menos que `options.parent` seja informado
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : this.currentSpan();
+    return new Span(this, name, { ...options, parent });
+  }
+
+  // Executa `work(span)` com um novo span como atual; erros são registrados no span
+  async withSpan(name, options, work) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await this.storage.run(span, () => work(span));
+      span.end();
+      return result;
+    } catch (error) {
+      span.setError(error);
+      span.end();
+      throw error;
+    }
+  }
+
+  // Contexto vindo de headers HTTP ou AMQP
+  extract(headers = {}) {
+    return parseTraceparent(headers.traceparent);
+  }
+
+  // Adiciona traceparent e X-Request-Id a um objeto de headers (HTTP ou AMQP)
+  inject(headers = {}, span = this.currentSpan()) {
+    if (span) {
+      headers.traceparent = span.traceparent;
+      headers['x-request-id'] = span.traceId;
+    }
+    return headers;
+  }
+
+  // Span SERVER por requisição; use depois do express.json() para o contexto não se perder
+  // durante a leitura do corpo
+  middleware() {
+    return (req, res, next) => {
+      const span = this.startSpan(`${req.method} ${req.path}`, {
+        kind: 'SERVER',
+        parent: this.extract(req.headers),
+        tags: { 'http.method': req.method, 'http.path': req.originalUrl.split('?')[0] }
+      });
+
+      req.span = span;
+      req.traceId = span.traceId;
+      res.setHeader('X-Request-Id', span.traceId);
+
+      res.once('close', () => {
+        // Nome pela rota (/lists/:id) em vez do caminho, para agrupar as requisições
+        if (req.route) span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+        span.setTag('http.status_code', res.statusCode);
+        if (!res.writableFinished) span.setTag('error', 'requisição interrompida');
+        else if (res.statusCode >= 500) span.setTag('error', `HTTP ${res.statusCode}`);
+        span.end();
+      });
+
+      this.storage.run(span, next);
+    };
+  }
+
+  export(span) {
+    if (!this.dir || !span.sampled) return;
+    this.buffer.push(JSON.stringify(span.toZipkin()));
+  }
+
+  flush() {
+    if (this.buffer.length === 0) return;
+    const lines = this.buffer.splice(0).join('\n') + '\n';
+    fs.appendFile(this.file, lines, error => {
+      // Carregado aqui porque o logger depende deste módulo
+      if (error) require('./logger').getLogger().error('Erro ao gravar spans', { component: 'tracing', error });
+    });
+  }
+
+  // Usado no evento 'exit', onde apenas operações síncronas são executadas
+  flushSync() {
+    if (this.buffer.length === 0) return;
+    fs.appendFileSync(this.file, this.buffer.splice(0).join('\n') + '\n');
+  }
+}
+
+// Um tracer por processo: a primeira chamada define o nome do serviço
+let tracerInstance = null;
+
+function getTracer(serviceName) {
+  if (!tracerInstance) {
+    tracerInstance = new Tracer(serviceName || path.basename(process.cwd()));
+  }
+  return tracerInstance;
+}
+
+// Span atual sem criar o tracer (usado pelo logger em processos sem rastreamento)
+function activeSpan() {
+  return tracerInstance ? tracerInstance.currentSpan() : null;
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  getTracer,
+  activeSpan,
+  parseTraceparent,
+  traceDir
+};
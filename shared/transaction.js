@@ -0,0 +1,206 @@
+const { v4: uuidv4 } = require('uuid');
+const { VersionConflictError, UniqueConstraintError } = require('./errors');
+const { getPath, matchesFilter, applyQueryOptions } = require('./query');
+
+// Alterações pendentes de uma coleção dentro de uma transação.
+// Leituras enxergam o estado confirmado sobreposto pelas alterações pendentes.
+class TransactionCollection {
+  constructor(db) {
+    this.db = db;
+    this.staged = new Map(); // id -> { before, after }
+  }
+
+  current(id) {
+    if (this.staged.has(id)) return this.staged.get(id).after;
+    return this.db.records.get(id) || null;
+  }
+
+  stage(id, after) {
+    if (this.staged.has(id)) {
+      this.staged.get(id).after = after;
+    } else {
+      // `before` guarda a versão lida para detectar alterações concorrentes no commit
+      this.staged.set(id, { before: this.db.records.get(id) || null, after });
+    }
+  }
+
+  async create(record) {
+    await this.db.initialize();
+
+    const newRecord = {
+      id: uuidv4(),
+      ...record,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.db.assertSchema(newRecord);
+    this.stage(newRecord.id, newRecord);
+    return newRecord;
+  }
+
+  async findById(id, options = {}) {
+    await this.db.initialize();
+    const record = this.current(id);
+    return record && this.db.isVisible(record, options) ? record : null;
+  }
+
+  async findAll(filter = {}, options = {}) {
+    await this.db.initialize();
+
+    const records = [];
+    this.db.records.forEach((record, id) => {
+      if (!this.staged.has(id)) records.push(record);
+    });
+    this.staged.forEach(({ after }) => {
+      if (after) records.push(after);
+    });
+
+    return applyQueryOptions(
+      records.filter(record => this.db.isVisible(record, options) && matchesFilter(record, filter)),
+      options
+    );
+  }
+
+  async findOne(filter, options = {}) {
+    const [record] = await this.findAll(filter, { ...options, limit: 1 });
+    return record || null;
+  }
+
+  // Várias alterações do mesmo registro na transação contam como uma única versão
+  async updateById(id, updates, options = {}) {
+    await this.db.initialize();
+
+    const current = this.current(id);
+    if (!current || !this.db.isVisible(current, options)) return null;
+
+    this.db.assertVersion(current, options.expectedVersion);
+
+    const changes = typeof updates === 'function'
+      ? await updates({ ...current })
+      : updates;
+    if (!changes) return current;
+
+    const entry = this.staged.get(id);
+    const baseVersion = entry ? (entry.before ? entry.before.version : 0) : current.version;
+
+    const updatedRecord = {
+      ...current,
+      ...changes,
+      version: baseVersion + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.db.assertSchema(updatedRecord);
+    this.stage(id, updatedRecord);
+    return updatedRecord;
+  }
+
+  // Segue a mesma regra de lixeira do JsonDatabase.deleteById
+  async deleteById(id, options = {}) {
+    await this.db.initialize();
+
+    const current = this.current(id);
+    const permanent = !this.db.softDelete || Boolean(options.permanent);
+    if (!current || (current.deletedAt && !permanent)) return null;
+
+    if (!permanent) {
+      return this.updateById(id, this.db.trashFields(new Date().toISOString()), options);
+    }
+
+    this.db.assertVersion(current, options.expectedVersion);
+    this.stage(id, null);
+    return current;
+  }
+
+  // Verifica, com a fila de escrita já adquirida, se o commit ainda é válido
+  validate() {
+    this.staged.forEach(({ before }, id) => {
+      const committed = this.db.records.get(id) || null;
+      const expectedVersion = before ? before.version : null;
+      const currentVersion = committed ? committed.version : null;
+      if (expectedVersion !== currentVersion) {
+        throw new VersionConflictError(this.db.filename, id, expectedVersion, currentVersion);
+      }
+    });
+
+    this.db.indexes.forEach(index => {
+      if (!index.unique) return;
+
+      const stagedValues = new Map();
+      this.staged.forEach(({ after }, id) => {
+        if (!after) return;
+        const key = getPath(after, index.field);
+        if (key === undefined || key === null) return;
+
+        const conflict = stagedValues.has(key) ||
+          this.db.findIndexedIds(index, key)
+            .some(existingId => !this.staged.has(existingId) && !this.db.isExpired(this.db.records.get(existingId)));
+        if (conflict) {
+          throw new UniqueConstraintError(this.db.filename, index.field, key);
+        }
+        stagedValues.set(key, id);
+      });
+    });
+  }
+
+  // Entradas de journal equivalentes às alterações pendentes
+  toJournalEntries() {
+    return Array.from(this.staged.entries()).map(([id, { before, after }]) => {
+      if (!after) return { op: 'delete', id };
+      return { op: before ? 'update' : 'create', record: after };
+    });
+  }
+}
+
+// Transação envolvendo uma ou mais coleções do mesmo dataDir.
+// Os métodos CRUD operam na coleção que abriu a transação; use tx.collection(nome) para as demais.
+class Transaction {
+  constructor(db) {
+    this.db = db;
+    this.collections = new Map(); // filename -> TransactionCollection
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const db = name === this.db.filename ? this.db : this.db.collection(name);
+      this.collections.set(name, new TransactionCollection(db));
+    }
+    return this.collections.get(name);
+  }
+
+  create(record) {
+    return this.collection(this.db.filename).create(record);
+  }
+
+  findById(id) {
+    return this.collection(this.db.filename).findById(id);
+  }
+
+  findAll(filter, options) {
+    return this.collection(this.db.filename).findAll(filter, options);
+  }
+
+  findOne(filter, options) {
+    return this.collection(this.db.filename).findOne(filter, options);
+  }
+
+  updateById(id, updates, options) {
+    return this.collection(this.db.filename).updateById(id, updates, options);
+  }
+
+  deleteById(id, options) {
+    return this.collection(this.db.filename).deleteById(id, options);
+  }
+
+  // Apenas coleções com alterações participam do commit
+  changedCollections() {
+    return Array.from(this.collections.values()).filter(collection => collection.staged.size > 0);
+  }
+}
+
+module.exports = {
+  Transaction,
+  TransactionCollection
+};
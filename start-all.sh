@@ -33,7 +33,7 @@ if [ ! -d "node_modules" ]; then
 fi
 
 # Verificar dependências dos serviços
-for service in user-service item-service list-service; do
+for service in registry-service user-service item-service list-service; do
     if [ ! -d "services/$service/node_modules" ]; then
         echo -e "${YELLOW}⚠️ Instalando dependências para $service...${NC}"
         cd "services/$service"
@@ -59,6 +59,16 @@ trap 'echo -e "\n${RED}🛑 Parando todos os serviços...${NC}"; kill 0; exit' S
 # Iniciar os serviços em background
 echo -e "${BLUE}🚀 Iniciando serviços...${NC}"
 
+# Registry Service (porta 3004) - os demais serviços se registram nele
+echo -e "${YELLOW}🔧 Iniciando Registry Service na porta 3004...${NC}"
+cd services/registry-service
+node start.js &
+REGISTRY_PID=$!
+cd ../..
+
+# Aguardar um pouco para o serviço inicializar
+sleep 2
+
 # User Service (porta 3001)
 echo -e "${YELLOW}👤 Iniciando User Service na porta 3001...${NC}"
 cd services/user-service
@@ -108,6 +118,7 @@ echo -e "  🌐 API Gateway:   ${BLUE}http://localhost:3000${NC}"
 echo -e "  👤 User Service:  ${BLUE}http://localhost:3001${NC}"
 echo -e "  📦 Item Service:  ${BLUE}http://localhost:3002${NC}"
 echo -e "  📝 List Service:  ${BLUE}http://localhost:3003${NC}"
+echo -e "  🔧 Registry:      ${BLUE}http://localhost:3004${NC}"
 echo ""
 echo "📊 Endpoints principais:"
 echo -e "  🏥 Health Check:  ${BLUE}http://localhost:3000/health${NC}"
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const JsonDatabase = require('./shared/JsonDatabase');
+const BackupManager = require('./shared/backupManager');
+const { BackupIntegrityError, DatabaseLockError } = require('./shared/errors');
+const { runSuite } = require('./test-runner');
+
+// Testes de backup, restauração e rotação (shared/backupManager.js), com uma raiz temporária
+// no lugar do repositório (services/<servico>/data*)
+// Uso: node test-backup.js
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Abre a coleção em services/<servico>/<dir> da raiz temporária
+function openDatabase(rootDir, service, dir, collection, storage = 'json') {
+  return new JsonDatabase(collection, path.join(rootDir, 'services', service, dir), { storage });
+}
+
+async function names(db) {
+  return (await db.findAll()).map(record => record.name).sort();
+}
+
+// Grava `records` na coleção e fecha o database, como um serviço parado
+async function seed(rootDir, service, dir, collection, records, storage) {
+  const db = openDatabase(rootDir, service, dir, collection, storage);
+  await db.initialize();
+  for (const record of records) await db.create(record);
+  await db.close();
+}
+
+const cases = [
+  ['copia e restaura json, sqlite e diretórios de instâncias extras', async ({ rootDir, manager }) => {
+    await seed(rootDir, 'item-service', 'data', 'items', [{ name: 'Arroz' }, { name: 'Feijão' }]);
+    await seed(rootDir, 'list-service', 'data-3013', 'lists', [{ name: 'Mercado' }]);
+    await seed(rootDir, 'user-service', 'data', 'users', [{ name: 'Ana' }], 'sqlite');
+
+    const backup = await manager.createBackup();
+    assert.deepStrictEqual(backup.services, ['item-service', 'list-service/data-3013', 'user-service', 'registry']);
+    const { files } = await manager.loadBackup(backup.id);
+    assert.ok(files[path.join('services', 'user-service', 'data', 'database.sqlite')]);
+
+    // Alterações depois do backup, inclusive um banco sqlite que não existia
+    const items = openDatabase(rootDir, 'item-service', 'data', 'items');
+    await items.initialize();
+    await items.deleteById((await items.findOne({ name: 'Arroz' })).id);
+    await items.create({ name: 'Café' });
+    await items.close();
+    await seed(rootDir, 'list-service', 'data-3013', 'lists', [{ name: 'Farmácia' }]);
+    await seed(rootDir, 'item-service', 'data', 'trash', [{ name: 'Sabão' }], 'sqlite');
+    await seed(rootDir, 'user-service', 'data', 'users', [{ name: 'Bruno' }], 'sqlite');
+
+    const result = await manager.restoreBackup(backup.id);
+    assert.ok(result.safetyBackup);
+    assert.ok(!fs.existsSync(path.join(rootDir, 'services', 'item-service', 'data', 'database.sqlite')));
+
+    const restored = [
+      [openDatabase(rootDir, 'item-service', 'data', 'items'), ['Arroz', 'Feijão']],
+      [openDatabase(rootDir, 'list-service', 'data-3013', 'lists'), ['Mercado']],
+      [openDatabase(rootDir, 'user-service', 'data', 'users', 'sqlite'), ['Ana']]
+    ];
+    for (const [db, expected] of restored) {
+      await db.initialize();
+      assert.deepStrictEqual(await names(db), expected);
+      await db.close();
+    }
+  }],
+
+  ['restaura só o serviço pedido e recusa serviços em execução', async ({ rootDir, manager }) => {
+    const backup = await manager.createBackup({ services: ['list-service/data-3013'] });
+    await seed(rootDir, 'list-service', 'data-3013', 'lists', [{ name: 'Padaria' }]);
+
+    const running = openDatabase(rootDir, 'list-service', 'data-3013', 'lists');
+    await running.initialize();
+    await assert.rejects(manager.restoreBackup(backup.id), DatabaseLockError);
+    await running.close();
+
+    await manager.restoreBackup(backup.id, { service: 'list-service/data-3013' });
+    const lists = openDatabase(rootDir, 'list-service', 'data-3013', 'lists');
+    await lists.initialize();
+    assert.deepStrictEqual(await names(lists), ['Mercado']);
+    await lists.close();
+  }],
+
+  ['rejeita backups alterados', async ({ manager }) => {
+    const backup = await manager.createBackup({ services: ['item-service'] });
+    const archive = manager.archivePath(backup.id);
+    const content = fs.readFileSync(archive);
+    content[content.length - 1] ^= 0xff;
+    fs.writeFileSync(archive, content);
+
+    await assert.rejects(manager.loadBackup(backup.id), BackupIntegrityError);
+    const listed = (await manager.listBackups()).find(item => item.id === backup.id);
+    assert.strictEqual(listed.valid, false);
+  }],
+
+  ['mantém apenas os backups mais recentes', async ({ rootDir }) => {
+    const manager = new BackupManager({ rootDir, backupDir: path.join(rootDir, 'rotation'), keep: 2 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push((await manager.createBackup({ services: ['item-service'] })).id);
+      // Os ids vêm do horário, em milissegundos
+      await sleep(5);
+    }
+
+    assert.deepStrictEqual((await manager.listBackups()).map(item => item.id), [ids[2], ids[1]]);
+    assert.strictEqual(await manager.rotate(), 0);
+  }]
+];
+
+runSuite('Backups', cases, {
+  setup: () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-'));
+    fs.mkdirSync(path.join(rootDir, 'services'));
+    return { rootDir, manager: new BackupManager({ rootDir, backupDir: path.join(rootDir, 'backups') }) };
+  },
+  teardown: ({ rootDir }) => {
+    if (rootDir) fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
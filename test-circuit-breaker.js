@@ -0,0 +1,167 @@
+const assert = require('assert');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { CircuitBreaker } = require('./shared/circuitBreaker');
+const { ServiceRegistry } = require('./shared/serviceRegistry');
+const { CircuitOpenError } = require('./shared/errors');
+const { runSuite } = require('./test-runner');
+
+// Testes das transições do circuit breaker (shared/circuitBreaker.js) e do uso dele
+// pelo ServiceRegistry
+// Uso: node test-circuit-breaker.js
+
+const POLICY = { minimumCalls: 3, failureRateThreshold: 50, openTimeout: 1000, halfOpenMaxCalls: 2 };
+
+// Breaker já aberto por falhas; retorna o breaker e as transições emitidas
+function openBreaker(policy = POLICY) {
+  const breaker = new CircuitBreaker('teste', policy);
+  const transitions = [];
+  breaker.on('stateChange', ({ from, to }) => transitions.push(`${from}->${to}`));
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  breaker.recordFailure();
+  return { breaker, transitions };
+}
+
+const cases = [
+  ['fica fechado abaixo do mínimo de chamadas e da taxa de falhas', () => {
+    const breaker = new CircuitBreaker('teste', POLICY);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'closed');
+
+    const healthy = new CircuitBreaker('teste', POLICY);
+    [1, 2, 3].forEach(() => healthy.recordSuccess());
+    healthy.recordFailure();
+    assert.strictEqual(healthy.state, 'closed');
+    assert.ok(healthy.isCallPermitted());
+  }],
+
+  ['abre quando a taxa de falhas passa do limite', () => {
+    const { breaker, transitions } = openBreaker();
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(transitions, ['closed->open']);
+    assert.strictEqual(breaker.acquirePermission(), false);
+    assert.strictEqual(breaker.totals.rejected, 1);
+    assert.strictEqual(breaker.totals.opened, 1);
+  }],
+
+  ['abre por chamadas lentas', () => {
+    const breaker = new CircuitBreaker('teste', { ...POLICY, slowCallDuration: 100, slowCallRateThreshold: 50 });
+    [150, 200, 10].forEach(duration => breaker.recordSuccess(duration));
+    assert.strictEqual(breaker.state, 'open');
+  }],
+
+  ['passa para half-open após o openTimeout e limita as chamadas de teste', () => {
+    const { breaker, transitions } = openBreaker();
+    const later = breaker.openedAt + POLICY.openTimeout;
+    assert.strictEqual(breaker.isCallPermitted(later - 1), false);
+
+    assert.strictEqual(breaker.acquirePermission(later), true);
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.strictEqual(breaker.acquirePermission(later), true);
+    assert.strictEqual(breaker.acquirePermission(later), false);
+    assert.deepStrictEqual(transitions, ['closed->open', 'open->half-open']);
+  }],
+
+  ['fecha quando as chamadas de teste têm sucesso', () => {
+    const { breaker, transitions } = openBreaker();
+    const later = breaker.openedAt + POLICY.openTimeout;
+    breaker.acquirePermission(later);
+    breaker.acquirePermission(later);
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'half-open');
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.deepStrictEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+
+    // A janela recomeça: as falhas de antes não reabrem o circuito
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'closed');
+  }],
+
+  ['reabre quando as chamadas de teste falham', () => {
+    const { breaker, transitions } = openBreaker();
+    const later = breaker.openedAt + POLICY.openTimeout;
+    breaker.acquirePermission(later);
+    breaker.acquirePermission(later);
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(transitions, ['closed->open', 'open->half-open', 'half-open->open']);
+    assert.strictEqual(breaker.totals.opened, 2);
+  }],
+
+  ['libera novas chamadas de teste que nunca reportaram resultado', () => {
+    const { breaker } = openBreaker();
+    const later = breaker.openedAt + POLICY.openTimeout;
+    breaker.acquirePermission(later);
+    breaker.acquirePermission(later);
+    assert.strictEqual(breaker.isCallPermitted(later), false);
+    assert.strictEqual(breaker.isCallPermitted(later + POLICY.openTimeout + 1), true);
+  }],
+
+  ['ignora resultados que chegam com o circuito aberto', () => {
+    const { breaker } = openBreaker();
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(breaker.windowCounters().calls, 0);
+  }],
+
+  ['valida a política', () => {
+    assert.throws(() => new CircuitBreaker('teste', { failureRateThreshold: 150 }), /entre 0 e 100/);
+    assert.throws(() => new CircuitBreaker('teste', { halfOpenMaxCalls: 0 }), /maior que zero/);
+    assert.throws(() => new CircuitBreaker('teste', { timeout: 10 }), /Campo desconhecido/);
+    assert.throws(() => new CircuitBreaker('teste', { openTimeout: -1 }), /Valor inválido/);
+  }],
+
+  ['registry: novo registro ou heartbeat não fecha um circuito aberto', () => {
+    const registry = new ServiceRegistry(null);
+    registry.setCircuitBreakerPolicy('*', POLICY);
+    const events = [];
+    registry.on('circuitBreaker', ({ to }) => events.push(to));
+
+    const instance = registry.upsertInstance('item-service', 'http://localhost:3002');
+    const breaker = registry.circuitBreakers.get(instance.id);
+    registry.recordSuccess(instance.id);
+    registry.recordFailure(instance.id);
+    registry.recordFailure(instance.id);
+    assert.deepStrictEqual(events, ['open']);
+
+    registry.upsertInstance('item-service', 'http://localhost:3002', { circuitBreaker: { openTimeout: 5000 } });
+    assert.strictEqual(registry.circuitBreakers.get(instance.id), breaker);
+    assert.strictEqual(breaker.state, 'open');
+    // A política anunciada no novo registro é aplicada, mas a local tem precedência
+    assert.strictEqual(breaker.policy.openTimeout, POLICY.openTimeout);
+    assert.throws(() => registry.getService('item-service'), CircuitOpenError);
+
+    // O breaker continua emitindo pelo registry
+    breaker.isCallPermitted(breaker.openedAt + POLICY.openTimeout);
+    assert.deepStrictEqual(events, ['open', 'half-open']);
+  }],
+
+  ['registry: evita instâncias com o circuito aberto', () => {
+    const registry = new ServiceRegistry(null);
+    registry.setCircuitBreakerPolicy('*', POLICY);
+    const failing = registry.upsertInstance('item-service', 'http://localhost:3002');
+    const healthy = registry.upsertInstance('item-service', 'http://localhost:3012');
+
+    [1, 2, 3].forEach(() => registry.recordError(failing.id, new Error('ECONNREFUSED')));
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(registry.getService('item-service').id, healthy.id);
+    }
+
+    // Respostas 4xx indicam um serviço funcionando
+    const clientErrors = registry.upsertInstance('list-service', 'http://localhost:3003');
+    [1, 2, 3].forEach(() => registry.recordError(clientErrors.id, { response: { status: 404 } }));
+    assert.strictEqual(registry.circuitBreakers.get(clientErrors.id).state, 'closed');
+
+    registry.removeInstance(failing);
+    assert.strictEqual(registry.circuitBreakers.has(failing.id), false);
+  }]
+];
+
+runSuite('Circuit Breaker', cases);
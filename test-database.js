@@ -0,0 +1,372 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const JsonDatabase = require('./shared/JsonDatabase');
+const { DatabaseLockError, UniqueConstraintError, VersionConflictError } = require('./shared/errors');
+const { formatEtag, parseIfMatch } = require('./shared/etag');
+const { runSuite } = require('./test-runner');
+
+// Testes do JsonDatabase sobre arquivos JSON: journal, compactação, lock, consultas, índices,
+// versões e transações.
+// Cada caso usa um diretório próprio dentro de um diretório temporário.
+// Uso: node test-database.js
+
+// Cópia dos arquivos de um database aberto, como ficariam se o processo caísse agora
+function crashCopy(dataDir, target) {
+  fs.cpSync(dataDir, target, { recursive: true, filter: source => !source.endsWith('.lock') });
+  return target;
+}
+
+function journalLines(dataDir, name) {
+  return fs.readFileSync(path.join(dataDir, `${name}.journal`), 'utf8').split('\n').filter(Boolean);
+}
+
+function snapshot(dataDir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8'));
+}
+
+// Conteúdo de todos os arquivos do diretório, para conferir que nada foi gravado
+function contents(dataDir) {
+  return Object.fromEntries(fs.readdirSync(dataDir).sort().map(name => [name, fs.readFileSync(path.join(dataDir, name), 'utf8')]));
+}
+
+// Serviço mínimo para o shared/migrate.js: database.js com DATA_DIR e uma migração pendente
+function migrationService(serviceDir) {
+  fs.mkdirSync(path.join(serviceDir, 'migrations'), { recursive: true });
+  fs.writeFileSync(path.join(serviceDir, 'migrations', '001-add-status.js'),
+    "module.exports = { description: 'Adiciona status', up: list => ({ ...list, status: list.status || 'active' }) };\n");
+  fs.writeFileSync(path.join(serviceDir, 'database.js'),
+    "const path = require('path');\n" +
+    "module.exports = { collection: 'lists', dataDir: process.env.DATA_DIR || './data', options: { migrations: path.join(__dirname, 'migrations') } };\n");
+  return serviceDir;
+}
+
+function runMigrate(serviceDir, dataDir, ...args) {
+  return spawnSync(process.execPath, [path.join(__dirname, 'shared', 'migrate.js'), serviceDir, ...args], {
+    env: { ...process.env, DATA_DIR: dataDir },
+    encoding: 'utf8'
+  });
+}
+
+const cases = [
+  ['reaplica o journal depois de uma queda', async ({ dir }) => {
+    const db = new JsonDatabase('items', dir('original'));
+    const arroz = await db.create({ name: 'Arroz' });
+    const feijao = await db.create({ name: 'Feijão' });
+    await db.updateById(arroz.id, { name: 'Arroz integral' });
+    await db.deleteById(feijao.id);
+    assert.strictEqual(journalLines(db.dataDir, 'items').length, 4);
+
+    const recovered = new JsonDatabase('items', crashCopy(db.dataDir, dir('recovered')));
+    const records = await recovered.findAll();
+    assert.deepStrictEqual(records.map(record => record.name), ['Arroz integral']);
+
+    // O journal recuperado vira um novo snapshot
+    assert.deepStrictEqual(journalLines(recovered.dataDir, 'items'), []);
+    assert.strictEqual(snapshot(recovered.dataDir, 'items').length, 1);
+
+    await db.close();
+    await recovered.close();
+  }],
+
+  ['ignora apenas uma última linha incompleta do journal', async ({ dir }) => {
+    const db = new JsonDatabase('items', dir('original'));
+    await db.create({ name: 'Arroz' });
+
+    const truncated = crashCopy(db.dataDir, dir('truncated'));
+    fs.appendFileSync(path.join(truncated, 'items.journal'), '{"op":"create","rec');
+    const recovered = new JsonDatabase('items', truncated);
+    assert.strictEqual(await recovered.count(), 1);
+
+    const corrupted = crashCopy(db.dataDir, dir('corrupted'));
+    const journal = path.join(corrupted, 'items.journal');
+    fs.writeFileSync(journal, `{"op":"create","rec\n${fs.readFileSync(journal, 'utf8')}`);
+    await assert.rejects(new JsonDatabase('items', corrupted).initialize(), /corrompido/);
+
+    await db.close();
+    await recovered.close();
+  }],
+
+  ['compacta a cada compactThreshold operações e ao fechar', async ({ dir }) => {
+    const db = new JsonDatabase('items', dir('items'), { compactThreshold: 3 });
+    for (const name of ['Arroz', 'Feijão', 'Café']) await db.create({ name });
+    assert.deepStrictEqual(journalLines(db.dataDir, 'items'), []);
+    assert.strictEqual(snapshot(db.dataDir, 'items').length, 3);
+
+    await db.create({ name: 'Leite' });
+    assert.strictEqual(journalLines(db.dataDir, 'items').length, 1);
+
+    await db.close();
+    assert.deepStrictEqual(journalLines(db.dataDir, 'items'), []);
+    assert.strictEqual(snapshot(db.dataDir, 'items').length, 4);
+  }],
+
+  ['não sobrescreve um snapshot corrompido', async ({ dir }) => {
+    const dataDir = dir('items');
+    fs.mkdirSync(dataDir);
+    fs.writeFileSync(path.join(dataDir, 'items.json'), '[{"id": ');
+
+    await assert.rejects(new JsonDatabase('items', dataDir).initialize(), /corrompido/);
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'items.json'), 'utf8'), '[{"id": ');
+
+    // Um .tmp de uma escrita interrompida é descartado
+    fs.writeFileSync(path.join(dataDir, 'items.json'), JSON.stringify([{ id: '1', name: 'Arroz' }]));
+    fs.writeFileSync(path.join(dataDir, 'items.json.tmp'), '[');
+    const db = new JsonDatabase('items', dataDir);
+    assert.strictEqual((await db.findById('1')).name, 'Arroz');
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'items.json.tmp')), false);
+    await db.close();
+  }],
+
+  ['executa escritas concorrentes uma de cada vez', async ({ dir }) => {
+    const db = new JsonDatabase('counters', dir('counters'));
+    const counter = await db.create({ value: 0 });
+
+    await Promise.all(Array.from({ length: 20 }, () =>
+      db.updateById(counter.id, current => ({ value: current.value + 1 }))
+    ));
+    assert.strictEqual((await db.findById(counter.id)).value, 20);
+
+    // Uma falha não trava a fila
+    await assert.rejects(db.updateById(counter.id, () => { throw new Error('falhou'); }), /falhou/);
+    assert.strictEqual((await db.updateById(counter.id, { value: 0 })).value, 0);
+    await db.close();
+  }],
+
+  ['impede uma segunda instância no mesmo dataDir', async ({ dir }) => {
+    const dataDir = dir('items');
+    const first = new JsonDatabase('items', dataDir);
+    await first.initialize();
+
+    const second = new JsonDatabase('items', dataDir);
+    await assert.rejects(second.initialize(), error => {
+      assert.ok(error instanceof DatabaseLockError);
+      assert.strictEqual(error.owner.pid, process.pid);
+      return true;
+    });
+
+    await first.close();
+    await second.initialize();
+    await second.close();
+
+    // Lock de um processo que já terminou é removido
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(path.join(dataDir, 'items.lock'), JSON.stringify({ pid, hostname: os.hostname() }));
+    const third = new JsonDatabase('items', dataDir);
+    await third.initialize();
+    await third.close();
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'items.lock')), false);
+  }],
+
+  ['consulta com operadores e opções', async ({ dir }) => {
+    const db = new JsonDatabase('lists', dir('lists'));
+    await db.create({ name: 'Mercado', status: 'active', total: 80, preferences: { currency: 'BRL' }, tags: ['casa'] });
+    await db.create({ name: 'Farmácia', status: 'completed', total: 35, preferences: { currency: 'BRL' } });
+    await db.create({ name: 'Viagem', status: 'active', total: 120, preferences: { currency: 'USD' }, tags: ['férias'] });
+
+    const names = records => records.map(record => record.name);
+    assert.deepStrictEqual(names(await db.findAll({ total: { $gte: 35, $lt: 120 } }, { sort: 'total' })), ['Farmácia', 'Mercado']);
+    assert.deepStrictEqual(names(await db.findAll({ 'preferences.currency': 'BRL', status: { $ne: 'completed' } })), ['Mercado']);
+    assert.deepStrictEqual(names(await db.findAll({ $or: [{ tags: 'férias' }, { total: { $lt: 40 } }] }, { sort: { total: -1 } })), ['Viagem', 'Farmácia']);
+    assert.deepStrictEqual(names(await db.findAll({ tags: { $exists: false } })), ['Farmácia']);
+    assert.deepStrictEqual(names(await db.findAll({ name: { $regex: '^m', $options: 'i' } })), ['Mercado']);
+    assert.deepStrictEqual(names(await db.findAll({ status: { $nin: ['active'] } })), ['Farmácia']);
+
+    const page = await db.findAll({}, { sort: { name: 1 }, skip: 1, limit: 1, projection: { name: 1 } });
+    assert.deepStrictEqual(Object.keys(page[0]).sort(), ['id', 'name']);
+    assert.strictEqual(page[0].name, 'Mercado');
+    assert.strictEqual((await db.findOne({ status: 'active' }, { sort: { total: -1 } })).name, 'Viagem');
+    await db.close();
+  }],
+
+  ['rejeita valores duplicados em índices únicos', async ({ dir }) => {
+    const db = new JsonDatabase('users', dir('users'), { indexes: [{ field: 'email', unique: true }, 'group'] });
+    const ana = await db.create({ email: 'ana@exemplo.com', group: 'a' });
+    const bruno = await db.create({ email: 'bruno@exemplo.com', group: 'b' });
+
+    await assert.rejects(db.create({ email: 'ana@exemplo.com' }), error => {
+      assert.ok(error instanceof UniqueConstraintError);
+      assert.strictEqual(error.field, 'email');
+      assert.strictEqual(error.value, 'ana@exemplo.com');
+      return true;
+    });
+    await assert.rejects(db.updateById(bruno.id, { email: 'ana@exemplo.com' }), UniqueConstraintError);
+    assert.strictEqual((await db.findById(bruno.id)).email, 'bruno@exemplo.com');
+    assert.strictEqual(await db.count(), 2);
+
+    // Registros sem o campo não conflitam; o valor é liberado ao remover o registro
+    await db.create({ name: 'sem email' });
+    await db.create({ name: 'sem email' });
+    await db.deleteById(ana.id);
+    await db.create({ email: 'ana@exemplo.com', group: 'a' });
+
+    // O índice simples acompanha as alterações
+    await db.updateById(bruno.id, { group: 'a' });
+    assert.strictEqual((await db.findAll({ group: 'a' })).length, 2);
+    assert.strictEqual((await db.findAll({ group: { $in: ['b'] } })).length, 0);
+
+    // Índice criado depois falha se os dados atuais já têm duplicatas
+    await assert.rejects(db.createIndex('group', { unique: true }), UniqueConstraintError);
+    await db.create({ email: 'carla@exemplo.com', group: 'a' });
+    await db.close();
+  }],
+
+  ['aplica o If-Match com a versão dos registros', async ({ dir }) => {
+    const db = new JsonDatabase('items', dir('items'));
+    const item = await db.create({ name: 'Arroz' });
+    assert.strictEqual(item.version, 1);
+    const updated = await db.updateById(item.id, { name: 'Arroz integral' });
+    assert.strictEqual(updated.version, 2);
+    assert.strictEqual(formatEtag(updated), '"v2"');
+
+    assert.strictEqual(parseIfMatch(undefined), undefined);
+    assert.strictEqual(parseIfMatch('*'), undefined);
+    assert.deepStrictEqual(parseIfMatch('"v1", "v2"'), [1, 2]);
+    assert.deepStrictEqual(parseIfMatch('W/"abc"'), []);
+
+    // If-Match desatualizado: os serviços respondem 412 com a versão atual
+    await assert.rejects(db.updateById(item.id, { name: 'Feijão' }, { expectedVersion: parseIfMatch('"v1"') }), error => {
+      assert.ok(error instanceof VersionConflictError);
+      assert.strictEqual(error.currentVersion, 2);
+      return true;
+    });
+    await assert.rejects(db.deleteById(item.id, { expectedVersion: parseIfMatch('W/"abc"') }), VersionConflictError);
+    assert.strictEqual((await db.findById(item.id)).name, 'Arroz integral');
+
+    const current = await db.updateById(item.id, { name: 'Feijão' }, { expectedVersion: parseIfMatch('"v2"') });
+    assert.strictEqual(current.version, 3);
+    assert.ok(await db.deleteById(item.id, { expectedVersion: parseIfMatch(formatEtag(current)) }));
+    await db.close();
+
+    // Registros gravados antes das versões começam na versão 1
+    const legacyDir = dir('legacy');
+    fs.mkdirSync(legacyDir);
+    fs.writeFileSync(path.join(legacyDir, 'items.json'), JSON.stringify([{ id: '1', name: 'Café' }]));
+    const legacy = new JsonDatabase('items', legacyDir);
+    assert.strictEqual((await legacy.findById('1')).version, 1);
+    await legacy.close();
+  }],
+
+  ['confirma transações entre coleções de uma vez', async ({ dir }) => {
+    const lists = new JsonDatabase('lists', dir('data'));
+    const history = new JsonDatabase('history', lists.dataDir);
+    const list = await lists.create({ name: 'Mercado', status: 'active' });
+
+    const result = await lists.transaction(async tx => {
+      const updated = await tx.updateById(list.id, { status: 'completed' });
+      await tx.collection('history').create({ listId: list.id });
+      // Dentro da transação as alterações aparecem; fora, só depois do commit
+      assert.strictEqual((await tx.findById(list.id)).status, 'completed');
+      assert.strictEqual((await lists.findById(list.id)).status, 'active');
+      return updated;
+    });
+
+    assert.strictEqual(result.version, 2);
+    assert.strictEqual((await lists.findById(list.id)).status, 'completed');
+    assert.strictEqual(await history.count({ listId: list.id }), 1);
+    assert.deepStrictEqual(fs.readdirSync(lists.dataDir).filter(file => file.startsWith('_tx-')), []);
+
+    const recovered = crashCopy(lists.dataDir, dir('recovered'));
+    assert.strictEqual((await new JsonDatabase('lists', recovered).findById(list.id)).status, 'completed');
+    assert.strictEqual(await new JsonDatabase('history', recovered).count(), 1);
+
+    await lists.close();
+    await history.close();
+    await new JsonDatabase('lists', recovered).close();
+    await new JsonDatabase('history', recovered).close();
+  }],
+
+  ['descarta a transação quando a função falha ou há conflito', async ({ dir }) => {
+    const lists = new JsonDatabase('lists', dir('data'), { indexes: [{ field: 'name', unique: true }] });
+    const history = new JsonDatabase('history', lists.dataDir);
+    const list = await lists.create({ name: 'Mercado', status: 'active' });
+
+    await assert.rejects(lists.transaction(async tx => {
+      await tx.updateById(list.id, { status: 'completed' });
+      await tx.collection('history').create({ listId: list.id });
+      throw new Error('cancelada');
+    }), /cancelada/);
+    assert.strictEqual((await lists.findById(list.id)).version, 1);
+    assert.strictEqual(await history.count(), 0);
+
+    // Registro alterado fora da transação antes do commit
+    await assert.rejects(lists.transaction(async tx => {
+      await tx.updateById(list.id, { status: 'completed' });
+      await tx.collection('history').create({ listId: list.id });
+      await lists.updateById(list.id, { status: 'archived' });
+    }), VersionConflictError);
+    assert.strictEqual((await lists.findById(list.id)).status, 'archived');
+    assert.strictEqual(await history.count(), 0);
+
+    await assert.rejects(lists.transaction(async tx => {
+      await tx.create({ name: 'Farmácia' });
+      await tx.create({ name: 'Farmácia' });
+    }), UniqueConstraintError);
+    assert.strictEqual(await lists.count(), 1);
+
+    await lists.close();
+    await history.close();
+  }],
+
+  ['dry-run das migrações não grava nada', async ({ dir }) => {
+    const serviceDir = migrationService(dir('service'));
+    const db = new JsonDatabase('lists', path.join(serviceDir, 'data-2'));
+    await db.create({ name: 'Mercado' });
+    await db.compact();
+    await db.create({ name: 'Farmácia' });
+    // Snapshot e journal pendente, como depois de uma queda
+    const dataDir = crashCopy(db.dataDir, path.join(serviceDir, 'data-3'));
+    await db.close();
+    const before = contents(dataDir);
+
+    const dryRun = new JsonDatabase('lists', dataDir, { migrations: path.join(serviceDir, 'migrations'), dryRunMigrations: true });
+    await dryRun.initialize();
+    assert.strictEqual(dryRun.schemaVersion, 0);
+    assert.strictEqual(await dryRun.count(), 2);
+    await dryRun.close();
+    assert.deepStrictEqual(contents(dataDir), before);
+
+    // Pelo migrate.js, no DATA_DIR (relativo ao serviço) indicado
+    const result = runMigrate(serviceDir, './data-3', '--dry-run');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(contents(dataDir), before);
+
+    assert.strictEqual(runMigrate(serviceDir, './data-3').status, 0);
+    const migrated = new JsonDatabase('lists', dataDir, { migrations: path.join(serviceDir, 'migrations') });
+    assert.deepStrictEqual((await migrated.findAll()).map(list => list.status), ['active', 'active']);
+    assert.strictEqual(migrated.schemaVersion, 1);
+    await migrated.close();
+  }],
+
+  ['migrações recusam um database inexistente sem criá-lo', async ({ dir }) => {
+    const serviceDir = migrationService(dir('service'));
+    const missing = path.join(serviceDir, 'data');
+
+    const dryRun = new JsonDatabase('lists', missing, { dryRunMigrations: true });
+    await assert.rejects(dryRun.initialize(), /não encontrado/);
+    for (const args of [['--dry-run'], []]) {
+      const result = runMigrate(serviceDir, './data', ...args);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /não encontrado/);
+    }
+    assert.strictEqual(fs.existsSync(missing), false);
+  }]
+];
+
+runSuite('JsonDatabase', cases, {
+  setup: () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'database-'));
+    let next = 0;
+    // Diretório novo para cada chamada, para que os casos não compartilhem arquivos
+    return { tmpDir, dir: name => path.join(tmpDir, `${++next}-${name}`) };
+  },
+  teardown: ({ tmpDir }) => {
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
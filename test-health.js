@@ -0,0 +1,98 @@
+const assert = require('assert');
+
+const HealthCheck = require('./shared/healthCheck');
+const { runSuite } = require('./test-runner');
+
+// Testes dos health checks (shared/healthCheck.js): status de liveness e readiness e os
+// códigos HTTP de cada rota, com um app mínimo no lugar do Express
+// Uso: node test-health.js
+
+// Registra as rotas de `health` e chama uma delas como o Express faria
+async function get(health, path) {
+  const handlers = new Map();
+  health.routes({ get: (route, handler) => handlers.set(route, handler) });
+
+  const response = { statusCode: 200, body: null };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+  await handlers.get(path)({}, res);
+  return response;
+}
+
+const down = () => {
+  throw new Error('sem conexão');
+};
+
+const cases = [
+  ['healthy quando todas as verificações passam', async () => {
+    const health = new HealthCheck('list-service', { version: '2.0.0' })
+      .register('database', () => ({ records: 3 }))
+      .register('rabbitmq', async () => ({ connected: true }), { critical: false });
+
+    const { statusCode, body } = await get(health, '/health/ready');
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.status, 'healthy');
+    assert.strictEqual(body.service, 'list-service');
+    assert.strictEqual(body.version, '2.0.0');
+    assert.deepStrictEqual(Object.keys(body.checks), ['database', 'rabbitmq']);
+    assert.strictEqual(body.checks.database.status, 'up');
+    assert.strictEqual(body.checks.database.records, 3);
+    assert.strictEqual(body.checks.rabbitmq.critical, false);
+  }],
+
+  ['degraded com 200 quando só uma verificação não crítica falha', async () => {
+    const health = new HealthCheck('list-service')
+      .register('database', () => {})
+      .register('rabbitmq', down, { critical: false });
+
+    const { statusCode, body } = await get(health, '/health/ready');
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.status, 'degraded');
+    assert.strictEqual(body.checks.rabbitmq.status, 'down');
+    assert.strictEqual(body.checks.rabbitmq.error, 'sem conexão');
+  }],
+
+  ['unhealthy com 503 quando uma verificação crítica falha', async () => {
+    const health = new HealthCheck('list-service')
+      .register('database', down)
+      .register('rabbitmq', down, { critical: false });
+
+    for (const path of ['/health/ready', '/health']) {
+      const { statusCode, body } = await get(health, path);
+      assert.strictEqual(statusCode, 503);
+      assert.strictEqual(body.status, 'unhealthy');
+      assert.strictEqual(body.checks.database.error, 'sem conexão');
+    }
+  }],
+
+  ['verificação sem resposta conta como falha', async () => {
+    const health = new HealthCheck('item-service', { timeout: 50 })
+      .register('database', () => new Promise(() => {}));
+
+    const startedAt = Date.now();
+    const { statusCode, body } = await get(health, '/health/ready');
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.strictEqual(statusCode, 503);
+    assert.match(body.checks.database.error, /sem resposta em 50ms/);
+  }],
+
+  ['liveness responde 200 mesmo com as dependências fora', async () => {
+    const health = new HealthCheck('user-service').register('database', down);
+
+    const { statusCode, body } = await get(health, '/health/live');
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.status, 'alive');
+    assert.strictEqual(body.service, 'user-service');
+    assert.ok(body.memory > 0);
+  }]
+];
+
+runSuite('Health Checks', cases);
@@ -0,0 +1,206 @@
+const assert = require('assert');
+const http = require('http');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { ServiceClient, deadlineMiddleware, DEADLINE_HEADER } = require('./shared/httpClient');
+const { ServiceRegistry } = require('./shared/serviceRegistry');
+const { CircuitOpenError, DeadlineExceededError } = require('./shared/errors');
+const { runSuite } = require('./test-runner');
+
+// Testes do cliente HTTP entre serviços (shared/httpClient.js): novas tentativas, prazos e
+// circuit breaker, com um servidor HTTP local no lugar do serviço chamado
+// Uso: node test-http-client.js
+
+// GET /status/<código>?failures=<n>: responde <código> nas primeiras n chamadas a cada caminho
+// (todas, sem `failures`) e 200 depois; GET /slow?ms=<n> demora n ms para responder
+function startServer() {
+  const state = { hits: new Map(), headers: [] };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = `${req.method} ${url.pathname}`;
+    const hits = (state.hits.get(key) || 0) + 1;
+    state.hits.set(key, hits);
+    state.headers.push(req.headers);
+
+    const reply = status => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      if (url.searchParams.has('retryAfter')) res.setHeader('Retry-After', url.searchParams.get('retryAfter'));
+      res.end(JSON.stringify({ status, hits }));
+    };
+
+    const [, route, value] = url.pathname.split('/');
+    if (route === 'status') {
+      const failures = url.searchParams.has('failures') ? parseInt(url.searchParams.get('failures'), 10) : Infinity;
+      return reply(hits <= failures ? parseInt(value, 10) : 200);
+    }
+    if (route === 'slow') {
+      const timer = setTimeout(() => reply(200), parseInt(url.searchParams.get('ms'), 10));
+      return res.on('close', () => clearTimeout(timer));
+    }
+    reply(200);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// Registry em memória com uma instância do item-service apontando para o servidor de teste
+function createClient(url, options = {}) {
+  const registry = new ServiceRegistry(null);
+  registry.setCircuitBreakerPolicy('*', { minimumCalls: 100 });
+  registry.upsertInstance('item-service', url);
+  return {
+    registry,
+    client: new ServiceClient(registry, { baseDelay: 1, maxDelay: 5, ...options })
+  };
+}
+
+function hitsOf(state, key) {
+  return state.hits.get(key) || 0;
+}
+
+const cases = [
+  ['repete GET em 502, 503 e 504 até ter sucesso', async ({ url, state }) => {
+    const { client } = createClient(url);
+    for (const status of [502, 503, 504]) {
+      const path = `/status/${status}?failures=2`;
+      const response = await client.request('item-service', path);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(hitsOf(state, `GET /status/${status}`), 3);
+    }
+  }],
+
+  ['desiste após o número de tentativas configurado', async ({ url, state }) => {
+    const { client } = createClient(url);
+    await assert.rejects(
+      client.request('item-service', '/status/503', { retries: 1 }),
+      error => error.response && error.response.status === 503
+    );
+    assert.strictEqual(hitsOf(state, 'GET /status/503'), 2);
+
+    // Padrão: 2 tentativas extras
+    await assert.rejects(client.request('item-service', '/status/503'));
+    assert.strictEqual(hitsOf(state, 'GET /status/503'), 5);
+  }],
+
+  ['não repete outros erros', async ({ url, state }) => {
+    const { client } = createClient(url);
+    for (const status of [400, 404, 500]) {
+      await assert.rejects(
+        client.request('item-service', `/status/${status}`),
+        error => error.response.status === status
+      );
+      assert.strictEqual(hitsOf(state, `GET /status/${status}`), 1);
+    }
+  }],
+
+  ['repete apenas métodos idempotentes', async ({ url, state }) => {
+    const { client } = createClient(url);
+    await assert.rejects(client.request('item-service', '/status/503', { method: 'POST' }));
+    assert.strictEqual(hitsOf(state, 'POST /status/503'), 1);
+    await assert.rejects(client.request('item-service', '/status/503', { method: 'PATCH' }));
+    assert.strictEqual(hitsOf(state, 'PATCH /status/503'), 1);
+
+    for (const method of ['PUT', 'DELETE']) {
+      const response = await client.request('item-service', '/status/503?failures=1', { method });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(hitsOf(state, `${method} /status/503`), 2);
+    }
+
+    // POST marcado como idempotente (ex.: com chave de idempotência)
+    await client.request('item-service', '/status/504?failures=1', { method: 'POST', idempotent: true });
+    assert.strictEqual(hitsOf(state, 'POST /status/504'), 2);
+    await assert.rejects(client.request('item-service', '/status/504', { idempotent: false }));
+    assert.strictEqual(hitsOf(state, 'GET /status/504'), 1);
+  }],
+
+  ['repete falhas de conexão em outra instância', async ({ url, state }) => {
+    const { client, registry } = createClient(url);
+    // Porta sem servidor; o round-robin escolhe esta instância primeiro
+    registry.removeInstance(registry.getInstances('item-service')[0]);
+    const down = registry.upsertInstance('item-service', 'http://127.0.0.1:1');
+    registry.upsertInstance('item-service', url);
+
+    const response = await client.request('item-service', '/items');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(hitsOf(state, 'GET /items'), 1);
+    assert.strictEqual(registry.circuitBreakers.get(down.id).totals.failures, 1);
+  }],
+
+  ['não chama instâncias com o circuito aberto', async ({ url, state }) => {
+    const { client, registry } = createClient(url);
+    registry.setCircuitBreakerPolicy('*', { minimumCalls: 3 });
+
+    await assert.rejects(client.request('item-service', '/status/502?failures=3', { retries: 5 }), CircuitOpenError);
+    // Três falhas abrem o circuito; a quarta tentativa nem sai
+    assert.strictEqual(hitsOf(state, 'GET /status/502'), 3);
+
+    await assert.rejects(client.request('item-service', '/items/1'), CircuitOpenError);
+    assert.strictEqual(hitsOf(state, 'GET /items/1'), 0);
+  }],
+
+  ['respeita o prazo da chamada', async ({ url }) => {
+    const { client } = createClient(url);
+    const startedAt = Date.now();
+    await assert.rejects(client.request('item-service', '/slow?ms=1000', { timeout: 200 }), DeadlineExceededError);
+    assert.ok(Date.now() - startedAt < 600, `${Date.now() - startedAt} ms`);
+
+    // Esperas que passariam do prazo não são feitas: desiste com o último erro em vez de
+    // esperar (o atraso tem jitter, então algumas tentativas ainda cabem nos 300 ms)
+    const { client: patient } = createClient(url, { baseDelay: 400, maxDelay: 400 });
+    const retryStartedAt = Date.now();
+    await assert.rejects(patient.request('item-service', '/status/503', { timeout: 300 }), error => error.response.status === 503);
+    assert.ok(Date.now() - retryStartedAt < 400, `${Date.now() - retryStartedAt} ms`);
+  }],
+
+  ['respeita o deadline herdado e o envia no header', async ({ url, state }) => {
+    const { client } = createClient(url);
+
+    await assert.rejects(client.request('item-service', '/items/2', { deadline: Date.now() - 1 }), DeadlineExceededError);
+    assert.strictEqual(hitsOf(state, 'GET /items/2'), 0);
+
+    state.headers = [];
+    await client.request('item-service', '/items/3', { deadline: Date.now() + 800, timeout: 5000 });
+    const sent = parseInt(state.headers[0][DEADLINE_HEADER], 10);
+    assert.ok(sent > 0 && sent <= 800, `${DEADLINE_HEADER}: ${sent}`);
+
+    // Retry-After maior que o tempo restante: desiste em vez de esperar
+    const startedAt = Date.now();
+    await assert.rejects(client.request('item-service', '/status/503?retryAfter=5', { timeout: 1000 }), error => error.response.status === 503);
+    assert.strictEqual(hitsOf(state, 'GET /status/503'), 1);
+    assert.ok(Date.now() - startedAt < 500);
+  }],
+
+  ['deadlineMiddleware define req.deadline', async () => {
+    const deadlineOf = (middleware, headers = {}) => {
+      const req = { headers };
+      middleware(req, {}, () => {});
+      return req.deadline === undefined ? undefined : req.deadline - Date.now();
+    };
+    const near = (value, expected) => assert.ok(Math.abs(value - expected) < 50, `${value} != ${expected}`);
+
+    // Na borda: o header só encurta o prazo padrão
+    const edge = deadlineMiddleware(1000);
+    near(deadlineOf(edge), 1000);
+    near(deadlineOf(edge, { [DEADLINE_HEADER]: '300' }), 300);
+    near(deadlineOf(edge, { [DEADLINE_HEADER]: '600000' }), 1000);
+    near(deadlineOf(edge, { [DEADLINE_HEADER]: 'abc' }), 1000);
+    near(deadlineOf(edge, { [DEADLINE_HEADER]: '-5' }), 1000);
+
+    // Entre serviços: o header vale como está
+    const internal = deadlineMiddleware();
+    assert.strictEqual(deadlineOf(internal), undefined);
+    near(deadlineOf(internal, { [DEADLINE_HEADER]: '600000' }), 600000);
+  }]
+];
+
+runSuite('Cliente HTTP entre Serviços', cases, {
+  setup: startServer,
+  beforeEach: ({ state }) => state.hits.clear(),
+  teardown: ({ server }) => server && server.close()
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+
+const { LoadBalancer, MAX_WEIGHT } = require('./shared/loadBalancer');
+const { runSuite } = require('./test-runner');
+
+// Testes das estratégias de balanceamento (shared/loadBalancer.js)
+// Uso: node test-load-balancer.js
+
+function instance(port, weight) {
+  const metadata = weight === undefined ? {} : { weight };
+  return { id: `item-service@localhost:${port}`, name: 'item-service', url: `http://localhost:${port}`, metadata };
+}
+
+// Quantas vezes cada instância foi escolhida em `total` seleções
+function distribution(select, total) {
+  const counts = {};
+  for (let i = 0; i < total; i++) {
+    const { id } = select(i);
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  return counts;
+}
+
+// Instância de cada chave com o consistent-hash
+function assignments(balancer, instances, keys) {
+  return new Map(keys.map(key => [key, balancer.select('item-service', instances, { strategy: 'consistent-hash', key }).id]));
+}
+
+const KEYS = Array.from({ length: 3000 }, (_, index) => `usuario-${index}`);
+
+const cases = [
+  ['reveza as instâncias no round-robin', () => {
+    const balancer = new LoadBalancer();
+    const instances = [instance(3002), instance(3012), instance(3022)];
+    const selected = [0, 1, 2, 3].map(() => balancer.select('item-service', instances).id);
+    assert.deepStrictEqual(selected, [instances[0].id, instances[1].id, instances[2].id, instances[0].id]);
+    assert.strictEqual(balancer.select('item-service', []), null);
+    assert.throws(() => balancer.setStrategy('item-service', 'random'), /desconhecida/);
+  }],
+
+  ['distribui pelo peso de forma suave', () => {
+    const balancer = new LoadBalancer({ strategy: 'weighted' });
+    const [a, b] = [instance(3002, 3), instance(3012, 1)];
+    const selected = [0, 1, 2, 3].map(() => balancer.select('item-service', [a, b]).id);
+    assert.deepStrictEqual(selected, [a.id, a.id, b.id, a.id]);
+
+    const counts = distribution(() => balancer.select('item-service', [a, b]), 400);
+    assert.deepStrictEqual(counts, { [a.id]: 300, [b.id]: 100 });
+  }],
+
+  ['usa peso 1 para valores inválidos e limita pesos altos', () => {
+    const balancer = new LoadBalancer({ strategy: 'weighted' });
+    const instances = [instance(3002), instance(3012, 0), instance(3022, 'abc'), instance(3032, 2)];
+    const counts = distribution(() => balancer.select('item-service', instances), 500);
+    assert.deepStrictEqual(instances.map(item => counts[item.id]), [100, 100, 100, 200]);
+
+    const huge = instance(3042, 1e9);
+    const normal = instance(3052, 1);
+    const capped = distribution(() => balancer.select('item-service', [huge, normal]), MAX_WEIGHT + 1);
+    assert.deepStrictEqual(capped, { [huge.id]: MAX_WEIGHT, [normal.id]: 1 });
+  }],
+
+  ['consistent-hash mantém cada chave na mesma instância', () => {
+    const balancer = new LoadBalancer({ strategy: 'consistent-hash' });
+    const instances = [instance(3002), instance(3012), instance(3022)];
+    const first = assignments(balancer, instances, KEYS);
+    // A ordem das instâncias não muda o anel
+    const second = assignments(new LoadBalancer(), [...instances].reverse(), KEYS);
+    assert.deepStrictEqual(second, first);
+
+    // Distribuição próxima de 1/3 para cada instância
+    const counts = distribution(i => instances.find(item => item.id === first.get(KEYS[i])), KEYS.length);
+    Object.values(counts).forEach(count => assert.ok(count > 700 && count < 1300, `${count} chaves em uma instância`));
+
+    // Sem chave, cai no round-robin
+    const withoutKey = [0, 1, 2].map(() => balancer.select('item-service', instances).id);
+    assert.strictEqual(new Set(withoutKey).size, 3);
+  }],
+
+  ['consistent-hash move apenas as chaves da instância que saiu ou entrou', () => {
+    const balancer = new LoadBalancer();
+    const instances = [instance(3002), instance(3012), instance(3022)];
+    const before = assignments(balancer, instances, KEYS);
+
+    const after = assignments(balancer, instances.slice(0, 2), KEYS);
+    KEYS.forEach(key => {
+      if (before.get(key) !== instances[2].id) assert.strictEqual(after.get(key), before.get(key));
+    });
+
+    const extra = instance(3032);
+    const grown = assignments(balancer, [...instances, extra], KEYS);
+    let moved = 0;
+    KEYS.forEach(key => {
+      if (grown.get(key) !== before.get(key)) {
+        assert.strictEqual(grown.get(key), extra.id);
+        moved++;
+      }
+    });
+    assert.ok(moved > 400 && moved < 1100, `${moved} chaves movidas`);
+  }],
+
+  ['consistent-hash respeita o peso', () => {
+    const balancer = new LoadBalancer();
+    const [heavy, light] = [instance(3002, 3), instance(3012, 1)];
+    const assigned = assignments(balancer, [heavy, light], KEYS);
+    const heavyShare = KEYS.filter(key => assigned.get(key) === heavy.id).length / KEYS.length;
+    assert.ok(heavyShare > 0.65 && heavyShare < 0.85, `participação ${heavyShare}`);
+  }],
+
+  ['consistent-hash mantém ao menos um ponto por instância e limita o anel', () => {
+    const balancer = new LoadBalancer();
+    const tiny = instance(3002, 0.0001);
+    const huge = instance(3012, 1e9);
+    const normal = instance(3022);
+    balancer.select('item-service', [tiny, huge, normal], { strategy: 'consistent-hash', key: 'x' });
+
+    const { points } = balancer.rings.get('item-service');
+    const pointsOf = target => points.filter(point => point.instance.id === target.id).length;
+    assert.strictEqual(pointsOf(tiny), 1);
+    assert.strictEqual(pointsOf(huge), 100 * MAX_WEIGHT);
+    assert.strictEqual(pointsOf(normal), 100);
+  }],
+
+  ['least-outstanding evita instâncias ocupadas', () => {
+    const balancer = new LoadBalancer({ strategy: 'least-outstanding' });
+    const instances = [instance(3002), instance(3012)];
+    const finish = balancer.begin(instances[0]);
+    assert.strictEqual(balancer.select('item-service', instances).id, instances[1].id);
+    assert.strictEqual(balancer.select('item-service', instances).id, instances[1].id);
+
+    finish();
+    finish();
+    assert.strictEqual(balancer.outstanding.size, 0);
+    const selected = [0, 1].map(() => balancer.select('item-service', instances).id);
+    assert.strictEqual(new Set(selected).size, 2);
+  }]
+];
+
+runSuite('Balanceamento de Carga', cases);
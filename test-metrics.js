@@ -0,0 +1,124 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { MetricsRegistry, CONTENT_TYPE } = require('./shared/metrics');
+const { ServiceRegistry } = require('./shared/serviceRegistry');
+const JsonDatabase = require('./shared/JsonDatabase');
+const { runSuite } = require('./test-runner');
+
+// Testes das métricas (shared/metrics.js): formato de exposição de texto do Prometheus,
+// coletores e o GET /metrics dos processos sem Express
+// Uso: node test-metrics.js
+
+// Linhas de amostra (sem # HELP / # TYPE) de uma métrica
+function samples(text, name) {
+  return text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+const cases = [
+  ['expõe contadores e gauges com HELP, TYPE e labels', async () => {
+    const metrics = new MetricsRegistry();
+    const requests = metrics.counter('http_requests_total', 'Requisições HTTP recebidas', ['method', 'status']);
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ status: 200, method: 'GET' }, 2);
+    requests.inc({ method: 'POST', status: 500 });
+    metrics.gauge('queue_size', 'Mensagens na fila').set({}, 7);
+
+    const text = await metrics.expose();
+    assert.ok(text.endsWith('\n'));
+    assert.ok(text.includes('# HELP http_requests_total Requisições HTTP recebidas\n# TYPE http_requests_total counter\n'));
+    assert.deepStrictEqual(samples(text, 'http_requests_total'), [
+      'http_requests_total{method="GET",status="200"} 3',
+      'http_requests_total{method="POST",status="500"} 1'
+    ]);
+    assert.ok(text.includes('# TYPE queue_size gauge\nqueue_size 7\n'));
+    assert.strictEqual(samples(text, 'process_resident_memory_bytes').length, 1);
+  }],
+
+  ['escapa valores de labels e valida nomes', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.gauge('label_escape', 'Teste', ['path']).set({ path: 'C:\\dados\n"x"' }, Infinity);
+    assert.deepStrictEqual(samples(await metrics.expose(), 'label_escape'), ['label_escape{path="C:\\\\dados\\n\\"x\\""} +Inf']);
+
+    assert.throws(() => metrics.counter('http-requests', 'Inválido'), /Nome de métrica inválido/);
+    assert.throws(() => metrics.counter('label_escape', 'Outro tipo'), /já registrada como gauge/);
+    assert.strictEqual(metrics.gauge('label_escape', 'De novo'), metrics.metrics.get('label_escape'));
+
+    const counter = metrics.counter('events_total', 'Eventos', ['type']);
+    assert.throws(() => counter.inc({ kind: 'x' }), /Label desconhecido/);
+    assert.throws(() => counter.inc({ type: 'x' }, -1), /não pode diminuir/);
+  }],
+
+  ['expõe histogramas com buckets cumulativos, soma e contagem', async () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram('job_duration_seconds', 'Duração', ['job'], { buckets: [1, 0.1, 0.5] });
+    [0.05, 0.3, 0.3, 2].forEach(value => duration.observe({ job: 'backup' }, value));
+
+    assert.deepStrictEqual(samples(await metrics.expose(), 'job_duration_seconds_bucket'), [
+      'job_duration_seconds_bucket{job="backup",le="0.1"} 1',
+      'job_duration_seconds_bucket{job="backup",le="0.5"} 3',
+      'job_duration_seconds_bucket{job="backup",le="1"} 3',
+      'job_duration_seconds_bucket{job="backup",le="+Inf"} 4'
+    ]);
+    const text = await metrics.expose();
+    assert.deepStrictEqual(samples(text, 'job_duration_seconds_count'), ['job_duration_seconds_count{job="backup"} 4']);
+    assert.strictEqual(Number(samples(text, 'job_duration_seconds_sum')[0].split(' ')[1]).toFixed(2), '2.65');
+  }],
+
+  ['um coletor com erro não derruba as demais métricas', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.gauge('broken', 'Com erro', [], { collect: () => { throw new Error('falhou'); } });
+    metrics.gauge('working', 'Sem erro', [], { collect: metric => metric.set({}, 1) });
+
+    const text = await metrics.expose();
+    assert.ok(!text.includes('# TYPE broken'));
+    assert.deepStrictEqual(samples(text, 'working'), ['working 1']);
+  }],
+
+  ['instrumenta o database e o registry', async () => {
+    const metrics = new MetricsRegistry();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+    const db = metrics.instrumentDatabase(new JsonDatabase('metrics', dataDir, { storage: 'memory' }));
+    await db.create({ name: 'Arroz' });
+    await db.findAll();
+
+    const registry = metrics.instrumentRegistry(new ServiceRegistry(null));
+    const instance = registry.upsertInstance('item-service', 'http://localhost:3002');
+
+    const text = await metrics.expose();
+    assert.deepStrictEqual(samples(text, 'db_records'), ['db_records{collection="metrics"} 1']);
+    assert.ok(samples(text, 'db_operation_duration_seconds_count').includes(
+      'db_operation_duration_seconds_count{collection="metrics",operation="create",outcome="success"} 1'
+    ));
+    assert.ok(samples(text, 'circuit_breaker_state').includes(
+      `circuit_breaker_state{service="item-service",instance="${instance.id}",state="closed"} 1`
+    ));
+    await db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }],
+
+  ['responde GET /metrics sem Express', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.counter('messages_total', 'Mensagens').inc();
+    const server = metrics.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const response = await fetch(`${url}/metrics`);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('content-type'), CONTENT_TYPE);
+      assert.deepStrictEqual(samples(await response.text(), 'messages_total'), ['messages_total 1']);
+      assert.strictEqual((await fetch(`${url}/outra`)).status, 404);
+    } finally {
+      server.close();
+    }
+  }]
+];
+
+runSuite('Métricas', cases);
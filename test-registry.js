@@ -0,0 +1,365 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+// Leases curtas para os testes não esperarem 30 segundos
+const LEASE_TTL = 900;
+process.env.REGISTRY_LEASE_TTL_MS = String(LEASE_TTL);
+
+const { ServiceRegistry } = require('./shared/serviceRegistry');
+const RegistryClient = require('./shared/registryClient');
+const { header, runCases, finish } = require('./test-runner');
+
+// Testes do Service Registry (várias instâncias por serviço e leases), do registry-service
+// (HTTP e /watch) e do cliente shared/registryClient.js.
+// Sobe um registry-service temporário em uma porta livre, com DATA_DIR em um diretório temporário.
+// Uso: node test-registry.js
+
+const SERVICE_DIR = path.join(__dirname, 'services', 'registry-service');
+
+function ids(instances) {
+  return instances.map(instance => instance.id).sort();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Espera `check` retornar um valor verdadeiro (ou falha após `timeout` ms)
+async function waitFor(check, timeout = 3000, message = 'condição não atingida') {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await sleep(50);
+  }
+  throw new Error(`${message} em ${timeout} ms`);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Registry-service em um processo separado; `stop` desliga com SIGINT, como no start-all.sh
+async function startRegistry(dataDir) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVICE_DIR,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const url = `http://127.0.0.1:${port}`;
+
+  await waitFor(async () => {
+    if (child.exitCode !== null) throw new Error(`registry-service saiu com código ${child.exitCode}`);
+    try {
+      return (await fetch(`${url}/health/live`)).ok;
+    } catch (error) {
+      return false;
+    }
+  }, 10000, 'registry-service não respondeu');
+
+  return {
+    url,
+    stop: async () => {
+      if (child.exitCode === null) child.kill('SIGINT');
+      await exited;
+    }
+  };
+}
+
+async function api(url, pathname, { method = 'GET', body } = {}) {
+  const response = await fetch(`${url}${pathname}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, data: text ? JSON.parse(text) : null };
+}
+
+const fileCases = [
+  ['registra várias instâncias do mesmo serviço', async ({ tmpDir }) => {
+    const registry = new ServiceRegistry(path.join(tmpDir, 'instances.json'));
+    const first = await registry.registerService('list-service', 'http://localhost:3003');
+    const second = await registry.registerService('list-service', 'http://localhost:3013', { version: '1' });
+    assert.strictEqual(first.id, 'list-service@localhost:3003');
+    assert.deepStrictEqual(ids(registry.getInstances('list-service')), [first.id, second.id]);
+
+    // Registrar o mesmo endereço de novo atualiza a instância
+    await registry.registerService('list-service', 'http://localhost:3013', { version: '2' });
+    assert.strictEqual(registry.getInstances('list-service').length, 2);
+    assert.strictEqual(registry.findInstance(second.id).metadata.version, '2');
+
+    const custom = await registry.registerService('list-service', 'http://localhost:3023', { instanceId: 'list-c' });
+    assert.strictEqual(custom.id, 'list-c');
+    assert.strictEqual(registry.getInstances('list-service').length, 3);
+  }],
+
+  ['reveza as instâncias e prefere as saudáveis', async ({ tmpDir }) => {
+    const registry = new ServiceRegistry(path.join(tmpDir, 'round-robin.json'));
+    const first = await registry.registerService('item-service', 'http://localhost:3002');
+    const second = await registry.registerService('item-service', 'http://localhost:3012');
+
+    const selected = [0, 1, 2, 3].map(() => registry.getService('item-service').id);
+    assert.deepStrictEqual(selected, [first.id, second.id, first.id, second.id]);
+    assert.strictEqual(registry.getService('user-service'), null);
+
+    first.status = 'healthy';
+    second.status = 'unhealthy';
+    assert.deepStrictEqual([0, 1].map(() => registry.getService('item-service').id), [first.id, first.id]);
+  }],
+
+  ['processos compartilham o arquivo e removem apenas as próprias instâncias', async ({ tmpDir }) => {
+    const file = path.join(tmpDir, 'shared.json');
+    const a = new ServiceRegistry(file);
+    const b = new ServiceRegistry(file);
+    const fromA = await a.registerService('list-service', 'http://localhost:3003');
+    const fromB = await b.registerService('list-service', 'http://localhost:3013');
+
+    await a.syncRegistry();
+    assert.deepStrictEqual(ids(a.getInstances('list-service')), [fromA.id, fromB.id]);
+
+    // Desligar B remove só a instância de B
+    assert.strictEqual(await b.unregisterService('list-service'), true);
+    assert.strictEqual(await b.unregisterService('list-service'), false);
+    await a.syncRegistry();
+    assert.deepStrictEqual(ids(a.getInstances('list-service')), [fromA.id]);
+
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(stored.map(instance => instance.id), [fromA.id]);
+  }],
+
+  ['remove instâncias com a lease vencida', async ({ tmpDir }) => {
+    const file = path.join(tmpDir, 'registry.json');
+    const itemService = new ServiceRegistry(file);
+    const gateway = new ServiceRegistry(file);
+
+    const instance = await itemService.registerService('item-service', 'http://localhost:3902');
+    await gateway.syncRegistry();
+    assert.strictEqual(gateway.getInstances('item-service').length, 1);
+
+    // Enquanto o heartbeat roda, a lease é renovada
+    await sleep(LEASE_TTL + 200);
+    await gateway.syncRegistry();
+    assert.strictEqual(gateway.getInstances('item-service').length, 1);
+
+    // Processo que caiu sem SIGINT: sem heartbeats, a lease vence
+    itemService.stopHeartbeat();
+    await sleep(LEASE_TTL + 100);
+    await gateway.syncRegistry();
+    assert.strictEqual(gateway.findInstance(instance.id), null);
+
+    // O próximo heartbeat grava a instância de novo
+    await itemService.heartbeat();
+    await gateway.syncRegistry();
+    assert.ok(gateway.findInstance(instance.id));
+    assert.ok(!gateway.isLeaseExpired(gateway.findInstance(instance.id)));
+  }],
+
+  ['registra de novo quando o arquivo é recriado', async ({ tmpDir }) => {
+    const file = path.join(tmpDir, 'recreated.json');
+    const itemService = new ServiceRegistry(file);
+    const instance = await itemService.registerService('item-service', 'http://localhost:3902');
+    itemService.stopHeartbeat();
+
+    fs.rmSync(file);
+    await itemService.heartbeat();
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(stored.map(item => item.id), [instance.id]);
+
+    // Registros antigos, sem lease, são descartados ao carregar
+    fs.writeFileSync(file, JSON.stringify([{ name: 'list-service', url: 'http://localhost:3903', metadata: {} }]));
+    const reader = new ServiceRegistry(file);
+    await reader.syncRegistry();
+    assert.strictEqual(reader.getInstances('list-service').length, 0);
+  }],
+
+  ['authoritative: renova e remove leases vencidas', async ({ tmpDir }) => {
+    const registry = new ServiceRegistry(path.join(tmpDir, 'authoritative.json'), { authoritative: true });
+    const changes = [];
+    registry.on('change', revision => changes.push(revision));
+
+    const kept = registry.upsertInstance('item-service', 'http://localhost:3902');
+    const expired = registry.upsertInstance('item-service', 'http://localhost:3912');
+    await sleep(LEASE_TTL / 2);
+    assert.strictEqual(registry.renewInstance(kept.id), kept);
+    assert.strictEqual(registry.renewInstance('inexistente'), null);
+    await sleep(LEASE_TTL / 2 + 50);
+
+    const revision = registry.revision;
+    assert.strictEqual(await registry.evictExpired(), 1);
+    assert.deepStrictEqual(registry.getInstances('item-service').map(item => item.id), [kept.id]);
+    assert.ok(registry.revision > revision);
+    assert.strictEqual(registry.findInstance(expired.id), null);
+    assert.strictEqual(changes.length, 3);
+
+    // O snapshot gravado reflete a remoção
+    const stored = JSON.parse(fs.readFileSync(registry.registryFile, 'utf8'));
+    assert.deepStrictEqual(stored.map(item => item.id), [kept.id]);
+  }]
+];
+
+const serverCases = [
+  ['servidor: valida e registra instâncias', async ({ server }) => {
+    assert.strictEqual((await api(server.url, '/services', { method: 'POST', body: { url: 'http://localhost:3902' } })).status, 400);
+    assert.strictEqual((await api(server.url, '/services', { method: 'POST', body: { name: 'x', url: 'nao-e-url' } })).status, 400);
+    assert.strictEqual((await api(server.url, '/services', { method: 'POST', body: { name: 'x', url: 'http://localhost:3902', metadata: { weight: 0 } } })).status, 400);
+
+    const { status, data } = await api(server.url, '/services', {
+      method: 'POST',
+      body: { name: 'item-service', url: 'http://localhost:3902', metadata: { weight: 2 } }
+    });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(data.leaseTtl, LEASE_TTL);
+    assert.strictEqual(data.instance.id, 'item-service@localhost:3902');
+
+    // Registrar de novo atualiza a mesma instância
+    const again = await api(server.url, '/services', {
+      method: 'POST',
+      body: { name: 'item-service', url: 'http://localhost:3902', metadata: { weight: 3 } }
+    });
+    assert.strictEqual(again.data.instance.id, data.instance.id);
+    const { data: lookup } = await api(server.url, '/services/item-service');
+    assert.strictEqual(lookup.instances.length, 1);
+    assert.strictEqual(lookup.instances[0].metadata.weight, 3);
+
+    assert.strictEqual((await api(server.url, `/services/${encodeURIComponent(data.instance.id)}`, { method: 'DELETE' })).status, 204);
+    assert.strictEqual((await api(server.url, '/services/item-service')).status, 404);
+  }],
+
+  ['servidor: heartbeat renova a lease e a varredura remove as vencidas', async ({ server }) => {
+    const { data } = await api(server.url, '/services', { method: 'POST', body: { name: 'list-service', url: 'http://localhost:3903' } });
+    const heartbeatPath = `/services/${encodeURIComponent(data.instance.id)}/heartbeat`;
+
+    await sleep(LEASE_TTL / 2);
+    const renewed = await api(server.url, heartbeatPath, { method: 'PUT' });
+    assert.strictEqual(renewed.status, 200);
+    assert.ok(Date.parse(renewed.data.leaseExpiresAt) > Date.parse(data.instance.leaseExpiresAt));
+
+    // Sem novos heartbeats a instância some, e o heartbeat seguinte pede um novo registro
+    await waitFor(async () => (await api(server.url, '/services/list-service')).status === 404, LEASE_TTL * 3, 'lease não expirou');
+    assert.strictEqual((await api(server.url, heartbeatPath, { method: 'PUT' })).status, 404);
+  }],
+
+  ['servidor: /watch responde quando a revisão muda ou 304 no timeout', async ({ server }) => {
+    const { data: current } = await api(server.url, '/services');
+    // Revisão diferente: resposta imediata
+    assert.strictEqual((await api(server.url, `/watch?since=${current.revision - 1}`)).data.revision, current.revision);
+
+    const startedAt = Date.now();
+    const unchanged = await fetch(`${server.url}/watch?since=${current.revision}&timeout=300`);
+    assert.strictEqual(unchanged.status, 304);
+    assert.ok(Date.now() - startedAt >= 250);
+
+    const pending = api(server.url, `/watch?since=${current.revision}&timeout=5000`);
+    await sleep(100);
+    await api(server.url, '/services', { method: 'POST', body: { name: 'user-service', url: 'http://localhost:3901' } });
+    const changed = await pending;
+    assert.strictEqual(changed.status, 200);
+    assert.ok(changed.data.revision > current.revision);
+    assert.ok(changed.data.services.some(instance => instance.name === 'user-service'));
+  }],
+
+  ['cliente: registra, mantém a lease e acompanha pelo /watch', async ({ server, clients }) => {
+    const itemService = new RegistryClient(server.url);
+    const gateway = new RegistryClient(`${server.url}/`);
+    clients.push(itemService, gateway);
+    await gateway.initialize();
+
+    const instance = await itemService.registerService('item-service', 'http://localhost:3902', { weight: 2 });
+    assert.strictEqual(itemService.leaseTtl, LEASE_TTL);
+    assert.strictEqual(itemService.heartbeatInterval, LEASE_TTL / 3);
+    await waitFor(() => gateway.findInstance(instance.id), 3000, 'gateway não recebeu o registro');
+    assert.strictEqual(gateway.getService('item-service').metadata.weight, 2);
+
+    // Os heartbeats do cliente mantêm a instância além da TTL
+    await sleep(LEASE_TTL * 2);
+    assert.strictEqual((await api(server.url, '/services/item-service')).status, 200);
+    assert.ok(gateway.findInstance(instance.id));
+
+    assert.strictEqual(await itemService.unregisterService('item-service'), true);
+    assert.strictEqual(await itemService.unregisterService('item-service'), false);
+    await waitFor(() => !gateway.findInstance(instance.id), 3000, 'gateway não recebeu a remoção');
+    assert.strictEqual((await api(server.url, '/services/item-service')).status, 404);
+  }],
+
+  ['cliente: não repete registros recusados pelo servidor', async ({ server, clients }) => {
+    const itemService = new RegistryClient(server.url);
+    clients.push(itemService);
+
+    // Erro de configuração (4xx), não indisponibilidade: o registro sai do heartbeat
+    await itemService.registerService('item-service', 'http://localhost:3902', { weight: 0 });
+    assert.strictEqual(itemService.registrations.size, 0);
+    assert.strictEqual(itemService.unavailable, false);
+
+    await itemService.heartbeat();
+    assert.strictEqual((await api(server.url, '/services/item-service')).status, 404);
+  }],
+
+  ['cliente: registra de novo depois que o registry reinicia', async ({ server, tmpDir, clients }) => {
+    const itemService = new RegistryClient(server.url);
+    clients.push(itemService);
+    const instance = await itemService.registerService('item-service', 'http://localhost:3902');
+
+    // Registry fora do ar: o registro fica pendente e o processo segue funcionando
+    await server.stop();
+    await itemService.heartbeat();
+    assert.strictEqual(itemService.unavailable, true);
+    assert.ok(itemService.findInstance(instance.id));
+
+    // Registry de volta sem o snapshot anterior; o heartbeat recebe 404 e registra de novo
+    const restarted = await startRegistry(fs.mkdtempSync(path.join(tmpDir, 'restarted-')));
+    try {
+      itemService.baseUrl = restarted.url;
+      await itemService.heartbeat();
+      assert.strictEqual(itemService.unavailable, false);
+      const { data } = await api(restarted.url, '/services/item-service');
+      assert.deepStrictEqual(data.instances.map(item => item.id), [instance.id]);
+    } finally {
+      await itemService.shutdown();
+      await restarted.stop();
+    }
+  }]
+];
+
+async function testRegistry() {
+  header('Service Registry');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+  const clients = [];
+  let failures = 0;
+  let server = null;
+
+  try {
+    failures += await runCases(fileCases, { tmpDir });
+
+    server = await startRegistry(fs.mkdtempSync(path.join(tmpDir, 'server-')));
+    failures += await runCases(serverCases, { server, tmpDir, clients });
+  } catch (error) {
+    failures++;
+    console.log(`   ❌ ${error.message}`);
+  } finally {
+    await Promise.all(clients.map(client => client.shutdown()));
+    if (server) await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  finish(failures);
+}
+
+// Executar teste
+testRegistry();
@@ -0,0 +1,205 @@
+const assert = require('assert');
+const http = require('http');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { ResponseCache } = require('./shared/responseCache');
+const { runSuite } = require('./test-runner');
+
+// Testes do cache de respostas do gateway (shared/responseCache.js), com um servidor HTTP local
+// no lugar do proxy para os serviços
+// Uso: node test-response-cache.js
+
+// Servidor com o middleware na frente de um "serviço" que conta as chamadas recebidas.
+// `routes`: caminho -> { ttl, tags }; `delays`: caminho -> ms antes de responder
+function startServer(cache, routes) {
+  const state = { calls: 0, delays: {}, version: 1 };
+
+  const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const route = routes[pathname] || {};
+    req.originalUrl = req.url;
+    req.baseUrl = pathname;
+    if (req.headers['x-user']) req.user = { id: req.headers['x-user'] };
+
+    cache.middleware(route)(req, res, () => {
+      state.calls++;
+      const body = JSON.stringify({ path: pathname, version: state.version });
+      setTimeout(() => {
+        if (req.method !== 'GET') {
+          res.statusCode = req.headers['x-fail'] ? 500 : 200;
+          return res.end('{}');
+        }
+        res.setHeader('Content-Type', 'application/json');
+        if (pathname === '/private') res.setHeader('Cache-Control', 'private');
+        // Como a busca global com resultados parciais
+        if (pathname === '/partial') res.setHeader('Cache-Control', 'no-store');
+        res.end(body);
+      }, state.delays[pathname] || 0);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }));
+  });
+}
+
+// http.request em vez de fetch: o fetch envia Cache-Control: no-cache junto com If-None-Match
+function request(port, path, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString()
+      }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const ROUTES = {
+  '/items': { ttl: 60, tags: ['items'] },
+  '/categories': { ttl: 60, tags: ['items', 'categories'] },
+  '/lists': { ttl: 60, tags: ['lists'] },
+  '/short': { ttl: 1, tags: ['items'] },
+  '/uncached': { ttl: 0, tags: ['items'] },
+  '/private': { ttl: 60, tags: ['items'] },
+  '/partial': { ttl: 60, tags: ['items'] }
+};
+
+const cases = [
+  ['guarda a primeira resposta e serve as seguintes do cache', async ({ port, state }) => {
+    const first = await request(port, '/items?b=2&a=1');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers['x-cache'], 'MISS');
+    assert.ok(first.headers.etag);
+    assert.strictEqual(first.headers['cache-control'], 'public, max-age=60');
+
+    // Mesma query em outra ordem é a mesma entrada
+    const second = await request(port, '/items?a=1&b=2');
+    assert.strictEqual(second.headers['x-cache'], 'HIT');
+    assert.strictEqual(second.body, first.body);
+    assert.strictEqual(second.headers.etag, first.headers.etag);
+    assert.strictEqual(second.headers['content-type'], 'application/json');
+    assert.strictEqual(state.calls, 1);
+  }],
+
+  ['separa as entradas por usuário', async ({ port, state }) => {
+    const calls = state.calls;
+    const ana = await request(port, '/lists', { headers: { 'x-user': 'ana' } });
+    const bruno = await request(port, '/lists', { headers: { 'x-user': 'bruno' } });
+    assert.strictEqual(ana.headers['x-cache'], 'MISS');
+    assert.strictEqual(bruno.headers['x-cache'], 'MISS');
+    assert.ok(ana.headers['cache-control'].startsWith('private'));
+    assert.strictEqual((await request(port, '/lists', { headers: { 'x-user': 'ana' } })).headers['x-cache'], 'HIT');
+    assert.strictEqual(state.calls, calls + 2);
+  }],
+
+  ['responde 304 quando a ETag confere', async ({ port, state }) => {
+    const { headers } = await request(port, '/items?a=1&b=2');
+    const calls = state.calls;
+
+    const notModified = await request(port, '/items?a=1&b=2', { headers: { 'if-none-match': headers.etag } });
+    assert.strictEqual(notModified.status, 304);
+    assert.strictEqual(notModified.body, '');
+    assert.strictEqual(notModified.headers.etag, headers.etag);
+
+    // Comparação fraca e lista de ETags
+    const weak = await request(port, '/items?a=1&b=2', { headers: { 'if-none-match': `"outra", W/${headers.etag}` } });
+    assert.strictEqual(weak.status, 304);
+
+    const changed = await request(port, '/items?a=1&b=2', { headers: { 'if-none-match': '"outra"' } });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(state.calls, calls);
+
+    // Também em um MISS
+    const miss = await request(port, '/categories');
+    const conditional = await request(port, '/categories', { headers: { 'if-none-match': miss.headers.etag, 'cache-control': 'no-cache' } });
+    assert.strictEqual(conditional.headers['x-cache'], 'MISS');
+    assert.strictEqual(conditional.status, 304);
+  }],
+
+  ['respeita ttl e Cache-Control', async ({ port, state }) => {
+    await request(port, '/short');
+    assert.strictEqual((await request(port, '/short')).headers['x-cache'], 'HIT');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.strictEqual((await request(port, '/short')).headers['x-cache'], 'MISS');
+
+    const calls = state.calls;
+    assert.strictEqual((await request(port, '/uncached')).headers['x-cache'], undefined);
+    assert.strictEqual((await request(port, '/items?a=1&b=2', { headers: { 'cache-control': 'no-store' } })).headers['x-cache'], undefined);
+    assert.strictEqual((await request(port, '/private')).headers['x-cache'], undefined);
+    assert.strictEqual((await request(port, '/private')).headers['x-cache'], undefined);
+    await request(port, '/partial');
+    const partial = await request(port, '/partial');
+    assert.strictEqual(partial.headers['x-cache'], undefined);
+    assert.strictEqual(partial.headers['cache-control'], 'no-store');
+    assert.strictEqual(state.calls, calls + 6);
+  }],
+
+  ['escritas com sucesso invalidam apenas as tags da rota', async ({ port, cache }) => {
+    await request(port, '/items');
+    await request(port, '/categories');
+    await request(port, '/lists');
+
+    await request(port, '/lists', { method: 'POST', headers: { 'x-fail': '1' } });
+    assert.strictEqual((await request(port, '/lists')).headers['x-cache'], 'HIT');
+
+    await request(port, '/items', { method: 'POST' });
+    assert.strictEqual((await request(port, '/items')).headers['x-cache'], 'MISS');
+    assert.strictEqual((await request(port, '/categories')).headers['x-cache'], 'MISS');
+    assert.strictEqual((await request(port, '/lists')).headers['x-cache'], 'HIT');
+
+    assert.strictEqual(cache.invalidate(['categories'], 'admin'), 1);
+    assert.strictEqual(cache.stats().tags.categories, undefined);
+    assert.ok(cache.clear() > 0);
+    assert.strictEqual(cache.stats().entries, 0);
+  }],
+
+  ['não guarda respostas geradas durante uma invalidação das suas tags', async ({ port, state, cache }) => {
+    state.delays['/items'] = 100;
+    state.delays['/lists'] = 100;
+    const slowItems = request(port, '/items');
+    const slowLists = request(port, '/lists');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    state.version++;
+    cache.invalidate(['items'], 'watch');
+    await Promise.all([slowItems, slowLists]);
+    state.delays = {};
+
+    // A resposta antiga de /items foi descartada; a de /lists, sem relação, foi guardada
+    const items = await request(port, '/items');
+    assert.strictEqual(items.headers['x-cache'], 'MISS');
+    assert.strictEqual(JSON.parse(items.body).version, state.version);
+    assert.strictEqual((await request(port, '/lists')).headers['x-cache'], 'HIT');
+  }],
+
+  ['limita o número de entradas (LRU)', async () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    const { server, port } = await startServer(cache, ROUTES);
+    try {
+      await request(port, '/items?page=1');
+      await request(port, '/items?page=2');
+      await request(port, '/items?page=1');
+      await request(port, '/items?page=3');
+      assert.strictEqual(cache.stats().entries, 2);
+      assert.strictEqual((await request(port, '/items?page=1')).headers['x-cache'], 'HIT');
+      assert.strictEqual((await request(port, '/items?page=2')).headers['x-cache'], 'MISS');
+    } finally {
+      server.close();
+    }
+  }]
+];
+
+runSuite('Cache de Respostas', cases, {
+  setup: async () => {
+    const cache = new ResponseCache();
+    return { cache, ...(await startServer(cache, ROUTES)) };
+  },
+  teardown: ({ server }) => server && server.close()
+});
@@ -0,0 +1,57 @@
+// Execução dos testes da raiz (test-*.js): cada arquivo declara seus casos como
+// [nome, async (contexto) => {...}] e usa runSuite, ou header/runCases/finish quando
+// precisa rodar grupos de casos com contextos diferentes
+
+const LINE = '═══════════════════════════════════════════════════════════';
+
+function header(title) {
+  console.log(`🧪 ${title}`);
+  console.log(LINE);
+}
+
+// Roda os casos em sequência; retorna o número de falhas
+async function runCases(cases, context = {}, { beforeEach } = {}) {
+  let failures = 0;
+  for (const [name, run] of cases) {
+    try {
+      if (beforeEach) await beforeEach(context);
+      await run(context);
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`   ❌ ${name}: ${error.message}`);
+    }
+  }
+  return failures;
+}
+
+// Encerra com código 1 se algum caso falhou
+function finish(failures) {
+  console.log(LINE);
+  if (failures > 0) {
+    console.log(`❌ ${failures} teste(s) falharam`);
+    process.exit(1);
+  }
+  console.log('✅ Todos os testes passaram');
+}
+
+// `setup` cria o contexto passado aos casos e `teardown` o libera, mesmo quando algo falha
+async function runSuite(title, cases, { setup, teardown, beforeEach } = {}) {
+  header(title);
+
+  let failures = 0;
+  let context = {};
+  try {
+    if (setup) context = await setup();
+    failures += await runCases(cases, context, { beforeEach });
+  } catch (error) {
+    failures++;
+    console.log(`   ❌ ${error.message}`);
+  } finally {
+    if (teardown) await teardown(context);
+  }
+
+  finish(failures);
+}
+
+module.exports = { header, runCases, finish, runSuite };
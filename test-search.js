@@ -0,0 +1,142 @@
+const assert = require('assert');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { SearchIndex, tokenize, foldAccents, stem } = require('./shared/searchIndex');
+const { runSuite } = require('./test-runner');
+
+// Testes do índice de busca textual (shared/searchIndex.js)
+// Uso: node test-search.js
+
+const ITEMS = [
+  { id: 'pao', name: 'Pão de Forma', brand: 'Wickbold', description: 'Pão de forma integral 500g' },
+  { id: 'acucar', name: 'Açúcar Cristal', brand: 'União', description: 'Açúcar cristal 1kg' },
+  { id: 'feijao', name: 'Feijão Preto', brand: 'Camil', description: 'Feijão preto tipo 1' },
+  { id: 'arroz', name: 'Arroz Branco 5kg', brand: 'Tio João', description: 'Arroz branco tipo 1' },
+  { id: 'biscoito', name: 'Biscoito Recheado', brand: 'Oreo', description: 'Biscoito com recheio de chocolate' },
+  { id: 'bolo', name: 'Bolo Pronto', brand: 'Bauducco', description: 'Bolo de chocolate 250g' }
+];
+
+function createIndex() {
+  const index = new SearchIndex({ fields: { name: 3, brand: 2, description: 1 } });
+  ITEMS.forEach(item => index.add(item));
+  return index;
+}
+
+function ids(results) {
+  return results.map(result => result.id);
+}
+
+const cases = [
+  ['remove acentos e normaliza caixa', () => {
+    assert.strictEqual(foldAccents('Pão Açúcar FEIJÃO Café'), 'pao acucar feijao cafe');
+    assert.deepStrictEqual(tokenize('Açúcar, Café & Pão!'), ['acucar', 'cafe', 'pao']);
+  }],
+
+  ['descarta stopwords', () => {
+    assert.deepStrictEqual(tokenize('pão de forma com manteiga'), ['pao', 'forma', 'manteiga']);
+    assert.deepStrictEqual(tokenize('de o a'), []);
+    assert.deepStrictEqual(tokenize(null), []);
+  }],
+
+  ['reduz plurais e diminutivos', () => {
+    assert.strictEqual(stem('paes'), 'pao');
+    assert.strictEqual(stem('caes'), 'cao');
+    assert.strictEqual(stem('feijoes'), 'feijao');
+    assert.strictEqual(stem('paozinho'), 'pao');
+    assert.strictEqual(stem('animais'), 'animal');
+    assert.strictEqual(stem('papeis'), 'papel');
+    assert.strictEqual(stem('limoes'), 'limao');
+    assert.strictEqual(stem('cartazes'), 'cartaz');
+    assert.strictEqual(stem('biscoitos'), 'biscoito');
+    // Palavras curtas e números não mudam
+    assert.strictEqual(stem('pais'), 'pai');
+    assert.strictEqual(stem('mel'), 'mel');
+    assert.strictEqual(stem('500g'), '500g');
+    assert.deepStrictEqual(tokenize('pães'), tokenize('pão'));
+    assert.deepStrictEqual(tokenize('pãozinho'), tokenize('Pão'));
+  }],
+
+  ['encontra sem acentos e no plural', () => {
+    const index = createIndex();
+    assert.deepStrictEqual(ids(index.search('pães')), ['pao']);
+    assert.deepStrictEqual(ids(index.search('pao')), ['pao']);
+    assert.deepStrictEqual(ids(index.search('acucar')), ['acucar']);
+    assert.deepStrictEqual(ids(index.search('FEIJÕES')), ['feijao']);
+  }],
+
+  ['casa prefixos', () => {
+    const index = createIndex();
+    assert.deepStrictEqual(ids(index.search('bisc')), ['biscoito']);
+    assert.deepStrictEqual(ids(index.search('choc')).sort(), ['biscoito', 'bolo']);
+    // Um caractere não basta para casar como prefixo
+    assert.deepStrictEqual(index.search('b'), []);
+  }],
+
+  ['tolera erros de digitação', () => {
+    const index = createIndex();
+    assert.deepStrictEqual(ids(index.search('arrox')), ['arroz']);
+    assert.deepStrictEqual(ids(index.search('fiejao')), ['feijao']);
+    assert.deepStrictEqual(ids(index.search('biscioto')), ['biscoito']);
+    // Termos com menos de 4 letras não aceitam erros ("tjo" para "Tio João")
+    assert.deepStrictEqual(index.search('tjo'), []);
+    assert.deepStrictEqual(ids(index.search('tio')), ['arroz']);
+  }],
+
+  ['ordena por relevância', () => {
+    const index = createIndex();
+
+    // Nome pesa mais que descrição
+    index.add({ id: 'torta', name: 'Torta de Limão', description: 'Cobertura de chocolate' });
+    index.add({ id: 'chocolate', name: 'Chocolate ao Leite', description: 'Barra 90g' });
+    assert.strictEqual(ids(index.search('chocolate'))[0], 'chocolate');
+
+    // Correspondência exata antes de prefixo e de erro de digitação
+    index.add({ id: 'bolacha', name: 'Bolacha Maria' });
+    index.add({ id: 'bolachinha', name: 'Bolachinhas Sortidas' });
+    index.add({ id: 'bola', name: 'Bola de Futebol' });
+    const results = index.search('bola');
+    assert.strictEqual(results[0].id, 'bola');
+    assert.ok(results.every((result, position) => position === 0 || result.score <= results[position - 1].score));
+
+    // Documentos com mais termos da consulta primeiro
+    assert.deepStrictEqual(ids(index.search('arroz branco')).slice(0, 1), ['arroz']);
+    assert.strictEqual(ids(index.search('feijao preto arroz'))[0], 'feijao');
+
+    assert.strictEqual(index.search('chocolate', { limit: 1 }).length, 1);
+  }],
+
+  ['acompanha inclusões e remoções', () => {
+    const index = createIndex();
+    assert.strictEqual(index.size, ITEMS.length);
+
+    index.add({ id: 'pao', name: 'Pão Francês' });
+    assert.deepStrictEqual(index.search('forma'), []);
+    assert.deepStrictEqual(ids(index.search('frances')), ['pao']);
+
+    index.remove('pao');
+    assert.deepStrictEqual(index.search('pao'), []);
+    assert.strictEqual(index.size, ITEMS.length - 1);
+  }],
+
+  ['sincroniza pelos eventos do database', async () => {
+    const { EventEmitter } = require('events');
+    const db = new EventEmitter();
+    db.findAll = async () => [ITEMS[0]];
+
+    const index = new SearchIndex({ fields: ['name'] });
+    await index.attach(db);
+    assert.deepStrictEqual(ids(index.search('pao')), ['pao']);
+
+    db.emit('change', { id: 'cafe', after: { id: 'cafe', name: 'Café Torrado' } });
+    assert.deepStrictEqual(ids(index.search('cafe')), ['cafe']);
+
+    db.emit('change', { id: 'cafe', after: { id: 'cafe', name: 'Café Torrado', deletedAt: new Date().toISOString() } });
+    assert.deepStrictEqual(index.search('cafe'), []);
+
+    db.emit('change', { id: 'pao', after: null });
+    assert.deepStrictEqual(index.search('pao'), []);
+  }]
+];
+
+runSuite('Índice de Busca', cases);
@@ -0,0 +1,380 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Logs do JsonDatabase em formato legível, intercalados com o resultado dos testes
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const JsonDatabase = require('./shared/JsonDatabase');
+const { UniqueConstraintError, VersionConflictError, SchemaValidationError, DecryptionError } = require('./shared/errors');
+const { header, runCases, finish } = require('./test-runner');
+
+// Suíte de conformidade: todos os adaptadores de armazenamento devem passar pelos mesmos testes.
+// Uso: node test-storage.js [json|sqlite|memory ...]
+const ADAPTERS = process.argv.slice(2).length > 0 ? process.argv.slice(2) : ['json', 'sqlite', 'memory'];
+
+function openDatabase(name, dataDir, storage) {
+  return new JsonDatabase(name, dataDir, {
+    storage,
+    indexes: [{ field: 'email', unique: true }, 'group']
+  });
+}
+
+const cases = [
+  ['cria e busca registros', async ({ db }) => {
+    const created = await db.create({ name: 'Ana', email: 'ana@exemplo.com', group: 'a', age: 30 });
+    assert.ok(created.id);
+    assert.strictEqual(created.version, 1);
+    assert.ok(created.createdAt);
+
+    const found = await db.findById(created.id);
+    assert.strictEqual(found.name, 'Ana');
+    assert.strictEqual(await db.findById('inexistente'), null);
+  }],
+
+  ['consulta com filtros e opções', async ({ db }) => {
+    await db.create({ name: 'Bruno', email: 'bruno@exemplo.com', group: 'b', age: 25 });
+    await db.create({ name: 'Carla', email: 'carla@exemplo.com', group: 'a', age: 41 });
+
+    const groupA = await db.findAll({ group: 'a' }, { sort: { age: -1 } });
+    assert.deepStrictEqual(groupA.map(record => record.name), ['Carla', 'Ana']);
+
+    const older = await db.findAll({ age: { $gte: 30 } }, { sort: 'name', projection: { name: 1 } });
+    assert.deepStrictEqual(older.map(record => record.name), ['Ana', 'Carla']);
+    assert.strictEqual(older[0].email, undefined);
+
+    assert.strictEqual(await db.count({ group: { $in: ['a', 'b'] } }), 3);
+    assert.strictEqual((await db.findAll({}, { skip: 1, limit: 1 })).length, 1);
+    assert.strictEqual((await db.findOne({ email: 'bruno@exemplo.com' })).name, 'Bruno');
+  }],
+
+  ['busca textual', async ({ db }) => {
+    const results = await db.search('car', ['name']);
+    assert.deepStrictEqual(results.map(record => record.name), ['Carla']);
+    assert.deepStrictEqual(await db.search('(', ['name']), []);
+  }],
+
+  ['atualiza com controle de versão', async ({ db }) => {
+    const ana = await db.findOne({ name: 'Ana' });
+    const updated = await db.updateById(ana.id, { age: 31 }, { expectedVersion: ana.version });
+    assert.strictEqual(updated.version, ana.version + 1);
+    assert.strictEqual(updated.age, 31);
+
+    await assert.rejects(
+      db.updateById(ana.id, { age: 99 }, { expectedVersion: ana.version }),
+      VersionConflictError
+    );
+
+    const incremented = await db.updateById(ana.id, current => ({ age: current.age + 1 }));
+    assert.strictEqual(incremented.age, 32);
+    assert.strictEqual(await db.updateById('inexistente', { age: 1 }), null);
+  }],
+
+  ['respeita índices únicos', async ({ db }) => {
+    await assert.rejects(
+      db.create({ name: 'Outra Ana', email: 'ana@exemplo.com' }),
+      UniqueConstraintError
+    );
+    const bruno = await db.findOne({ name: 'Bruno' });
+    await assert.rejects(
+      db.updateById(bruno.id, { email: 'carla@exemplo.com' }),
+      UniqueConstraintError
+    );
+    assert.strictEqual(await db.count(), 3);
+  }],
+
+  ['remove registros', async ({ db }) => {
+    const bruno = await db.findOne({ name: 'Bruno' });
+    const deleted = await db.deleteById(bruno.id);
+    assert.strictEqual(deleted.name, 'Bruno');
+    assert.strictEqual(await db.findById(bruno.id), null);
+    assert.strictEqual(await db.count({ group: 'b' }), 0);
+  }],
+
+  ['confirma transações entre coleções', async ({ db }) => {
+    const carla = await db.findOne({ name: 'Carla' });
+    await db.transaction(async tx => {
+      await tx.updateById(carla.id, { group: 'c' });
+      await tx.collection('conformance_log').create({ recordId: carla.id, action: 'move' });
+    });
+
+    assert.strictEqual((await db.findById(carla.id)).group, 'c');
+    assert.strictEqual(await db.collection('conformance_log').count({ recordId: carla.id }), 1);
+  }],
+
+  ['desfaz transações com erro', async ({ db }) => {
+    const ana = await db.findOne({ name: 'Ana' });
+    await assert.rejects(db.transaction(async tx => {
+      await tx.updateById(ana.id, { group: 'z' });
+      await tx.collection('conformance_log').create({ recordId: ana.id, action: 'move' });
+      throw new Error('falha proposital');
+    }), /falha proposital/);
+
+    assert.strictEqual((await db.findById(ana.id)).group, 'a');
+    assert.strictEqual(await db.collection('conformance_log').count({ recordId: ana.id }), 0);
+  }],
+
+  ['emite eventos de alteração', async ({ db }) => {
+    const events = [];
+    const onChange = change => events.push(`${change.type}:${change.after ? change.after.name : change.before.name}`);
+    db.on('change', onChange);
+
+    const abort = new AbortController();
+    const watcher = db.watch({ group: 'd' }, { signal: abort.signal });
+
+    const diego = await db.create({ name: 'Diego', email: 'diego@exemplo.com', group: 'd' });
+    await db.create({ name: 'Elisa', email: 'elisa@exemplo.com', group: 'e' });
+    await db.transaction(async tx => {
+      await tx.updateById(diego.id, { age: 20 });
+    });
+    const [updated] = await Promise.all([
+      new Promise(resolve => db.once('updated', resolve)),
+      db.updateById(diego.id, { group: 'x' })
+    ]);
+    assert.strictEqual(updated.before.group, 'd');
+    assert.strictEqual(updated.after.group, 'x');
+    await db.deleteById(diego.id);
+    await db.deleteById((await db.findOne({ name: 'Elisa' })).id);
+    db.off('change', onChange);
+
+    const watched = [];
+    for await (const change of watcher) {
+      watched.push(change.type);
+      if (watched.length === 3) abort.abort();
+    }
+    assert.deepStrictEqual(watched, ['created', 'updated', 'updated']);
+    assert.deepStrictEqual(events, [
+      'created:Diego', 'created:Elisa', 'updated:Diego', 'updated:Diego', 'deleted:Diego', 'deleted:Elisa'
+    ]);
+  }],
+
+  ['persiste os dados ao reabrir', async ({ db, dataDir, storage }) => {
+    const before = await db.findAll();
+    await db.collection('conformance_log').close();
+    await db.close();
+
+    const reopened = openDatabase('conformance', dataDir, storage);
+    const after = await reopened.findAll();
+    assert.deepStrictEqual(after, before);
+    assert.strictEqual(await reopened.count({ group: 'c' }), 1);
+    assert.strictEqual(await reopened.collection('conformance_log').count(), 1);
+
+    await assert.rejects(
+      reopened.create({ name: 'Duplicada', email: 'carla@exemplo.com' }),
+      UniqueConstraintError
+    );
+    return reopened;
+  }],
+
+  ['valida schema e aplica migrações', async ({ dataDir, storage }) => {
+    const schema = { strict: true, fields: { name: { type: 'string', required: true }, unit: { type: 'string' } } };
+    let products = new JsonDatabase('conformance_products', dataDir, { storage, schema });
+    await products.create({ name: 'Arroz' });
+    await assert.rejects(products.create({ unit: 'kg' }), SchemaValidationError);
+    await assert.rejects(products.create({ name: 'Feijão', price: 8 }), SchemaValidationError);
+    await products.close();
+
+    const migrations = [{ version: 1, description: 'unidade padrão', up: record => ({ ...record, unit: record.unit || 'un' }) }];
+    // O dry-run só lê o que está gravado
+    products = new JsonDatabase('conformance_products', dataDir, { storage, schema, migrations, dryRunMigrations: true });
+    assert.strictEqual((await products.findAll())[0].unit, undefined);
+    assert.strictEqual(products.schemaVersion, 0);
+    await products.close();
+    await assert.rejects(new JsonDatabase('conformance_missing', dataDir, { storage, dryRunMigrations: true }).initialize(), /não encontrado/);
+
+    products = new JsonDatabase('conformance_products', dataDir, { storage, schema, migrations });
+    const [arroz] = await products.findAll();
+    assert.strictEqual(arroz.unit, 'un');
+    assert.strictEqual(arroz.version, 2);
+    assert.strictEqual(products.schemaVersion, 1);
+    await products.close();
+
+    products = new JsonDatabase('conformance_products', dataDir, { storage, schema, migrations });
+    assert.strictEqual((await products.findAll())[0].version, 2);
+    await products.close();
+  }],
+
+  ['move para a lixeira e restaura', async ({ dataDir, storage }) => {
+    const notes = new JsonDatabase('conformance_notes', dataDir, { storage, softDelete: true });
+    const note = await notes.create({ text: 'comprar pão' });
+
+    const trashed = await notes.deleteById(note.id);
+    assert.ok(trashed.deletedAt);
+    assert.strictEqual(await notes.findById(note.id), null);
+    assert.strictEqual(await notes.count(), 0);
+    assert.strictEqual(await notes.updateById(note.id, { text: 'x' }), null);
+    assert.strictEqual((await notes.findAll({}, { withDeleted: true })).length, 1);
+
+    const restored = await notes.restoreById(note.id);
+    assert.strictEqual(restored.deletedAt, undefined);
+    assert.strictEqual((await notes.findById(note.id)).text, 'comprar pão');
+
+    await notes.deleteById(note.id);
+    assert.strictEqual(await notes.purgeDeleted(60 * 1000), 0);
+    assert.strictEqual(await notes.purgeDeleted(0), 1);
+    assert.strictEqual(await notes.findById(note.id, { withDeleted: true }), null);
+
+    // Registro criado (ou importado) já na lixeira
+    const imported = await notes.create({ text: 'importada', deletedAt: new Date().toISOString() });
+    assert.strictEqual(await notes.findById(imported.id), null);
+    assert.strictEqual(await notes.deleteById(imported.id), null);
+    await notes.close();
+  }],
+
+  ['expira registros', async ({ dataDir, storage }) => {
+    const tokens = new JsonDatabase('conformance_tokens', dataDir, {
+      storage,
+      indexes: [{ field: 'token', unique: true }],
+      softDelete: { retention: 60 * 1000 }
+    });
+    const past = new Date(Date.now() - 1000).toISOString();
+    const expired = await tokens.create({ token: 'abc', expiresAt: past });
+    await tokens.create({ token: 'def', expiresAt: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    assert.strictEqual(await tokens.findById(expired.id), null);
+    assert.strictEqual(await tokens.count(), 1);
+    assert.strictEqual(await tokens.count({}, { withExpired: true }), 2);
+    assert.strictEqual(await tokens.updateById(expired.id, { token: 'x' }), null);
+
+    // O valor de um registro expirado pode ser reutilizado
+    const renewed = await tokens.create({ token: 'abc' });
+    const trashed = await tokens.deleteById(renewed.id);
+    assert.ok(Date.parse(trashed.expiresAt) > Date.now());
+    assert.strictEqual((await tokens.restoreById(renewed.id)).expiresAt, undefined);
+
+    const removed = [];
+    tokens.on('deleted', change => removed.push(`${change.id}:${change.reason}`));
+    assert.strictEqual(await tokens.purgeExpired(), 1);
+    assert.deepStrictEqual(removed, [`${expired.id}:expired`]);
+    assert.strictEqual(await tokens.findById(expired.id, { withExpired: true }), null);
+    await tokens.close();
+  }],
+
+  ['cifra campos e rotaciona chaves', async ({ dataDir, storage }) => {
+    const key1 = `k1:${'1'.repeat(64)}`;
+    const key2 = `k2:${'2'.repeat(64)}`;
+    const open = (encryption) => new JsonDatabase('conformance_secrets', dataDir, { storage, encryption });
+
+    let secrets = open({ fields: ['email'], keys: key1 });
+    const created = await secrets.create({ name: 'Ana', email: 'ana@exemplo.com' });
+    await secrets.updateById(created.id, { name: 'Ana Maria' });
+    await secrets.close();
+
+    // Sem criptografia configurada, o que está gravado aparece como está
+    secrets = open(null);
+    const [raw] = await secrets.findAll();
+    assert.ok(raw.email.startsWith('enc:v1:k1:'));
+    assert.strictEqual(raw.name, 'Ana Maria');
+    await secrets.close();
+
+    secrets = open({ fields: ['email'], keys: `${key2},${key1}` });
+    assert.strictEqual((await secrets.findById(created.id)).email, 'ana@exemplo.com');
+    await secrets.close();
+
+    // Os registros foram regravados com a chave nova: a antiga sozinha não decifra mais
+    secrets = open({ fields: ['email'], keys: key1 });
+    await assert.rejects(secrets.initialize(), DecryptionError);
+
+    secrets = open({ fields: ['email'], keys: key2 });
+    assert.strictEqual((await secrets.findOne({ email: 'ana@exemplo.com' })).name, 'Ana Maria');
+    await secrets.close();
+  }],
+
+  ['mantém a memória igual ao armazenamento quando a gravação falha', async ({ dataDir, storage }) => {
+    const db = openDatabase('conformance_failures', dataDir, storage);
+    const ana = await db.create({ name: 'Ana', email: 'ana@exemplo.com' });
+
+    const { commit } = db.storage;
+    db.storage.commit = async () => { throw new Error('disco cheio'); };
+    try {
+      await assert.rejects(db.create({ name: 'Bia', email: 'bia@exemplo.com' }), /disco cheio/);
+      await assert.rejects(db.updateById(ana.id, { email: 'ana@outro.com' }), /disco cheio/);
+      await assert.rejects(db.deleteById(ana.id), /disco cheio/);
+      await assert.rejects(db.clear(), /disco cheio/);
+    } finally {
+      db.storage.commit = commit;
+    }
+
+    assert.strictEqual(await db.count(), 1);
+    assert.strictEqual((await db.findById(ana.id)).version, 1);
+    assert.strictEqual(await db.findOne({ email: 'ana@outro.com' }), null);
+    // O e-mail que não foi gravado continua livre no índice único
+    await db.create({ name: 'Bia', email: 'bia@exemplo.com' });
+    await db.close();
+  }],
+
+  ['verifica a saúde do armazenamento', async ({ dataDir, storage }) => {
+    const health = openDatabase('conformance_health', dataDir, storage);
+    await assert.rejects(health.checkHealth(), /não carregado/);
+
+    await health.initialize();
+    await health.create({ name: 'Ana' });
+    assert.strictEqual((await health.checkHealth()).records, 1);
+
+    // Lock removido por fora (ex.: reset dos dados com o serviço rodando)
+    if (storage === 'json') {
+      const lockPath = path.join(dataDir, 'conformance_health.lock');
+      const owner = fs.readFileSync(lockPath, 'utf8');
+      fs.rmSync(lockPath);
+      await assert.rejects(health.checkHealth(), /Lock/);
+      fs.writeFileSync(lockPath, owner);
+    }
+
+    await health.close();
+    await assert.rejects(health.checkHealth(), /não carregado/);
+  }],
+
+  ['limpa a coleção', async ({ db, dataDir, storage }) => {
+    await db.clear();
+    assert.strictEqual(await db.count(), 0);
+    await db.collection('conformance_log').close();
+    await db.close();
+
+    const reopened = openDatabase('conformance', dataDir, storage);
+    assert.strictEqual(await reopened.count(), 0);
+    return reopened;
+  }]
+];
+
+// Casos que reabrem o database retornam a nova instância, usada pelos casos seguintes
+const adapterCases = cases.map(([name, run]) => [name, async context => {
+  const reopened = await run(context);
+  if (reopened) context.db = reopened;
+}]);
+
+async function runAdapter(storage) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `storage-${storage}-`));
+  const context = { dataDir, storage, db: openDatabase('conformance', dataDir, storage) };
+
+  console.log(`\n📦 Adaptador: ${storage}`);
+  const failures = await runCases(adapterCases, context);
+
+  try {
+    await context.db.collection('conformance_log').close();
+    await context.db.close();
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  return failures;
+}
+
+async function testStorage() {
+  header('Suíte de Conformidade - Adaptadores de Armazenamento');
+
+  let failures = 0;
+  for (const storage of ADAPTERS) {
+    try {
+      failures += await runAdapter(storage);
+    } catch (error) {
+      failures++;
+      console.log(`   ❌ ${storage}: ${error.message}`);
+    }
+  }
+
+  console.log('');
+  finish(failures);
+}
+
+// Executar teste
+testStorage();
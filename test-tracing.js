@@ -0,0 +1,147 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { Tracer, getTracer, parseTraceparent } = require('./shared/tracing');
+const RabbitMQService = require('./services/list-service/rabbitmq');
+const { runSuite } = require('./test-runner');
+
+// Testes do rastreamento distribuído (shared/tracing.js): traceparent, spans, propagação
+// HTTP e AMQP e exportação no formato Zipkin
+// Uso: node test-tracing.js
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+
+// Requisição e resposta mínimas para o middleware; `close` termina o span da requisição
+function httpExchange(headers = {}) {
+  const req = { method: 'GET', path: '/lists/1', originalUrl: '/lists/1?x=1', baseUrl: '', headers };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    writableFinished: true,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    }
+  });
+  return { req, res };
+}
+
+const cases = [
+  ['lê e valida o header traceparent', () => {
+    assert.deepStrictEqual(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`), { traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+    assert.strictEqual(parseTraceparent(` 00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-00 `).sampled, false);
+    assert.strictEqual(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`), null);
+    assert.strictEqual(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}`), null);
+    assert.strictEqual(parseTraceparent(undefined), null);
+  }],
+
+  ['spans filhos herdam o trace do span atual', async () => {
+    const tracer = new Tracer('teste', { dir: null });
+    await tracer.withSpan('pai', {}, async parent => {
+      assert.strictEqual(tracer.currentSpan(), parent);
+      const child = tracer.startSpan('filho');
+      assert.strictEqual(child.traceId, parent.traceId);
+      assert.strictEqual(child.parentId, parent.spanId);
+      assert.notStrictEqual(child.spanId, parent.spanId);
+    });
+    assert.strictEqual(tracer.currentSpan(), null);
+
+    let failed = null;
+    await assert.rejects(tracer.withSpan('falha', {}, span => {
+      failed = span;
+      throw new Error('erro de teste');
+    }), /erro de teste/);
+    assert.strictEqual(failed.tags.error, 'erro de teste');
+    assert.strictEqual(failed.ended, true);
+  }],
+
+  ['continua o trace recebido por HTTP e devolve o X-Request-Id', async () => {
+    const tracer = new Tracer('teste', { dir: null });
+    const { req, res } = httpExchange({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` });
+
+    let current = null;
+    tracer.middleware()(req, res, () => {
+      current = tracer.currentSpan();
+    });
+    assert.strictEqual(current, req.span);
+    assert.strictEqual(current.traceId, TRACE_ID);
+    assert.strictEqual(current.parentId, SPAN_ID);
+    assert.strictEqual(current.kind, 'SERVER');
+    assert.strictEqual(res.headers['x-request-id'], TRACE_ID);
+
+    res.statusCode = 503;
+    res.emit('close');
+    assert.strictEqual(current.ended, true);
+    assert.strictEqual(current.tags['http.status_code'], '503');
+    assert.strictEqual(current.tags.error, 'HTTP 503');
+
+    // Sem traceparent, a requisição começa um trace novo
+    const fresh = httpExchange();
+    tracer.middleware()(fresh.req, fresh.res, () => {});
+    assert.strictEqual(fresh.req.span.parentId, null);
+    assert.notStrictEqual(fresh.req.span.traceId, TRACE_ID);
+  }],
+
+  ['propaga o contexto do checkout nos headers AMQP', async () => {
+    const tracer = getTracer('list-service');
+    const published = [];
+    const rabbitMQ = new RabbitMQService();
+    rabbitMQ.channel = {
+      publish: (exchange, routingKey, content, options) => {
+        published.push({ routingKey, options });
+        return true;
+      }
+    };
+
+    const list = { id: 'lista-1', name: 'Mercado', userId: 'usuario-1', items: [], summary: {} };
+    const user = { id: 'usuario-1', email: 'ana@exemplo.com' };
+    const request = tracer.startSpan('POST /lists/:id/checkout', { parent: parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`) });
+    assert.strictEqual(await tracer.storage.run(request, () => rabbitMQ.publishCheckoutEvent(list, user)), true);
+
+    const { headers } = published[0].options;
+    const context = tracer.extract(headers);
+    assert.strictEqual(context.traceId, TRACE_ID);
+    assert.notStrictEqual(context.spanId, request.spanId);
+    assert.strictEqual(headers['x-request-id'], TRACE_ID);
+
+    // O consumer continua o mesmo trace como filho do span PRODUCER
+    const consumerTracer = new Tracer('notification-consumer', { dir: null });
+    await consumerTracer.withSpan(`consume ${published[0].routingKey}`, { kind: 'CONSUMER', parent: consumerTracer.extract(headers) }, span => {
+      assert.strictEqual(span.traceId, TRACE_ID);
+      assert.strictEqual(span.parentId, context.spanId);
+    });
+  }],
+
+  ['grava os spans no formato Zipkin', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    try {
+      const tracer = new Tracer('item-service', { dir });
+      await tracer.withSpan('GET /items', { kind: 'SERVER', tags: { 'http.method': 'GET', ignored: null } }, async () => {
+        tracer.startSpan('db.findAll').end();
+      });
+      // Spans não amostrados não são exportados
+      tracer.startSpan('ignorado', { parent: parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-00`) }).end();
+      tracer.flushSync();
+
+      const spans = fs.readFileSync(path.join(dir, 'item-service.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(spans.map(span => span.name), ['db.findAll', 'GET /items']);
+      const [child, root] = spans;
+      assert.strictEqual(child.parentId, root.id);
+      assert.strictEqual(root.parentId, undefined);
+      assert.strictEqual(root.kind, 'SERVER');
+      assert.deepStrictEqual(root.tags, { 'http.method': 'GET' });
+      assert.deepStrictEqual(root.localEndpoint, { serviceName: 'item-service' });
+      assert.ok(root.duration >= 1 && root.timestamp > 1e15);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }]
+];
+
+runSuite('Rastreamento Distribuído', cases);